@@ -3,25 +3,80 @@
  */
 
 const { HikvisionClient } = require('./src/vendors/hikvision/client');
+const { HikvisionEventReceiver } = require('./src/vendors/hikvision/eventReceiver');
 const { DahuaClient } = require('./src/vendors/dahua/client');
 const { UniviewClient } = require('./src/vendors/uniview/client');
+const { createClient, SUPPORTED_VENDORS } = require('./src/platform/createClient');
+const { PlatformAdapter } = require('./src/platform/adapter');
+const { normalizeCameras, normalizeOrganizations } = require('./src/platform/normalize');
+const { OrganizationTree, buildOrganizationTree } = require('./src/platform/orgTree');
+const { PageIterator } = require('./src/utils/pagination');
+const { RetryPolicy } = require('./src/core/retryPolicy');
+const { RateLimiter } = require('./src/core/rateLimiter');
+const { MemoryTokenStore, FileTokenStore } = require('./src/core/tokenStore');
+const { RequestCapture } = require('./src/core/requestExporter');
+const { Cassette } = require('./src/core/cassette');
+const { Transport } = require('./src/core/transport');
+const { MockServer } = require('./src/core/mockServer');
+const { HikvisionMockServer } = require('./src/vendors/hikvision/mockServer');
+const { DahuaMockServer } = require('./src/vendors/dahua/mockServer');
+const { UniviewMockServer } = require('./src/vendors/uniview/mockServer');
+const { Logger, LoggerAdapter } = require('./src/utils/logger');
+const { Redactor } = require('./src/utils/redact');
+const { ERROR_CODES } = require('./src/utils/errors/errorCodes');
 const { 
   CameraError, 
   ApiError, 
+  NotFoundError,
+  PermissionDeniedError,
+  RateLimitedError,
+  TokenExpiredError,
+  InvalidParameterError,
   AuthError, 
   NetworkError, 
   ParameterError, 
-  TimeoutError 
+  TimeoutError,
+  NotSupportedError
 } = require('./src/utils/errors/cameraErrors');
 
 module.exports = {
+  createClient,
+  SUPPORTED_VENDORS,
+  PlatformAdapter,
+  normalizeCameras,
+  normalizeOrganizations,
+  OrganizationTree,
+  buildOrganizationTree,
+  PageIterator,
+  RetryPolicy,
+  RateLimiter,
+  MemoryTokenStore,
+  FileTokenStore,
+  RequestCapture,
+  Cassette,
+  Transport,
+  MockServer,
+  HikvisionMockServer,
+  DahuaMockServer,
+  UniviewMockServer,
+  Logger,
+  LoggerAdapter,
+  Redactor,
+  ERROR_CODES,
   HikvisionClient,
+  HikvisionEventReceiver,
   DahuaClient,
   UniviewClient,
   CameraError,
   ApiError,
+  NotFoundError,
+  PermissionDeniedError,
+  RateLimitedError,
+  TokenExpiredError,
+  InvalidParameterError,
   AuthError,
   NetworkError,
   ParameterError,
-  TimeoutError
+  TimeoutError,
+  NotSupportedError
 };
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * 录制/回放（cassette）
+ * 录制模式下把真实平台的请求和响应保存到文件，回放模式下不访问网络，按请求内容返回录制的响应
+ * 用于离线测试和在CI中运行依赖真实平台返回数据的用例
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { Redactor } = require("../utils/redact");
+
+/**
+ * 匹配请求时忽略的请求体字段（每次请求都会变化）
+ * AccessCode/LoginSignature 为宇视登录握手字段，password 为大华RSA加密后的密码（随机填充）
+ */
+const DEFAULT_IGNORED_BODY_FIELDS = ["AccessCode", "LoginSignature", "password"];
+
+/**
+ * 录制文件格式版本
+ */
+const CASSETTE_VERSION = 1;
+
+/**
+ * 按字段名排序后序列化，保证相同内容得到相同字符串
+ * @param {*} value 待序列化的值
+ * @returns {string}
+ */
+function canonicalStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * 解析 JSON 字符串形式的请求体，便于录制文件阅读和匹配，非 JSON 原样返回
+ * @param {*} data 请求体
+ * @returns {*}
+ */
+function parseJson(data) {
+  if (data === undefined || data === "") {
+    return null;
+  }
+
+  if (typeof data !== "string") {
+    return data;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+class Cassette {
+  /**
+   * @param {string} filePath 录制文件路径
+   * @param {Object} options 选项
+   * @param {string} options.mode 模式：record-录制，replay-回放，auto-文件存在时回放否则录制，默认 auto
+   * @param {string[]} options.ignoreBodyFields 匹配时忽略的请求体字段，追加到默认列表
+   * @param {string[]} options.ignoreQueryParams 匹配时忽略的查询参数
+   * @param {boolean} options.allowRepeat 录制的响应用完后是否重复使用最后一次匹配的响应，默认true
+   * @param {Redactor|Object|boolean} options.redact 录制文件的脱敏规则，默认脱敏，false 表示保存原始内容
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.mode = options.mode || "auto";
+    if (this.mode === "auto") {
+      this.mode = fs.existsSync(this.filePath) ? "replay" : "record";
+    }
+
+    this.ignoreBodyFields = new Set([...DEFAULT_IGNORED_BODY_FIELDS, ...(options.ignoreBodyFields || [])]);
+    this.ignoreQueryParams = new Set(options.ignoreQueryParams || []);
+    this.allowRepeat = options.allowRepeat !== false;
+    this.redactor = Redactor.from(options.redact);
+
+    this.interactions = [];
+    this.used = new Set();
+
+    if (this.mode === "replay") {
+      this.load();
+    }
+  }
+
+  /**
+   * 读取录制文件
+   */
+  load() {
+    const content = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    this.interactions = content.interactions || [];
+    this.used = new Set();
+  }
+
+  /**
+   * 保存录制文件
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ version: CASSETTE_VERSION, interactions: this.interactions }, null, 2)
+    );
+  }
+
+  /**
+   * 生成请求的匹配键：方法 + 路径 + 排序后的查询参数 + 规范化的请求体
+   * 请求头（签名、时间戳、随机数、token）不参与匹配，敏感字段按脱敏后的值匹配
+   * @param {Object} config axios请求配置
+   * @returns {string}
+   */
+  requestKey(config) {
+    const url = new URL(axios.getUri(config));
+    const query = [...url.searchParams.entries()]
+      .filter(([key]) => !this.ignoreQueryParams.has(key))
+      .map(([key, value]) => [key, this.redactor && this.redactor.isSensitiveKey(key) ? this.redactor.censor : value])
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}=${value}`)
+      .join("&");
+
+    return `${String(config.method).toUpperCase()} ${url.pathname}?${query} ${this.normalizeBody(config.data)}`;
+  }
+
+  /**
+   * 规范化请求体：JSON 去掉忽略字段、脱敏后按字段名排序
+   * @param {*} data 请求体
+   * @returns {string}
+   */
+  normalizeBody(data) {
+    if (data === undefined || data === null || data === "") {
+      return "";
+    }
+
+    const value = parseJson(data);
+    if (typeof value === "string") {
+      return value;
+    }
+
+    if (Buffer.isBuffer(value)) {
+      return value.toString("base64");
+    }
+
+    return canonicalStringify(this.redactRecorded(this.stripIgnored(value)));
+  }
+
+  /**
+   * 递归去掉忽略的字段
+   * @param {*} value
+   * @returns {*}
+   */
+  stripIgnored(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.stripIgnored(item));
+    }
+
+    if (value && typeof value === "object") {
+      const result = {};
+      Object.keys(value).forEach((key) => {
+        if (!this.ignoreBodyFields.has(key)) {
+          result[key] = this.stripIgnored(value[key]);
+        }
+      });
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * 按录制文件的脱敏规则处理
+   * @param {*} value
+   * @returns {*}
+   */
+  redactRecorded(value) {
+    return this.redactor ? this.redactor.redact(value) : value;
+  }
+
+  /**
+   * 创建axios适配器
+   * @returns {Function} axios adapter
+   */
+  adapter() {
+    const httpAdapter = axios.getAdapter(axios.defaults.adapter);
+
+    return (config) => (this.mode === "replay" ? this.replay(config) : this.record(config, httpAdapter));
+  }
+
+  /**
+   * 录制：发送真实请求并保存请求和响应
+   * @param {Object} config axios请求配置
+   * @param {Function} httpAdapter 真实的axios适配器
+   * @returns {Promise<Object>} axios响应
+   */
+  async record(config, httpAdapter) {
+    let response;
+    let failure = null;
+
+    try {
+      response = await httpAdapter(config);
+    } catch (error) {
+      // 没有收到响应的网络错误不录制
+      if (!error.response) {
+        throw error;
+      }
+      response = error.response;
+      failure = error;
+    }
+
+    const isBinary = Buffer.isBuffer(response.data);
+    this.interactions.push({
+      key: this.requestKey(config),
+      request: {
+        method: String(config.method).toUpperCase(),
+        url: this.redactor ? this.redactor.redactUrl(axios.getUri(config)) : axios.getUri(config),
+        body: this.redactRecorded(parseJson(config.data)),
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: this.redactRecorded({ ...(response.headers?.toJSON ? response.headers.toJSON() : response.headers) }),
+        body: isBinary ? response.data.toString("base64") : this.redactRecorded(parseJson(response.data)),
+        encoding: isBinary ? "base64" : undefined,
+      },
+    });
+    this.save();
+
+    if (failure) {
+      throw failure;
+    }
+    return response;
+  }
+
+  /**
+   * 回放：按匹配键查找录制的响应，不访问网络
+   * @param {Object} config axios请求配置
+   * @returns {Promise<Object>} axios响应
+   */
+  async replay(config) {
+    const key = this.requestKey(config);
+    let index = this.interactions.findIndex((item, i) => item.key === key && !this.used.has(i));
+
+    if (index === -1 && this.allowRepeat) {
+      for (let i = this.interactions.length - 1; i >= 0; i--) {
+        if (this.interactions[i].key === key) {
+          index = i;
+          break;
+        }
+      }
+    }
+
+    if (index === -1) {
+      throw new axios.AxiosError(`录制文件中没有匹配的请求: ${key}`, "ERR_CASSETTE_MISS", config);
+    }
+
+    this.used.add(index);
+    const recorded = this.interactions[index].response;
+    // 适配器返回的是原始响应体，由 axios 的 transformResponse 解析
+    let body = recorded.body;
+    if (recorded.encoding === "base64") {
+      body = Buffer.from(body, "base64");
+    } else if (body !== null && typeof body === "object") {
+      body = JSON.stringify(body);
+    }
+
+    const response = {
+      data: body,
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: new axios.AxiosHeaders(recorded.headers),
+      config,
+      request: {},
+    };
+
+    // 与真实适配器一致，按 validateStatus 判断是否失败
+    if (!config.validateStatus || config.validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  /**
+   * 未使用的录制记录数，回放结束后可用于检查是否有请求没有发出
+   * @returns {number}
+   */
+  get pending() {
+    return this.interactions.length - this.used.size;
+  }
+
+  /**
+   * 根据配置创建录制器
+   * @param {Cassette|Object} value Cassette 实例或 { path, mode, ... }
+   * @returns {Cassette|null}
+   */
+  static from(value) {
+    if (!value) {
+      return null;
+    }
+
+    if (value instanceof Cassette) {
+      return value;
+    }
+
+    const { path: filePath, ...options } = value;
+    return new Cassette(filePath, options);
+  }
+}
+
+module.exports = { Cassette, DEFAULT_IGNORED_BODY_FIELDS };
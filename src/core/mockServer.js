@@ -0,0 +1,381 @@
+/**
+ * 模拟平台基类
+ * 在进程内启动HTTP服务模拟厂商网关，用于没有真实设备时的集成测试
+ * 支持预置数据、分页、token过期以及故障注入（401、超时、连接重置、业务错误码）
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const { ParameterError } = require("../utils/errors/cameraErrors");
+
+class MockServer {
+  /**
+   * @param {Object} options 选项
+   * @param {Object} options.data 预置数据，按资源名称覆盖厂商模拟平台的默认数据
+   * @param {number} options.tokenTtl token有效期(ms)，默认2小时
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.tokenTtl = options.tokenTtl || 2 * 60 * 60 * 1000;
+    this.data = { ...this.defaultData(), ...(options.data || {}) };
+
+    // 已签发的 token 及过期时间
+    this.tokens = new Map();
+
+    // 待触发的故障
+    this.faults = [];
+
+    // 收到的请求，便于测试中断言
+    this.requests = [];
+
+    this.routes = new Map();
+    this.server = null;
+    this.port = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * 厂商默认预置数据，由子类实现
+   * @returns {Object}
+   */
+  defaultData() {
+    return {};
+  }
+
+  /**
+   * 注册接口
+   * @param {string} method HTTP方法
+   * @param {string} path 接口路径
+   * @param {Function} handler 处理函数 (ctx) => 响应体，可通过 ctx.status 设置状态码，返回 Buffer 时按 ctx.contentType 原样发送
+   * @param {Object} options 选项
+   * @param {boolean} options.auth 是否需要认证，默认true
+   */
+  route(method, path, handler, options = {}) {
+    this.routes.set(`${method.toUpperCase()} ${path}`, {
+      handler,
+      auth: options.auth !== false,
+    });
+  }
+
+  /**
+   * 启动服务
+   * @param {number} port 端口，默认随机
+   * @param {string} host 监听地址，默认127.0.0.1
+   * @returns {Promise<MockServer>}
+   */
+  async start(port = 0, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        // 解析请求、认证等环节出错时同样应答500，避免请求一直挂起
+        if (res.headersSent) {
+          res.destroy();
+          return;
+        }
+        this.send(res, 500, this.businessError("500", error.message));
+      });
+    });
+    // 自行记录连接，停止时逐个断开（server.closeAllConnections 需要 Node 18.2+）
+    this.server.on("connection", (socket) => {
+      this.sockets.add(socket);
+      socket.once("close", () => this.sockets.delete(socket));
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    this.host = host;
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  /**
+   * 停止服务，挂起的请求（超时故障）一并断开
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    const closed = new Promise((resolve) => server.close(() => resolve()));
+    this.sockets.forEach((socket) => socket.destroy());
+    await closed;
+  }
+
+  /**
+   * 服务地址
+   * @returns {string}
+   */
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * 连接模拟平台的客户端配置，子类追加认证参数
+   * @returns {Object}
+   */
+  clientConfig() {
+    return { host: this.host, port: this.port, protocol: "http" };
+  }
+
+  // =================== 故障注入 ===================
+
+  /**
+   * 注入故障，按注入顺序匹配请求
+   * @param {Object} fault 故障
+   * @param {string} fault.path 匹配的接口路径，不设置时匹配所有请求
+   * @param {string} fault.method 匹配的HTTP方法
+   * @param {number} fault.times 触发次数，默认1，Infinity 表示一直触发
+   * @param {number} fault.status 返回的HTTP状态码，401/403 时返回厂商的认证失败响应
+   * @param {Object} fault.body 自定义响应体
+   * @param {string} fault.code 返回厂商格式的业务错误码（HTTP 200）
+   * @param {string} fault.message 业务错误信息
+   * @param {boolean} fault.timeout 不返回响应，直到客户端超时
+   * @param {boolean} fault.reset 直接断开连接
+   * @param {number} fault.delay 延迟响应(ms)，之后正常处理
+   * @returns {MockServer}
+   */
+  inject(fault) {
+    if (!fault || typeof fault !== "object") {
+      throw new ParameterError("故障配置不能为空", "fault", fault);
+    }
+
+    this.faults.push({ times: 1, ...fault });
+    return this;
+  }
+
+  /**
+   * 清除未触发的故障
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * 取出与请求匹配的故障
+   * @param {Object} ctx 请求上下文
+   * @returns {Object|null}
+   */
+  takeFault(ctx) {
+    const index = this.faults.findIndex(
+      (fault) =>
+        (!fault.path || fault.path === ctx.path) &&
+        (!fault.method || fault.method.toUpperCase() === ctx.method)
+    );
+    if (index === -1) {
+      return null;
+    }
+
+    const fault = this.faults[index];
+    fault.times--;
+    if (fault.times <= 0) {
+      this.faults.splice(index, 1);
+    }
+    return fault;
+  }
+
+  // =================== token ===================
+
+  /**
+   * 签发 token
+   * @returns {string}
+   */
+  issueToken() {
+    const token = crypto.randomBytes(16).toString("hex");
+    this.tokens.set(token, Date.now() + this.tokenTtl);
+    return token;
+  }
+
+  /**
+   * 判断 token 是否有效
+   * @param {string} token
+   * @returns {boolean}
+   */
+  isTokenValid(token) {
+    const expiresAt = this.tokens.get(token);
+    return Boolean(expiresAt && Date.now() < expiresAt);
+  }
+
+  /**
+   * 延长 token 有效期
+   * @param {string} token
+   * @returns {boolean} token 是否有效
+   */
+  refreshToken(token) {
+    if (!this.isTokenValid(token)) {
+      return false;
+    }
+
+    this.tokens.set(token, Date.now() + this.tokenTtl);
+    return true;
+  }
+
+  /**
+   * 使已签发的 token 全部失效，模拟 token 过期或平台重启
+   */
+  expireTokens() {
+    this.tokens.clear();
+  }
+
+  // =================== 厂商响应格式 ===================
+
+  /**
+   * 判断请求是否已认证，由子类实现
+   * @param {Object} ctx 请求上下文
+   * @returns {boolean}
+   */
+  authenticate(ctx) {
+    return true;
+  }
+
+  /**
+   * 认证失败的响应体，由子类实现
+   * @param {Object} ctx 请求上下文
+   * @returns {Object}
+   */
+  unauthorized(ctx) {
+    return { message: "Unauthorized" };
+  }
+
+  /**
+   * 业务错误的响应体，由子类实现
+   * @param {string} code 错误码
+   * @param {string} message 错误信息
+   * @returns {Object}
+   */
+  businessError(code, message) {
+    return { code, message };
+  }
+
+  /**
+   * 按页截取列表
+   * @param {Array} list 完整列表
+   * @param {number} offset 起始位置
+   * @param {number} size 每页大小
+   * @returns {Array}
+   */
+  slice(list, offset, size) {
+    return list.slice(Math.max(0, offset), Math.max(0, offset) + Math.max(0, size));
+  }
+
+  // =================== 请求处理 ===================
+
+  /**
+   * 解析请求
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<Object>} 请求上下文
+   */
+  async parseRequest(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+
+    const buffer = Buffer.concat(chunks);
+    const rawBody = buffer.toString("utf8");
+    let body = rawBody;
+    if (/^application\/x-www-form-urlencoded/i.test(req.headers["content-type"] || "")) {
+      body = Object.fromEntries(new URLSearchParams(rawBody));
+    } else {
+      try {
+        body = rawBody ? JSON.parse(rawBody) : {};
+      } catch (error) {
+        // 非 JSON 请求体保留原文
+      }
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    return {
+      method: req.method,
+      url: req.url,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      rawBody,
+      buffer,
+      body,
+      status: 200,
+    };
+  }
+
+  /**
+   * 处理请求
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    const ctx = await this.parseRequest(req);
+    this.requests.push(ctx);
+
+    const fault = this.takeFault(ctx);
+    if (fault) {
+      if (fault.timeout) {
+        return;
+      }
+
+      if (fault.reset) {
+        req.socket.destroy();
+        return;
+      }
+
+      if (fault.delay) {
+        await new Promise((resolve) => setTimeout(resolve, fault.delay));
+      }
+
+      if (fault.body || fault.status) {
+        const status = fault.status || 200;
+        let body = fault.body;
+        if (!body) {
+          body = [401, 403].includes(status)
+            ? this.unauthorized(ctx)
+            : this.businessError(String(status), http.STATUS_CODES[status]);
+        }
+        return this.send(res, status, body);
+      }
+
+      if (fault.code) {
+        return this.send(res, 200, this.businessError(fault.code, fault.message || "模拟错误"));
+      }
+    }
+
+    const route = this.routes.get(`${ctx.method} ${ctx.path}`);
+    if (!route) {
+      return this.send(res, 404, this.businessError("404", `接口不存在: ${ctx.method} ${ctx.path}`));
+    }
+
+    if (route.auth && !this.authenticate(ctx)) {
+      return this.send(res, 401, this.unauthorized(ctx));
+    }
+
+    try {
+      const body = await route.handler(ctx);
+      this.send(res, ctx.status, body, ctx.contentType);
+    } catch (error) {
+      this.send(res, 500, this.businessError("500", error.message));
+    }
+  }
+
+  /**
+   * 发送JSON响应，响应体为 Buffer 时原样发送（如图片）
+   * @param {http.ServerResponse} res
+   * @param {number} status 状态码
+   * @param {Object|Buffer} body 响应体
+   * @param {string} contentType Buffer 响应体的类型，默认 application/octet-stream
+   */
+  send(res, status, body, contentType = "application/octet-stream") {
+    res.statusCode = status;
+    if (Buffer.isBuffer(body)) {
+      res.setHeader("Content-Type", contentType);
+      res.end(body);
+      return;
+    }
+
+    res.setHeader("Content-Type", "application/json;charset=UTF-8");
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = { MockServer };
@@ -0,0 +1,285 @@
+/**
+ * 客户端限流
+ * 令牌桶控制请求速率，信号量控制同时在途的请求数，支持按接口路径单独配置
+ */
+
+const { ParameterError } = require("../utils/errors/cameraErrors");
+
+/**
+ * 令牌桶，按固定速率补充令牌，桶容量决定允许的突发请求数
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options 配置
+   * @param {number} options.rate 每秒补充的令牌数
+   * @param {number} options.burst 桶容量，默认等于 rate
+   */
+  constructor({ rate, burst }) {
+    if (!(rate > 0)) {
+      throw new ParameterError("rate必须为正数", "rate", rate);
+    }
+
+    this.rate = rate;
+    this.capacity = burst > 0 ? burst : Math.max(1, rate);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * 按经过的时间补充令牌
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 取走一个令牌，没有令牌时按先进先出顺序等待
+   * @returns {Promise<void>}
+   */
+  take() {
+    return new Promise((resolve) => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * 给排队的请求分配令牌，不够时定时等待下一个令牌
+   */
+  drain() {
+    this.refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0 && !this.timer) {
+      const wait = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+
+  /**
+   * 当前可用令牌数
+   * @returns {number}
+   */
+  get available() {
+    this.refill();
+    return Math.floor(this.tokens);
+  }
+
+  /**
+   * 等待令牌的请求数
+   * @returns {number}
+   */
+  get waiting() {
+    return this.queue.length;
+  }
+}
+
+/**
+ * 计数信号量，限制同时在途的请求数
+ */
+class Semaphore {
+  /**
+   * @param {number} max 最大并发数
+   */
+  constructor(max) {
+    if (!(max >= 1)) {
+      throw new ParameterError("maxConcurrent必须大于等于1", "maxConcurrent", max);
+    }
+
+    this.max = Math.floor(max);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * 获取一个并发名额，名额用完时排队等待
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.active < this.max) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => this.queue.push(resolve));
+  }
+
+  /**
+   * 释放名额，直接转交给队首的等待者
+   */
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * 在途请求数
+   * @returns {number}
+   */
+  get inFlight() {
+    return this.active;
+  }
+
+  /**
+   * 等待名额的请求数
+   * @returns {number}
+   */
+  get waiting() {
+    return this.queue.length;
+  }
+}
+
+/**
+ * 一组限流规则（速率 + 并发）
+ */
+class Limit {
+  /**
+   * @param {Object} options 配置
+   * @param {number} options.rate 每秒请求数，不设置则不限速
+   * @param {number} options.burst 突发请求数，默认等于 rate
+   * @param {number} options.maxConcurrent 最大在途请求数，不设置则不限并发
+   */
+  constructor(options = {}) {
+    this.bucket = options.rate ? new TokenBucket(options) : null;
+    this.semaphore = options.maxConcurrent ? new Semaphore(options.maxConcurrent) : null;
+  }
+
+  /**
+   * 当前状态
+   * @returns {{ inFlight: number, queued: number, availableTokens: number|null }}
+   */
+  stats() {
+    return {
+      inFlight: this.semaphore ? this.semaphore.inFlight : null,
+      queued: (this.semaphore ? this.semaphore.waiting : 0) + (this.bucket ? this.bucket.waiting : 0),
+      availableTokens: this.bucket ? this.bucket.available : null,
+    };
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} options 限流配置
+   * @param {number} options.rate 全局每秒请求数
+   * @param {number} options.burst 全局突发请求数
+   * @param {number} options.maxConcurrent 全局最大在途请求数
+   * @param {Object<string, Object>} options.endpoints 按接口路径单独配置，键为完整路径或以 * 结尾的路径前缀
+   */
+  constructor(options = {}) {
+    this.global = new Limit(options);
+    this.endpoints = Object.entries(options.endpoints || {}).map(([pattern, endpointOptions]) => ({
+      pattern,
+      prefix: pattern.endsWith("*") ? pattern.slice(0, -1) : null,
+      limit: new Limit(endpointOptions),
+    }));
+  }
+
+  /**
+   * 根据配置创建限流器
+   * @param {RateLimiter|Object|boolean} value 未设置或 false 表示不限流
+   * @returns {RateLimiter|null}
+   */
+  static from(value) {
+    if (value instanceof RateLimiter) {
+      return value;
+    }
+
+    if (value && typeof value === "object") {
+      return new RateLimiter(value);
+    }
+
+    return null;
+  }
+
+  /**
+   * 查找接口路径对应的单独配置，完整路径优先，其次最长前缀
+   * @param {string} path 接口路径
+   * @returns {Object|null}
+   */
+  matchEndpoint(path = "") {
+    const pathname = String(path).split("?")[0];
+    let matched = null;
+
+    for (const endpoint of this.endpoints) {
+      if (endpoint.pattern === pathname) {
+        return endpoint;
+      }
+
+      if (
+        endpoint.prefix !== null &&
+        pathname.startsWith(endpoint.prefix) &&
+        (!matched || endpoint.prefix.length > matched.prefix.length)
+      ) {
+        matched = endpoint;
+      }
+    }
+
+    return matched;
+  }
+
+  /**
+   * 在限流规则下执行请求
+   * 先占用并发名额再取令牌，接口级规则与全局规则同时生效
+   * @param {string} path 接口路径
+   * @param {Function} fn 实际发送请求的异步函数
+   * @param {Object} options 选项
+   * @param {boolean} options.concurrency 是否占用并发名额，默认true（认证请求在其他请求的名额内发起，不再占用）
+   * @returns {Promise<*>} 函数执行结果
+   */
+  async schedule(path, fn, { concurrency = true } = {}) {
+    const endpoint = this.matchEndpoint(path);
+    const limits = endpoint ? [endpoint.limit, this.global] : [this.global];
+    const acquired = [];
+
+    try {
+      if (concurrency) {
+        for (const limit of limits) {
+          if (limit.semaphore) {
+            await limit.semaphore.acquire();
+            acquired.push(limit.semaphore);
+          }
+        }
+      }
+
+      for (const limit of limits) {
+        if (limit.bucket) {
+          await limit.bucket.take();
+        }
+      }
+
+      return await fn();
+    } finally {
+      acquired.reverse().forEach((semaphore) => semaphore.release());
+    }
+  }
+
+  /**
+   * 限流状态，用于观察排队深度
+   * @returns {{ inFlight: number|null, queued: number, availableTokens: number|null, endpoints: Object }}
+   */
+  stats() {
+    const endpoints = {};
+    this.endpoints.forEach(({ pattern, limit }) => {
+      endpoints[pattern] = limit.stats();
+    });
+
+    return { ...this.global.stats(), endpoints };
+  }
+}
+
+module.exports = { RateLimiter, TokenBucket, Semaphore };
@@ -0,0 +1,266 @@
+/**
+ * 请求导出
+ * 将请求生成 curl 命令，或将一段会话（含登录握手）导出为 HAR 1.2 文件，便于向厂商技术支持提交问题
+ */
+
+const fs = require("fs");
+const axios = require("axios");
+const { Redactor } = require("../utils/redact");
+const { version } = require("../../package.json");
+
+/**
+ * curl 命令中省略的请求头（由 curl 自动生成）
+ */
+const CURL_SKIPPED_HEADERS = ["content-length", "host", "connection"];
+
+/**
+ * 将请求头转换为普通对象
+ * @param {Object} headers 请求头（普通对象或 AxiosHeaders）
+ * @returns {Object}
+ */
+function toPlainHeaders(headers) {
+  if (!headers) {
+    return {};
+  }
+
+  const plain = typeof headers.toJSON === "function" ? headers.toJSON() : headers;
+  const result = {};
+  Object.entries(plain).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && typeof value !== "object") {
+      result[key] = String(value);
+    }
+  });
+  return result;
+}
+
+/**
+ * 将请求体或响应体转换为文本，二进制内容转为 base64
+ * @param {*} body 请求体或响应体
+ * @returns {{ text: string, encoding?: string }|null}
+ */
+function toBodyText(body) {
+  if (body === undefined || body === null || body === "") {
+    return null;
+  }
+
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    return { text: Buffer.from(body).toString("base64"), encoding: "base64" };
+  }
+
+  if (typeof body === "object") {
+    return { text: JSON.stringify(body) };
+  }
+
+  return { text: String(body) };
+}
+
+/**
+ * 生成curl命令
+ * @param {Object} request 请求
+ * @param {string} request.method HTTP方法
+ * @param {string} request.url 完整URL（含查询参数）
+ * @param {Object} request.headers 请求头
+ * @param {*} request.body 请求体
+ * @returns {string} curl命令字符串
+ */
+function buildCurlCommand({ method, url, headers, body }) {
+  const upperMethod = String(method).toUpperCase();
+
+  // 开始构建curl命令，URL用引号包围以处理特殊字符
+  let curlCommand = `curl -X ${upperMethod} '${url}'`;
+
+  // 添加headers
+  Object.entries(toPlainHeaders(headers)).forEach(([key, value]) => {
+    if (!CURL_SKIPPED_HEADERS.includes(key.toLowerCase())) {
+      curlCommand += ` \\\n  -H '${key}: ${value}'`;
+    }
+  });
+
+  // 添加请求体数据（对于POST、PUT等请求）
+  const bodyText = toBodyText(body);
+  if (bodyText && bodyText.encoding !== "base64" && ["POST", "PUT", "PATCH"].includes(upperMethod)) {
+    // 转义单引号
+    const dataString = bodyText.text.replace(/'/g, "'\"'\"'");
+    curlCommand += ` \\\n  -d '${dataString}'`;
+  }
+
+  // 添加一些有用的curl选项
+  curlCommand += " \\\n  --insecure \\\n  --connect-timeout 30 \\\n  --max-time 60 \\\n  -v";
+
+  return curlCommand;
+}
+
+/**
+ * 会话记录，保存请求和响应的原始内容，导出时再脱敏
+ */
+class RequestCapture {
+  /**
+   * @param {Object} options 选项
+   * @param {Redactor} options.redactor 导出时默认使用的脱敏器
+   * @param {number} options.maxEntries 最多保留的请求数，超出时丢弃最早的记录，默认1000
+   */
+  constructor(options = {}) {
+    this.redactor = options.redactor || new Redactor();
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = [];
+  }
+
+  /**
+   * 记录一次请求
+   * @param {Object} requestConfig axios请求配置（已完成请求体序列化）
+   * @param {Object} response axios响应，没有收到响应时为空
+   * @param {Error} error 请求错误
+   */
+  record(requestConfig, response, error) {
+    const startTime = requestConfig._startTime || Date.now();
+
+    this.entries.push({
+      startedDateTime: new Date(startTime).toISOString(),
+      time: Date.now() - startTime,
+      request: {
+        method: String(requestConfig.method).toUpperCase(),
+        url: axios.getUri(requestConfig),
+        headers: toPlainHeaders(requestConfig.headers),
+        body: requestConfig.data,
+      },
+      response: response
+        ? {
+            status: response.status,
+            statusText: response.statusText || "",
+            headers: toPlainHeaders(response.headers),
+            body: response.data,
+          }
+        : null,
+      error: error && !response ? error.message : null,
+    });
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * 清空记录
+   */
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * 根据导出选项选择脱敏器
+   * @param {boolean|Redactor|Object} redact true 使用默认脱敏器，false 不脱敏，也可传入脱敏规则
+   * @returns {Redactor|null}
+   */
+  resolveRedactor(redact) {
+    if (redact === undefined || redact === true) {
+      return this.redactor;
+    }
+    return redact === false ? null : Redactor.from(redact);
+  }
+
+  /**
+   * 导出为curl命令，多条命令之间以空行分隔
+   * @param {Object} options 导出选项
+   * @param {boolean|Object} options.redact 是否脱敏，默认true
+   * @returns {string}
+   */
+  toCurl({ redact } = {}) {
+    const redactor = this.resolveRedactor(redact);
+
+    return this.entries
+      .map(({ request }) =>
+        buildCurlCommand({
+          method: request.method,
+          url: redactor ? redactor.redactUrl(request.url) : request.url,
+          headers: redactor ? redactor.redact(request.headers) : request.headers,
+          body: redactor ? redactor.redact(request.body) : request.body,
+        })
+      )
+      .join("\n\n");
+  }
+
+  /**
+   * 导出为 HAR 1.2 对象
+   * @param {Object} options 导出选项
+   * @param {boolean|Object} options.redact 是否脱敏，默认true
+   * @returns {Object} HAR对象
+   */
+  toHar({ redact } = {}) {
+    const redactor = this.resolveRedactor(redact);
+    const clean = (value) => (redactor ? redactor.redact(value) : value);
+    const toNameValue = (object) =>
+      Object.entries(object).map(([name, value]) => ({ name, value: String(value) }));
+
+    const entries = this.entries.map(({ startedDateTime, time, request, response, error }) => {
+      const url = redactor ? redactor.redactUrl(request.url) : request.url;
+      const requestHeaders = clean(request.headers);
+      const requestBody = toBodyText(clean(request.body));
+      const responseBody = response ? toBodyText(clean(response.body)) : null;
+
+      const entry = {
+        startedDateTime,
+        time,
+        request: {
+          method: request.method,
+          url,
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: toNameValue(requestHeaders),
+          queryString: toNameValue(Object.fromEntries(new URL(url).searchParams)),
+          headersSize: -1,
+          bodySize: requestBody ? Buffer.byteLength(requestBody.text) : 0,
+        },
+        response: {
+          status: response ? response.status : 0,
+          statusText: response ? response.statusText : "",
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: response ? toNameValue(clean(response.headers)) : [],
+          content: {
+            size: responseBody ? Buffer.byteLength(responseBody.text) : 0,
+            mimeType: response?.headers["content-type"] || "application/octet-stream",
+            ...(responseBody || { text: "" }),
+          },
+          redirectURL: "",
+          headersSize: -1,
+          bodySize: responseBody ? Buffer.byteLength(responseBody.text) : 0,
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+      };
+
+      if (requestBody) {
+        entry.request.postData = {
+          mimeType: requestHeaders["Content-Type"] || requestHeaders["content-type"] || "application/json",
+          text: requestBody.text,
+        };
+      }
+
+      if (error) {
+        entry.comment = error;
+      }
+
+      return entry;
+    });
+
+    return {
+      log: {
+        version: "1.2",
+        creator: { name: "security-camera-sdk", version },
+        pages: [],
+        entries,
+      },
+    };
+  }
+
+  /**
+   * 保存为HAR文件
+   * @param {string} filePath 文件路径
+   * @param {Object} options 导出选项，同 toHar
+   */
+  async saveHar(filePath, options = {}) {
+    await fs.promises.writeFile(filePath, JSON.stringify(this.toHar(options), null, 2));
+  }
+}
+
+module.exports = { RequestCapture, buildCurlCommand };
@@ -0,0 +1,200 @@
+/**
+ * 请求重试策略
+ * 指数退避 + 随机抖动，只对可重试的错误和幂等请求进行重试
+ */
+
+const { Utils } = require("../utils/logger");
+const { isTlsError } = require("./transport");
+
+/**
+ * 默认重试配置
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  // 最大尝试次数（含首次请求），1 表示不重试
+  maxAttempts: 3,
+  // 首次重试的基础延迟(ms)
+  baseDelay: 300,
+  // 单次延迟上限(ms)
+  maxDelay: 10000,
+  // 退避倍数
+  factor: 2,
+  // 抖动方式：full-在 [0, delay] 内随机，equal-在 [delay/2, delay] 内随机，none-不抖动
+  jitter: "equal",
+  // 可重试的HTTP状态码
+  retryableStatuses: [429, 500, 502, 503, 504],
+  // 可重试的底层网络错误码
+  retryableCodes: [
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ECONNABORTED",
+    "ETIMEDOUT",
+    "EPIPE",
+    "EAI_AGAIN",
+    "ENOTFOUND",
+  ],
+  // 是否重试非幂等请求（未标记 idempotent 的 POST）
+  retryNonIdempotent: false,
+  // 自定义判断，返回 true/false 覆盖默认判断，返回 undefined 使用默认判断
+  shouldRetry: null,
+};
+
+/**
+ * 幂等的HTTP方法
+ */
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+class RetryPolicy {
+  /**
+   * @param {Object} options 重试配置，见 DEFAULT_RETRY_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  }
+
+  /**
+   * 根据配置创建重试策略
+   * @param {RetryPolicy|Object|boolean} value false 表示不重试，true 或未设置使用默认配置
+   * @param {RetryPolicy} base 作为默认值的策略（客户端级策略）
+   * @returns {RetryPolicy}
+   */
+  static from(value, base = null) {
+    if (value instanceof RetryPolicy) {
+      return value;
+    }
+
+    const baseOptions = base ? base.options : {};
+
+    if (value === false) {
+      return new RetryPolicy({ ...baseOptions, maxAttempts: 1 });
+    }
+
+    if (value && typeof value === "object") {
+      return new RetryPolicy({ ...baseOptions, ...value });
+    }
+
+    return base || new RetryPolicy();
+  }
+
+  /**
+   * 判断请求是否幂等
+   * POST 请求默认非幂等，只读查询接口可通过请求配置 idempotent: true 声明
+   * @param {Object} requestConfig 请求配置
+   * @returns {boolean}
+   */
+  isIdempotent(requestConfig = {}) {
+    if (typeof requestConfig.idempotent === "boolean") {
+      return requestConfig.idempotent;
+    }
+    return IDEMPOTENT_METHODS.includes(String(requestConfig.method || "GET").toUpperCase());
+  }
+
+  /**
+   * 判断错误是否可重试
+   * @param {Error} error 错误对象
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    if (error.retryable === true) {
+      return true;
+    }
+
+    const code = error.code || error.originalError?.code;
+    if (code && this.options.retryableCodes.includes(code)) {
+      return true;
+    }
+
+    // 请求已发出但没有收到响应（主动取消和证书校验失败的请求除外）
+    if (
+      error.name === "NetworkError" &&
+      error.originalError?.request &&
+      code !== "ERR_CANCELED" &&
+      !isTlsError(error)
+    ) {
+      return true;
+    }
+
+    const status = error.statusCode || error.response?.status;
+    return Boolean(status && this.options.retryableStatuses.includes(status));
+  }
+
+  /**
+   * 判断是否应该重试
+   * @param {Error} error 错误对象
+   * @param {number} attempt 已尝试次数
+   * @param {Object} requestConfig 请求配置
+   * @returns {boolean}
+   */
+  shouldRetry(error, attempt, requestConfig = {}) {
+    if (attempt >= this.options.maxAttempts) {
+      return false;
+    }
+
+    if (typeof this.options.shouldRetry === "function") {
+      const decision = this.options.shouldRetry(error, attempt, requestConfig);
+      if (typeof decision === "boolean") {
+        return decision;
+      }
+    }
+
+    if (!this.options.retryNonIdempotent && !this.isIdempotent(requestConfig)) {
+      return false;
+    }
+
+    return this.isRetryableError(error);
+  }
+
+  /**
+   * 计算第 attempt 次失败后的等待时间
+   * @param {number} attempt 已尝试次数，从1开始
+   * @returns {number} 延迟毫秒数
+   */
+  getDelay(attempt) {
+    const { baseDelay, maxDelay, factor, jitter } = this.options;
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+
+    if (jitter === "full") {
+      return Math.floor(Math.random() * delay);
+    }
+
+    if (jitter === "equal") {
+      return Math.floor(delay / 2 + Math.random() * (delay / 2));
+    }
+
+    return delay;
+  }
+
+  /**
+   * 按策略执行函数
+   * @param {Function} fn 待执行的异步函数，参数为当前尝试次数
+   * @param {Object} context 执行上下文
+   * @param {Object} context.requestConfig 请求配置，用于判断幂等性，其中的 signal 取消后不再重试
+   * @param {Function} context.onRetry 重试前回调 (error, attempt, delay) => void
+   * @returns {Promise<*>} 函数执行结果
+   */
+  async execute(fn, context = {}) {
+    const { requestConfig = {}, onRetry } = context;
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        if (requestConfig.signal?.aborted || !this.shouldRetry(error, attempt, requestConfig)) {
+          throw error;
+        }
+
+        const delay = this.getDelay(attempt);
+        if (onRetry) {
+          onRetry(error, attempt, delay);
+        }
+
+        // 等待期间取消时立即发起下一次尝试，由 axios 以已取消结束请求
+        await Utils.sleep(delay, requestConfig.signal);
+      }
+    }
+  }
+}
+
+module.exports = { RetryPolicy, DEFAULT_RETRY_OPTIONS };
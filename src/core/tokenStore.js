@@ -0,0 +1,155 @@
+/**
+ * 访问令牌存储
+ * 客户端登录后把 token 写入存储，重启或多实例部署时可复用未过期的 token
+ *
+ * 自定义存储只需实现以下异步方法（如基于 Redis）：
+ *   get(key)          返回 { accessToken, tokenType, expiresAt } 或 null
+ *   set(key, token)   保存 token
+ *   delete(key)       删除 token
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ParameterError } = require("../utils/errors/cameraErrors");
+
+/**
+ * 各存储文件的写操作队列，同一文件的读改写依次执行（同一进程内共用一个文件的多个实例也会排队）
+ */
+const FILE_QUEUES = new Map();
+
+/**
+ * 内存存储，仅在当前进程内有效（默认）
+ */
+class MemoryTokenStore {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * @param {string} key 存储键
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    return this.tokens.get(key) || null;
+  }
+
+  /**
+   * @param {string} key 存储键
+   * @param {Object} token token信息
+   */
+  async set(key, token) {
+    this.tokens.set(key, token);
+  }
+
+  /**
+   * @param {string} key 存储键
+   */
+  async delete(key) {
+    this.tokens.delete(key);
+  }
+}
+
+/**
+ * 文件存储，所有 token 以 JSON 保存在同一个文件中
+ * 文件权限为 600，写入时先写临时文件再重命名，避免读到半个文件
+ * 同一文件的 set/delete 依次执行，多个客户端共用存储时不会互相覆盖
+ */
+class FileTokenStore {
+  /**
+   * @param {string} filePath 存储文件路径
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new ParameterError("filePath参数不能为空", "filePath", filePath);
+    }
+
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * 读取全部 token，文件不存在或内容损坏时视为空
+   * @returns {Promise<Object>}
+   */
+  async readAll() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, "utf8");
+      const tokens = JSON.parse(content);
+      return tokens && typeof tokens === "object" ? tokens : {};
+    } catch (error) {
+      if (error.code === "ENOENT" || error instanceof SyntaxError) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 写入全部 token
+   * @param {Object} tokens
+   */
+  async writeAll(tokens) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * 排队执行读改写操作，前一个操作失败不影响后续操作
+   * @param {Function} operation 异步操作
+   * @returns {Promise}
+   */
+  serialize(operation) {
+    const previous = FILE_QUEUES.get(this.filePath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    const tail = current.catch(() => {});
+
+    FILE_QUEUES.set(this.filePath, tail);
+    // 队列空闲后移除，避免 Map 持续增长
+    tail.then(() => {
+      if (FILE_QUEUES.get(this.filePath) === tail) {
+        FILE_QUEUES.delete(this.filePath);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * @param {string} key 存储键
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const tokens = await this.readAll();
+    return tokens[key] || null;
+  }
+
+  /**
+   * @param {string} key 存储键
+   * @param {Object} token token信息
+   */
+  async set(key, token) {
+    await this.serialize(async () => {
+      const tokens = await this.readAll();
+      tokens[key] = token;
+      await this.writeAll(tokens);
+    });
+  }
+
+  /**
+   * @param {string} key 存储键
+   */
+  async delete(key) {
+    await this.serialize(async () => {
+      const tokens = await this.readAll();
+      if (key in tokens) {
+        delete tokens[key];
+        await this.writeAll(tokens);
+      }
+    });
+  }
+}
+
+module.exports = { MemoryTokenStore, FileTokenStore };
@@ -0,0 +1,178 @@
+/**
+ * 统一平台接口定义
+ * 各厂商适配器继承此类，将统一接口映射到各自的API方法上
+ */
+
+const { NotSupportedError, ParameterError } = require("../utils/errors/cameraErrors");
+const { buildOrganizationTree } = require("./orgTree");
+const { normalizeCameras, normalizeOrganizations } = require("./normalize");
+
+/**
+ * 统一接口支持迭代的资源及其转换函数
+ */
+const NORMALIZERS = {
+  cameras: normalizeCameras,
+  organizations: normalizeOrganizations,
+};
+
+/**
+ * 设备在线状态
+ * @typedef {Object} DeviceStatus
+ * @property {string} id 设备/通道编码
+ * @property {boolean|null} online 是否在线，平台未返回时为null
+ * @property {Object} raw 平台原始数据
+ */
+
+/**
+ * 统一平台接口基类
+ *
+ * 所有方法默认抛出 NotSupportedError，厂商适配器按平台能力覆盖实现。
+ */
+class PlatformAdapter {
+  /**
+   * @param {Object} client 厂商客户端实例
+   * @param {string} vendor 厂商标识：hikvision、dahua、uniview
+   */
+  constructor(client, vendor) {
+    this.client = client;
+    this.vendor = vendor;
+  }
+
+  /**
+   * 查询摄像头列表
+   * @param {Object} filter 查询条件，透传给厂商接口
+   * @returns {Promise<Array<Camera>>} 统一摄像头列表，见 normalize.js
+   */
+  async listCameras(filter = {}) {
+    throw this.notSupported("listCameras");
+  }
+
+  /**
+   * 查询组织列表
+   * @param {Object} filter 查询条件，透传给厂商接口
+   * @returns {Promise<Array<Organization>>} 统一组织列表，见 normalize.js
+   */
+  async listOrganizations(filter = {}) {
+    throw this.notSupported("listOrganizations");
+  }
+
+  /**
+   * 分页迭代查询，返回统一模型
+   *
+   * 用法：for await (const camera of platform.iterate('cameras')) { ... }
+   *
+   * @param {string} resource 资源名称：cameras、organizations
+   * @param {Object} filter 查询条件，透传给厂商客户端的 iterate
+   * @param {Object} options 迭代选项
+   * @param {number} options.pageSize 每页大小
+   * @param {string} options.cursor 从上次中断的游标继续
+   * @returns {PageIterator} 异步迭代器，可通过 .cursor 获取续传位置
+   */
+  iterate(resource, filter = {}, options = {}) {
+    const normalize = NORMALIZERS[resource];
+    if (!normalize) {
+      throw new ParameterError(
+        `不支持分页迭代的资源: ${resource}，可选值: ${Object.keys(NORMALIZERS).join(", ")}`,
+        "resource",
+        resource
+      );
+    }
+
+    return this.client.api.iterate(resource, filter, {
+      ...options,
+      transform: (items) => normalize(this.vendor, items),
+    });
+  }
+
+  /**
+   * 查询全量摄像头
+   * @param {Object} options 查询选项
+   * @param {number} options.pageSize 每页大小
+   * @returns {Promise<Array<Camera>>} 统一摄像头列表
+   */
+  async listAllCameras(options = {}) {
+    return await this.iterate("cameras", {}, { pageSize: options.pageSize }).toArray();
+  }
+
+  /**
+   * 查询全量组织
+   * @param {Object} options 查询选项
+   * @param {number} options.pageSize 每页大小
+   * @returns {Promise<Array<Organization>>} 统一组织列表
+   */
+  async listAllOrganizations(options = {}) {
+    return await this.iterate("organizations", {}, { pageSize: options.pageSize }).toArray();
+  }
+
+  /**
+   * 获取组织树，摄像头挂在所属组织节点下
+   * @param {Object} options 查询选项，透传给 listAllOrganizations / listAllCameras
+   * @param {boolean} options.includeCameras 是否加载摄像头，默认true
+   * @returns {Promise<OrganizationTree>} 组织树，提供 findNode / pathTo / descendantsOf 查询
+   */
+  async getOrganizationTree(options = {}) {
+    const { includeCameras = true, ...rest } = options;
+
+    const [organizations, cameras] = await Promise.all([
+      this.listAllOrganizations(rest),
+      includeCameras ? this.listAllCameras(rest) : [],
+    ]);
+
+    return buildOrganizationTree(organizations, cameras);
+  }
+
+  /**
+   * 获取实时预览地址
+   * @param {string} cameraId 摄像头/通道编码
+   * @param {Object} options 厂商相关选项（码流、协议等）
+   * @returns {Promise<string>} 预览地址
+   */
+  async getLiveUrl(cameraId, options = {}) {
+    throw this.notSupported("getLiveUrl");
+  }
+
+  /**
+   * 获取录像回放地址
+   * @param {string} cameraId 摄像头/通道编码
+   * @param {Object} options 回放选项
+   * @param {Date|number|string} options.startTime 开始时间
+   * @param {Date|number|string} options.endTime 结束时间
+   * @returns {Promise<string>} 回放地址
+   */
+  async getPlaybackUrl(cameraId, options = {}) {
+    throw this.notSupported("getPlaybackUrl");
+  }
+
+  /**
+   * 查询设备在线状态
+   * @param {Array<string>} ids 设备/通道编码列表
+   * @returns {Promise<Array<DeviceStatus>>} 在线状态列表
+   */
+  async getDeviceStatus(ids) {
+    throw this.notSupported("getDeviceStatus");
+  }
+
+  /**
+   * 关闭客户端，释放定时器等资源
+   */
+  async close() {
+    if (typeof this.client.close === "function") {
+      await this.client.close();
+    }
+  }
+
+  /**
+   * 构建不支持操作的错误
+   * @param {string} operation 操作名称
+   * @returns {NotSupportedError}
+   */
+  notSupported(operation) {
+    return new NotSupportedError(
+      `${this.vendor} 平台不支持 ${operation} 操作`,
+      this.vendor,
+      operation
+    );
+  }
+}
+
+module.exports = { PlatformAdapter };
@@ -0,0 +1,55 @@
+/**
+ * 统一客户端工厂
+ * 根据配置中的 vendor 创建对应厂商的客户端，并返回统一平台接口
+ */
+
+const { HikvisionClient } = require("../vendors/hikvision/client");
+const { DahuaClient } = require("../vendors/dahua/client");
+const { UniviewClient } = require("../vendors/uniview/client");
+const { HikvisionAdapter } = require("../vendors/hikvision/adapter");
+const { DahuaAdapter } = require("../vendors/dahua/adapter");
+const { UniviewAdapter } = require("../vendors/uniview/adapter");
+const { ParameterError } = require("../utils/errors/cameraErrors");
+
+/**
+ * 厂商注册表
+ */
+const VENDORS = {
+  hikvision: { Client: HikvisionClient, Adapter: HikvisionAdapter },
+  dahua: { Client: DahuaClient, Adapter: DahuaAdapter },
+  uniview: { Client: UniviewClient, Adapter: UniviewAdapter },
+};
+
+/**
+ * 支持的厂商列表
+ */
+const SUPPORTED_VENDORS = Object.keys(VENDORS);
+
+/**
+ * 创建统一平台客户端
+ * @param {Object} options 配置对象
+ * @param {string} options.vendor 厂商标识：hikvision、dahua、uniview
+ * @param {...*} options.config 其余字段作为对应厂商客户端的配置
+ * @returns {PlatformAdapter} 统一平台接口实例，原始厂商客户端可通过 .client 访问
+ */
+function createClient(options = {}) {
+  const { vendor, ...config } = options;
+
+  if (!vendor) {
+    throw new ParameterError("vendor参数不能为空", "vendor", vendor);
+  }
+
+  const entry = VENDORS[String(vendor).toLowerCase()];
+  if (!entry) {
+    throw new ParameterError(
+      `不支持的厂商: ${vendor}，可选值: ${SUPPORTED_VENDORS.join(", ")}`,
+      "vendor",
+      vendor
+    );
+  }
+
+  const client = new entry.Client(config);
+  return new entry.Adapter(client);
+}
+
+module.exports = { createClient, SUPPORTED_VENDORS };
@@ -0,0 +1,246 @@
+/**
+ * 统一数据模型
+ * 将各厂商返回的原始数据转换为统一结构
+ */
+
+const { ParameterError } = require("../utils/errors/cameraErrors");
+
+/**
+ * 统一摄像头模型
+ * @typedef {Object} Camera
+ * @property {string} id 摄像头/通道编码
+ * @property {string} name 名称
+ * @property {string} vendor 厂商标识
+ * @property {boolean|null} online 是否在线，平台未返回时为null
+ * @property {string|null} orgId 所属组织/区域编码
+ * @property {string|null} ip 设备IP地址
+ * @property {number|null} channel 通道号
+ * @property {Object} raw 平台原始数据
+ */
+
+/**
+ * 统一组织模型
+ * @typedef {Object} Organization
+ * @property {string} id 组织/区域编码
+ * @property {string} name 名称
+ * @property {string|null} parentId 上级组织编码，根节点为null
+ * @property {string} vendor 厂商标识
+ * @property {Object} raw 平台原始数据
+ */
+
+/**
+ * 转换在线状态，兼容数字和字符串
+ * @param {*} value 原始状态值
+ * @returns {boolean|null}
+ */
+function toOnline(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  return Number(value) === 1;
+}
+
+/**
+ * 转换通道号
+ * @param {*} value 原始通道号
+ * @returns {number|null}
+ */
+function toChannel(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const channel = Number(value);
+  return isNaN(channel) ? null : channel;
+}
+
+/**
+ * 海康威视：Artemis 摄像头列表 data.list 中的一项
+ * @param {Object} item 原始数据
+ * @returns {Array<Camera>}
+ */
+function normalizeHikvisionCamera(item) {
+  return [
+    {
+      id: item.cameraIndexCode,
+      name: item.cameraName,
+      vendor: "hikvision",
+      online: toOnline(item.status),
+      orgId: item.regionIndexCode || null,
+      ip: item.ip || item.ipAddress || null,
+      channel: toChannel(item.channelNo),
+      raw: item,
+    },
+  ];
+}
+
+/**
+ * 大华：ICC 设备分页 pageData 中的一项
+ * 设备下的每个通道各生成一个摄像头，没有通道信息时以设备本身作为摄像头
+ * @param {Object} device 原始数据
+ * @returns {Array<Camera>}
+ */
+function normalizeDahuaCamera(device) {
+  const channels = (device.units || []).flatMap((unit) => unit.channels || []);
+
+  if (channels.length === 0) {
+    return [
+      {
+        id: device.deviceCode,
+        name: device.deviceName,
+        vendor: "dahua",
+        online: toOnline(device.isOnline),
+        orgId: device.ownerCode || null,
+        ip: device.deviceIp || null,
+        channel: null,
+        raw: device,
+      },
+    ];
+  }
+
+  return channels.map((channel) => ({
+    id: channel.channelCode,
+    name: channel.channelName || device.deviceName,
+    vendor: "dahua",
+    online: toOnline(channel.isOnline ?? device.isOnline),
+    orgId: channel.ownerCode || device.ownerCode || null,
+    ip: device.deviceIp || null,
+    channel: toChannel(channel.channelSeq),
+    raw: channel,
+  }));
+}
+
+/**
+ * 宇视：VIID 查询结果 Result.InfoList 中的一项
+ * @param {Object} item 原始数据
+ * @returns {Array<Camera>}
+ */
+function normalizeUniviewCamera(item) {
+  const res = item.ResItemV1 || item;
+
+  return [
+    {
+      id: res.ResCode,
+      name: res.ResName,
+      vendor: "uniview",
+      online: toOnline(res.ResStatus),
+      orgId: res.OrgCode || null,
+      ip: res.IPAddress || res.IpAddr || null,
+      channel: toChannel(res.ChannelIndex),
+      raw: item,
+    },
+  ];
+}
+
+/**
+ * 各厂商摄像头转换函数
+ */
+const CAMERA_NORMALIZERS = {
+  hikvision: normalizeHikvisionCamera,
+  dahua: normalizeDahuaCamera,
+  uniview: normalizeUniviewCamera,
+};
+
+/**
+ * 将厂商原始摄像头列表转换为统一模型
+ * @param {string} vendor 厂商标识
+ * @param {Array<Object>} items 原始列表
+ * @returns {Array<Camera>} 统一摄像头列表
+ */
+function normalizeCameras(vendor, items = []) {
+  const normalizer = CAMERA_NORMALIZERS[vendor];
+  if (!normalizer) {
+    throw new ParameterError(`不支持的厂商: ${vendor}`, "vendor", vendor);
+  }
+
+  return items.flatMap((item) => normalizer(item));
+}
+
+/**
+ * 转换上级编码，平台用于表示“无上级”的取值统一为null
+ * @param {*} value 原始上级编码
+ * @returns {string|null}
+ */
+function toParentId(value) {
+  if (value === undefined || value === null || value === "" || value === "-1") {
+    return null;
+  }
+  return String(value);
+}
+
+/**
+ * 海康威视：组织列表（orgIndexCode）或区域列表（indexCode）中的一项
+ * @param {Object} item 原始数据
+ * @returns {Organization}
+ */
+function normalizeHikvisionOrganization(item) {
+  return {
+    id: item.orgIndexCode || item.indexCode,
+    name: item.orgName || item.name,
+    parentId: toParentId(item.parentOrgIndexCode ?? item.parentIndexCode),
+    vendor: "hikvision",
+    raw: item,
+  };
+}
+
+/**
+ * 大华：ICC 组织分页 pageData 中的一项
+ * @param {Object} item 原始数据
+ * @returns {Organization}
+ */
+function normalizeDahuaOrganization(item) {
+  return {
+    id: item.orgCode,
+    name: item.orgName,
+    parentId: toParentId(item.parentCode ?? item.parentOrgCode),
+    vendor: "dahua",
+    raw: item,
+  };
+}
+
+/**
+ * 宇视：VIID 组织查询结果 Result.InfoList 中的一项
+ * @param {Object} item 原始数据
+ * @returns {Organization}
+ */
+function normalizeUniviewOrganization(item) {
+  const org = item.OrgInfo || item.ResItemV1 || item;
+
+  return {
+    id: org.OrgCode,
+    name: org.OrgName,
+    parentId: toParentId(org.ParentCode ?? org.ParentOrgCode),
+    vendor: "uniview",
+    raw: item,
+  };
+}
+
+/**
+ * 各厂商组织转换函数
+ */
+const ORGANIZATION_NORMALIZERS = {
+  hikvision: normalizeHikvisionOrganization,
+  dahua: normalizeDahuaOrganization,
+  uniview: normalizeUniviewOrganization,
+};
+
+/**
+ * 将厂商原始组织列表转换为统一模型
+ * @param {string} vendor 厂商标识
+ * @param {Array<Object>} items 原始列表
+ * @returns {Array<Organization>} 统一组织列表
+ */
+function normalizeOrganizations(vendor, items = []) {
+  const normalizer = ORGANIZATION_NORMALIZERS[vendor];
+  if (!normalizer) {
+    throw new ParameterError(`不支持的厂商: ${vendor}`, "vendor", vendor);
+  }
+
+  return items.map((item) => normalizer(item));
+}
+
+module.exports = {
+  normalizeCameras,
+  normalizeOrganizations,
+  CAMERA_NORMALIZERS,
+  ORGANIZATION_NORMALIZERS,
+};
@@ -0,0 +1,163 @@
+/**
+ * 组织树
+ * 由扁平的组织列表构建带上下级关系的树，并把摄像头挂到所属组织节点下
+ */
+
+/**
+ * 组织树节点
+ * @typedef {Object} OrganizationNode
+ * @property {string} id 组织编码
+ * @property {string} name 名称
+ * @property {string|null} parentId 上级组织编码
+ * @property {OrganizationNode|null} parent 上级节点（不可枚举，避免序列化时循环引用）
+ * @property {Array<OrganizationNode>} children 下级节点
+ * @property {Array<Camera>} cameras 直属摄像头
+ * @property {Object} raw 平台原始数据
+ */
+
+class OrganizationTree {
+  /**
+   * @param {Array<OrganizationNode>} roots 根节点列表
+   * @param {Map<string, OrganizationNode>} nodes 编码到节点的索引
+   * @param {Array<Camera>} unassignedCameras 找不到所属组织的摄像头
+   */
+  constructor(roots, nodes, unassignedCameras = []) {
+    this.roots = roots;
+    this.nodes = nodes;
+    this.unassignedCameras = unassignedCameras;
+  }
+
+  /**
+   * 按编码查找节点
+   * @param {string} id 组织编码
+   * @returns {OrganizationNode|null}
+   */
+  findNode(id) {
+    return this.nodes.get(String(id)) || null;
+  }
+
+  /**
+   * 获取从根节点到指定节点的路径
+   * @param {string} id 组织编码
+   * @returns {Array<OrganizationNode>} 路径节点（含根节点和目标节点），找不到时为空数组
+   */
+  pathTo(id) {
+    const path = [];
+    let node = this.findNode(id);
+
+    while (node) {
+      path.unshift(node);
+      node = node.parent;
+    }
+
+    return path;
+  }
+
+  /**
+   * 获取指定节点下的全部后代节点（深度优先，不含节点本身）
+   * @param {string} id 组织编码
+   * @returns {Array<OrganizationNode>}
+   */
+  descendantsOf(id) {
+    const node = this.findNode(id);
+    if (!node) {
+      return [];
+    }
+
+    const result = [];
+    const stack = [...node.children].reverse();
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      result.push(current);
+      stack.push(...[...current.children].reverse());
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取指定节点及其全部后代节点下的摄像头
+   * @param {string} id 组织编码
+   * @returns {Array<Camera>}
+   */
+  camerasUnder(id) {
+    const node = this.findNode(id);
+    if (!node) {
+      return [];
+    }
+
+    return [node, ...this.descendantsOf(id)].flatMap((item) => item.cameras);
+  }
+}
+
+/**
+ * 判断 ancestor 是否为 node 本身或其祖先，用于避免错误数据造成环
+ * @param {OrganizationNode} ancestor 候选祖先节点
+ * @param {OrganizationNode} node 节点
+ * @returns {boolean}
+ */
+function isSelfOrAncestor(ancestor, node) {
+  let current = node;
+  while (current) {
+    if (current === ancestor) {
+      return true;
+    }
+    current = current.parent;
+  }
+  return false;
+}
+
+/**
+ * 构建组织树
+ * 找不到上级的组织作为根节点，找不到所属组织的摄像头放入 unassignedCameras
+ * @param {Array<Organization>} organizations 统一组织列表
+ * @param {Array<Camera>} cameras 统一摄像头列表
+ * @returns {OrganizationTree}
+ */
+function buildOrganizationTree(organizations = [], cameras = []) {
+  const nodes = new Map();
+
+  organizations.forEach((org) => {
+    const node = {
+      id: String(org.id),
+      name: org.name,
+      parentId: org.parentId,
+      children: [],
+      cameras: [],
+      raw: org.raw,
+    };
+    Object.defineProperty(node, "parent", {
+      value: null,
+      writable: true,
+      enumerable: false,
+    });
+    nodes.set(node.id, node);
+  });
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId ? nodes.get(String(node.parentId)) : null;
+
+    if (parent && !isSelfOrAncestor(node, parent)) {
+      node.parent = parent;
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const unassignedCameras = [];
+  cameras.forEach((camera) => {
+    const node = camera.orgId ? nodes.get(String(camera.orgId)) : null;
+    if (node) {
+      node.cameras.push(camera);
+    } else {
+      unassignedCameras.push(camera);
+    }
+  });
+
+  return new OrganizationTree(roots, nodes, unassignedCameras);
+}
+
+module.exports = { OrganizationTree, buildOrganizationTree };
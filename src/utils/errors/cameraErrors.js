@@ -43,32 +43,103 @@ class CameraError extends Error {
  * 当摄像头API返回错误时抛出
  */
 class ApiError extends CameraError {
-  constructor(message, responseData = null, statusCode = null) {
+  /**
+   * @param {string} message 错误信息
+   * @param {Object} responseData 响应体
+   * @param {number} statusCode HTTP状态码
+   * @param {Object} options 错误码目录中的信息，见 errorCodes.js
+   * @param {string} options.vendor 厂商标识
+   * @param {string|number} options.code 业务错误码
+   * @param {boolean} options.retryable 是否可以重试
+   * @param {{ zh: string, en: string }} options.messages 中英文说明
+   */
+  constructor(message, responseData = null, statusCode = null, options = {}) {
     super(message);
     this.name = "ApiError";
     this.responseData = responseData;
     this.statusCode = statusCode;
+    this.vendor = options.vendor || null;
+    this.retryable = Boolean(options.retryable);
+    this.messages = options.messages || null;
 
     // 尝试从响应数据中提取更多错误信息
     if (responseData) {
-      this.errorCode = responseData.code || null;
-      this.errorMessage = responseData.errMsg || responseData.desc || responseData.message || null;
+      this.errorCode = responseData.code || responseData.ErrCode || null;
+      this.errorMessage =
+        responseData.errMsg || responseData.msg || responseData.ErrMsg || responseData.desc || responseData.message || null;
       this.errorDetails = responseData.data || null;
     }
+
+    if (options.code !== undefined && options.code !== null) {
+      this.errorCode = options.code;
+    }
   }
 
   toJSON() {
     return {
       ...super.toJSON(),
+      vendor: this.vendor,
       statusCode: this.statusCode,
       errorCode: this.errorCode,
       errorMessage: this.errorMessage,
       errorDetails: this.errorDetails,
+      retryable: this.retryable,
+      messages: this.messages,
       responseData: this.responseData,
     };
   }
 }
 
+/**
+ * 资源不存在
+ */
+class NotFoundError extends ApiError {
+  constructor(message, responseData = null, statusCode = null, options = {}) {
+    super(message, responseData, statusCode, options);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * 没有接口或资源的访问权限
+ */
+class PermissionDeniedError extends ApiError {
+  constructor(message, responseData = null, statusCode = null, options = {}) {
+    super(message, responseData, statusCode, options);
+    this.name = "PermissionDeniedError";
+  }
+}
+
+/**
+ * 请求过于频繁，被平台限流
+ */
+class RateLimitedError extends ApiError {
+  constructor(message, responseData = null, statusCode = null, options = {}) {
+    super(message, responseData, statusCode, { retryable: true, ...options });
+    this.name = "RateLimitedError";
+  }
+}
+
+/**
+ * token 已过期或失效
+ */
+class TokenExpiredError extends ApiError {
+  constructor(message, responseData = null, statusCode = null, options = {}) {
+    super(message, responseData, statusCode, options);
+    this.name = "TokenExpiredError";
+  }
+}
+
+/**
+ * 平台判定请求参数不合法
+ */
+class InvalidParameterError extends ApiError {
+  constructor(message, responseData = null, statusCode = null, options = {}) {
+    super(message, responseData, statusCode, options);
+    this.name = "InvalidParameterError";
+  }
+}
+
 /**
  * 认证错误类
  * 当认证失败时抛出
@@ -152,8 +223,8 @@ class ParameterError extends CameraError {
  * 当请求超时时抛出
  */
 class TimeoutError extends CameraError {
-  constructor(message, timeout = null) {
-    super(message);
+  constructor(message, timeout = null, originalError = null) {
+    super(message, originalError);
     this.name = "TimeoutError";
     this.timeout = timeout;
   }
@@ -166,11 +237,38 @@ class TimeoutError extends CameraError {
   }
 }
 
+/**
+ * 不支持的操作错误类
+ * 当某厂商平台不提供所调用的统一接口能力时抛出
+ */
+class NotSupportedError extends CameraError {
+  constructor(message, vendor = null, operation = null) {
+    super(message);
+    this.name = "NotSupportedError";
+    this.vendor = vendor;
+    this.operation = operation;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      vendor: this.vendor,
+      operation: this.operation,
+    };
+  }
+}
+
 module.exports = {
   CameraError,
   ApiError,
+  NotFoundError,
+  PermissionDeniedError,
+  RateLimitedError,
+  TokenExpiredError,
+  InvalidParameterError,
   AuthError,
   NetworkError,
   ParameterError,
   TimeoutError,
+  NotSupportedError,
 };
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * 厂商业务错误码目录
+ * 将平台返回的业务错误码映射为具体的错误类型，并提供中英文说明和是否可重试
+ * 目录只收录能在厂商接口文档中查到的错误码，其余错误码可通过客户端配置 errorCodes 补充或覆盖
+ */
+
+const {
+  ApiError,
+  NotFoundError,
+  PermissionDeniedError,
+  RateLimitedError,
+  TokenExpiredError,
+  InvalidParameterError,
+} = require("./cameraErrors");
+
+/**
+ * 错误类型名称与错误类
+ */
+const ERROR_TYPES = {
+  ApiError,
+  NotFoundError,
+  PermissionDeniedError,
+  RateLimitedError,
+  TokenExpiredError,
+  InvalidParameterError,
+};
+
+/**
+ * 各厂商错误码
+ * type: 错误类型名称，retryable: 是否可以重试，zh/en: 中英文说明，source: 出处（厂商接口文档名称、版本与章节）
+ * 查不到出处的错误码不收录。目前尚未收录经文档核对的错误码，平台返回的业务错误均为 ApiError，需要时通过 errorCodes 配置补充
+ */
+const ERROR_CODES = {
+  hikvision: {},
+  dahua: {},
+  uniview: {},
+};
+
+/**
+ * 查询错误码
+ * @param {string} vendor 厂商标识
+ * @param {string|number} code 业务错误码
+ * @param {Object} overrides 客户端配置的错误码，优先于内置目录
+ * @returns {Object|null} 错误码信息
+ */
+function lookupErrorCode(vendor, code, overrides = {}) {
+  if (code === undefined || code === null || code === "") {
+    return null;
+  }
+
+  const key = String(code);
+  return overrides[key] || ERROR_CODES[vendor]?.[key] || null;
+}
+
+/**
+ * 根据错误码创建对应类型的错误
+ * @param {Object} options 选项
+ * @param {string} options.vendor 厂商标识
+ * @param {string|number} options.code 业务错误码
+ * @param {string} options.message 错误信息
+ * @param {Object} options.responseData 响应体
+ * @param {number} options.statusCode HTTP状态码
+ * @param {Object} options.errorCodes 客户端配置的错误码
+ * @param {string} options.fallbackType 目录中没有该错误码时使用的错误类型，默认 ApiError
+ * @returns {ApiError}
+ */
+function createApiError({ vendor, code, message, responseData = null, statusCode = null, errorCodes, fallbackType = "ApiError" }) {
+  const entry = lookupErrorCode(vendor, code, errorCodes);
+  const ErrorType = ERROR_TYPES[entry?.type || fallbackType] || ApiError;
+
+  const options = { vendor, code };
+  if (entry) {
+    options.retryable = Boolean(entry.retryable);
+    options.messages = { zh: entry.zh, en: entry.en };
+  }
+
+  return new ErrorType(message, responseData, statusCode, options);
+}
+
+module.exports = { ERROR_CODES, ERROR_TYPES, lookupErrorCode, createApiError };
@@ -0,0 +1,100 @@
+/**
+ * 图片读取与校验
+ * 上传人脸等图片前统一转换为 Buffer，并按文件头校验格式和大小
+ */
+
+const fs = require("fs");
+const { ParameterError } = require("./errors/cameraErrors");
+
+/**
+ * 图片格式与文件头
+ */
+const IMAGE_SIGNATURES = {
+  jpeg: [0xff, 0xd8, 0xff],
+  png: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  bmp: [0x42, 0x4d],
+};
+
+/**
+ * 根据文件头识别图片格式
+ * @param {Buffer} buffer 图片内容
+ * @returns {string|null} jpeg/png/bmp，无法识别时为null
+ */
+function detectImageFormat(buffer) {
+  const format = Object.keys(IMAGE_SIGNATURES).find((name) =>
+    IMAGE_SIGNATURES[name].every((byte, index) => buffer[index] === byte)
+  );
+  return format || null;
+}
+
+/**
+ * 读取图片，支持 Buffer、文件路径、base64 字符串（可带 data:image/...;base64, 前缀）
+ * @param {Buffer|string} image 图片
+ * @param {string} name 参数名，用于错误信息
+ * @returns {Promise<Buffer>}
+ */
+async function readImage(image, name = "image") {
+  if (Buffer.isBuffer(image)) {
+    return image;
+  }
+
+  if (typeof image !== "string" || image.trim() === "") {
+    throw new ParameterError("图片不能为空，支持 Buffer、文件路径或 base64 字符串", name, image);
+  }
+
+  const dataUri = image.match(/^data:image\/[\w+.-]+;base64,(.*)$/s);
+  if (dataUri) {
+    return Buffer.from(dataUri[1], "base64");
+  }
+
+  // 文件路径优先，不存在时再按 base64 解析
+  try {
+    return await fs.promises.readFile(image);
+  } catch (error) {
+    if (!["ENOENT", "ENOTDIR", "ENAMETOOLONG"].includes(error.code)) {
+      throw new ParameterError(`读取图片文件失败: ${error.message}`, name, image);
+    }
+  }
+
+  if (/^[A-Za-z0-9+/\s]+={0,2}$/.test(image)) {
+    return Buffer.from(image, "base64");
+  }
+
+  throw new ParameterError(`图片文件不存在: ${image}`, name, image);
+}
+
+/**
+ * 读取并校验图片
+ * @param {Buffer|string} image 图片，同 readImage
+ * @param {Object} options 校验选项
+ * @param {string[]} options.formats 允许的格式，默认 jpeg、png
+ * @param {number} options.maxSize 最大字节数
+ * @param {number} options.minSize 最小字节数
+ * @param {string} options.name 参数名，用于错误信息，默认 image
+ * @returns {Promise<{ buffer: Buffer, format: string, size: number }>}
+ */
+async function loadImage(image, options = {}) {
+  const { formats = ["jpeg", "png"], maxSize = Infinity, minSize = 0, name = "image" } = options;
+  const buffer = await readImage(image, name);
+
+  const format = detectImageFormat(buffer);
+  if (!format || !formats.includes(format)) {
+    throw new ParameterError(
+      `不支持的图片格式: ${format || "未知"}，可选值: ${formats.join(", ")}`,
+      name,
+      format
+    );
+  }
+
+  if (buffer.length > maxSize || buffer.length < minSize) {
+    throw new ParameterError(
+      `图片大小 ${buffer.length} 字节超出范围 (${minSize}-${maxSize} 字节)`,
+      name,
+      buffer.length
+    );
+  }
+
+  return { buffer, format, size: buffer.length };
+}
+
+module.exports = { detectImageFormat, readImage, loadImage, IMAGE_SIGNATURES };
@@ -1,13 +1,88 @@
 /**
- * 海康威视 SDK 工具类
+ * 日志与工具类
  */
 
 /**
- * 简单的日志记录器
+ * 日志级别，数值越大越严重
+ */
+const LOG_LEVELS = {
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity,
+};
+
+/**
+ * 各级别对应的控制台输出方法
+ */
+const CONSOLE_METHODS = {
+  debug: "log",
+  info: "log",
+  warn: "warn",
+  error: "error",
+};
+
+/**
+ * 将附加数据转换为可序列化的对象，Error 转为 { name, message, stack }
+ * @param {*} data 附加数据
+ * @returns {*} 可序列化的数据
+ */
+function serializeData(data) {
+  if (data instanceof Error) {
+    return { name: data.name, message: data.message, stack: data.stack };
+  }
+  return data;
+}
+
+/**
+ * 日志记录器
+ * 支持日志级别、子日志（附带固定字段）和单行 JSON 输出
  */
 class Logger {
-  constructor(debug = false) {
-    this.debugEnabled = debug;
+  /**
+   * @param {boolean|Object} options 为布尔值时表示是否开启调试日志（兼容旧用法）
+   * @param {string} options.level 日志级别 debug/info/warn/error/silent，默认 info
+   * @param {string} options.format 输出格式 text/json，默认 text
+   * @param {Object} options.bindings 每条日志附带的字段，如 { vendor, host }
+   * @param {Object} options.destination 输出目标，需实现 write(line)，默认输出到控制台
+   * @param {Redactor} options.redactor 脱敏器，输出前对附加数据脱敏
+   */
+  constructor(options = false) {
+    if (!options || typeof options !== "object") {
+      options = { level: options ? "debug" : "info" };
+    }
+
+    this.level = options.level in LOG_LEVELS ? options.level : "info";
+    this.format = options.format === "json" ? "json" : "text";
+    this.bindings = options.bindings || {};
+    this.destination = options.destination || null;
+    this.redactor = options.redactor || null;
+    this.debugEnabled = this.isLevelEnabled("debug");
+  }
+
+  /**
+   * 判断某个级别的日志是否会输出
+   * @param {string} level 日志级别
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * 创建子日志记录器，继承级别和输出设置并附加固定字段
+   * @param {Object} bindings 附加字段
+   * @returns {Logger}
+   */
+  child(bindings = {}) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      destination: this.destination,
+      redactor: this.redactor,
+      bindings: { ...this.bindings, ...bindings },
+    });
   }
 
   /**
@@ -16,13 +91,7 @@ class Logger {
    * @param {Object} data 附加数据
    */
   debug(message, data = null) {
-    if (this.debugEnabled) {
-      const timestamp = new Date().toISOString();
-      console.log(`[DEBUG ${timestamp}] ${message}`);
-      if (data) {
-        console.log(JSON.stringify(data, null, 2));
-      }
-    }
+    this.write("debug", message, data);
   }
 
   /**
@@ -31,11 +100,7 @@ class Logger {
    * @param {Object} data 附加数据
    */
   info(message, data = null) {
-    const timestamp = new Date().toISOString();
-    console.log(`[INFO ${timestamp}] ${message}`);
-    if (data) {
-      console.log(JSON.stringify(data, null, 2));
-    }
+    this.write("info", message, data);
   }
 
   /**
@@ -44,11 +109,7 @@ class Logger {
    * @param {Object} data 附加数据
    */
   warn(message, data = null) {
-    const timestamp = new Date().toISOString();
-    console.warn(`[WARN ${timestamp}] ${message}`);
-    if (data) {
-      console.warn(JSON.stringify(data, null, 2));
-    }
+    this.write("warn", message, data);
   }
 
   /**
@@ -57,18 +118,219 @@ class Logger {
    * @param {Error|Object} error 错误对象或附加数据
    */
   error(message, error = null) {
+    this.write("error", message, error);
+  }
+
+  /**
+   * 输出一条日志
+   * @param {string} level 日志级别
+   * @param {string} message 消息
+   * @param {*} data 附加数据
+   */
+  write(level, message, data) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    if (this.redactor) {
+      data = this.redactor.redact(data);
+    }
+
+    const line =
+      this.format === "json"
+        ? this.formatJson(level, message, data)
+        : this.formatText(level, message, data);
+
+    if (this.destination) {
+      this.destination.write(`${line}\n`);
+    } else {
+      console[CONSOLE_METHODS[level]](line);
+    }
+  }
+
+  /**
+   * 文本格式：首行为级别、时间和消息，附加数据另起多行
+   * @returns {string}
+   */
+  formatText(level, message, data) {
     const timestamp = new Date().toISOString();
-    console.error(`[ERROR ${timestamp}] ${message}`);
-    if (error) {
-      if (error instanceof Error) {
-        console.error(error.stack || error.message);
+    const tags = Object.entries(this.bindings)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(" ");
+    let line = `[${level.toUpperCase()} ${timestamp}] ${tags ? `[${tags}] ` : ""}${message}`;
+
+    if (data !== null && data !== undefined) {
+      if (data instanceof Error) {
+        line += `\n${data.stack || data.message}`;
       } else {
-        console.error(JSON.stringify(error, null, 2));
+        line += `\n${this.stringify(data, 2)}`;
       }
     }
+
+    return line;
+  }
+
+  /**
+   * JSON 格式：每条日志一行，便于日志平台采集
+   * @returns {string}
+   */
+  formatJson(level, message, data) {
+    const entry = {
+      level,
+      time: new Date().toISOString(),
+      ...this.bindings,
+      msg: message,
+    };
+
+    if (data !== null && data !== undefined) {
+      entry[data instanceof Error ? "err" : "data"] = serializeData(data);
+    }
+
+    return this.stringify(entry);
+  }
+
+  /**
+   * JSON 序列化，遇到循环引用时退化为字符串
+   * @param {*} value 待序列化的值
+   * @param {number} indent 缩进
+   * @returns {string}
+   */
+  stringify(value, indent) {
+    try {
+      return JSON.stringify(value, null, indent);
+    } catch (error) {
+      return String(value);
+    }
   }
 }
 
+/**
+ * 外部日志库适配器
+ * SDK 内部统一以 (message, data) 调用，pino 风格的日志库按 (data, message) 转发，
+ * winston 等其他日志库按 (message, data) 转发
+ */
+class LoggerAdapter {
+  /**
+   * @param {Object} target 外部日志实例（pino、winston 或任何实现了 info/warn/error 的对象）
+   * @param {Object} options 选项
+   * @param {boolean} options.objectFirst 是否按 (data, message) 顺序调用，默认根据是否有 bindings() 方法判断（pino）
+   * @param {Redactor} options.redactor 脱敏器，转发前对附加数据脱敏
+   */
+  constructor(target, options = {}) {
+    this.target = target;
+    this.redactor = options.redactor || null;
+    this.objectFirst =
+      typeof options.objectFirst === "boolean"
+        ? options.objectFirst
+        : typeof target.bindings === "function";
+  }
+
+  /**
+   * @param {string} level 日志级别
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    if (typeof this.target.isLevelEnabled === "function") {
+      return this.target.isLevelEnabled(level);
+    }
+    return true;
+  }
+
+  /**
+   * @param {Object} bindings 附加字段
+   * @returns {LoggerAdapter}
+   */
+  child(bindings = {}) {
+    if (typeof this.target.child !== "function") {
+      return this;
+    }
+    return new LoggerAdapter(this.target.child(bindings), {
+      objectFirst: this.objectFirst,
+      redactor: this.redactor,
+    });
+  }
+
+  debug(message, data = null) {
+    this.write("debug", message, data);
+  }
+
+  info(message, data = null) {
+    this.write("info", message, data);
+  }
+
+  warn(message, data = null) {
+    this.write("warn", message, data);
+  }
+
+  error(message, error = null) {
+    this.write("error", message, error);
+  }
+
+  /**
+   * 转发到外部日志实例
+   * @param {string} level 日志级别
+   * @param {string} message 消息
+   * @param {*} data 附加数据
+   */
+  write(level, message, data) {
+    const method = typeof this.target[level] === "function" ? level : "info";
+
+    if (data === null || data === undefined) {
+      this.target[method](message);
+      return;
+    }
+
+    if (this.redactor) {
+      data = this.redactor.redact(data);
+    }
+
+    const fields = data instanceof Error ? { err: data } : { data };
+    if (this.objectFirst) {
+      this.target[method](fields, message);
+    } else {
+      this.target[method](message, fields);
+    }
+  }
+}
+
+/**
+ * 根据客户端配置创建日志记录器
+ * @param {Object} options 配置
+ * @param {Object} options.logger 外部日志实例，传入后忽略其余配置
+ * @param {boolean} options.debug 是否开启调试日志
+ * @param {string} options.logLevel 日志级别，默认 debug 开启时为 debug，否则为 info
+ * @param {string} options.logFormat 输出格式 text/json
+ * @param {Redactor} options.redactor 脱敏器
+ * @returns {Logger|LoggerAdapter}
+ */
+function createLogger(options = {}) {
+  const { logger, debug, logLevel, logFormat, redactor = null } = options;
+
+  // 不修改调用方传入的实例，在副本上设置脱敏器
+  if (logger instanceof Logger) {
+    const child = logger.child({});
+    child.redactor = logger.redactor || redactor;
+    return child;
+  }
+
+  if (logger instanceof LoggerAdapter) {
+    return new LoggerAdapter(logger.target, {
+      objectFirst: logger.objectFirst,
+      redactor: logger.redactor || redactor,
+    });
+  }
+
+  if (logger) {
+    return new LoggerAdapter(logger, { redactor });
+  }
+
+  return new Logger({
+    level: logLevel || (debug ? "debug" : "info"),
+    format: logFormat,
+    redactor,
+  });
+}
+
 // 创建默认日志实例
 const logger = new Logger();
 
@@ -181,10 +443,23 @@ class Utils {
   /**
    * 延迟执行
    * @param {number} ms 延迟毫秒数
+   * @param {AbortSignal} signal 取消信号，取消时提前结束等待
    * @returns {Promise} Promise对象
    */
-  static sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  static sleep(ms, signal) {
+    if (!signal) {
+      return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        signal.removeEventListener("abort", done);
+        resolve();
+      };
+      const timer = setTimeout(done, signal.aborted ? 0 : ms);
+      signal.addEventListener("abort", done, { once: true });
+    });
   }
 
   /**
@@ -231,6 +506,38 @@ class Utils {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
   }
 
+  /**
+   * 格式化时间为 "YYYY-MM-DD HH:mm:ss"（本地时区）
+   * @param {Date|number|string} value 时间对象、毫秒时间戳或时间字符串
+   * @returns {string} 格式化后的时间字符串
+   */
+  static formatDateTime(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    const pad = (n) => String(n).padStart(2, "0");
+
+    return (
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+    );
+  }
+
+  /**
+   * 格式化时间为带时区的 ISO 8601 格式 "YYYY-MM-DDTHH:mm:ss.SSS+08:00"（本地时区）
+   * @param {Date|number|string} value 时间对象、毫秒时间戳或时间字符串
+   * @returns {string} 格式化后的时间字符串
+   */
+  static formatIsoDateTime(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    const pad = (n, length = 2) => String(n).padStart(length, "0");
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? "+" : "-";
+
+    return (
+      `${Utils.formatDateTime(date).replace(" ", "T")}.${pad(date.getMilliseconds(), 3)}` +
+      `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`
+    );
+  }
+
   /**
    * 生成随机字符串
    * @param {number} length 长度
@@ -340,6 +647,9 @@ class Utils {
 
 module.exports = {
   Logger,
+  LoggerAdapter,
+  createLogger,
+  LOG_LEVELS,
   logger,
   Utils,
 };
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * 分页迭代工具
+ * 将各厂商的分页接口包装为异步迭代器，按需逐页拉取
+ */
+
+const { ParameterError } = require("./errors/cameraErrors");
+
+/**
+ * 编码游标
+ * @param {Object} position 位置信息
+ * @returns {string} 游标字符串
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64");
+}
+
+/**
+ * 解码游标
+ * @param {string} cursor 游标字符串
+ * @returns {{ page: number, offset: number, pageSize: number }} 位置信息
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64").toString("utf8"));
+    if (
+      !Number.isInteger(position.page) ||
+      !Number.isInteger(position.offset) ||
+      !Number.isInteger(position.pageSize)
+    ) {
+      throw new Error("游标字段不完整");
+    }
+    return position;
+  } catch (error) {
+    throw new ParameterError(`无效的分页游标: ${error.message}`, "cursor", cursor);
+  }
+}
+
+/**
+ * 分页异步迭代器
+ *
+ * 用法：
+ *   for await (const item of iterator) { ... }
+ *
+ * 中途 break 后，可以通过 iterator.cursor 保存当前位置，
+ * 之后传入 { cursor } 从下一条数据继续迭代。
+ */
+class PageIterator {
+  /**
+   * @param {Function} fetchPage 拉取一页数据 (pageIndex, pageSize) => Promise<{ items: Array, total?: number }>，pageIndex从0开始
+   * @param {Object} options 迭代选项
+   * @param {number} options.pageSize 每页大小，默认100
+   * @param {string} options.cursor 从游标位置继续迭代
+   * @param {number} options.maxPages 最多拉取的页数，用于平台不返回总数时防止死循环
+   * @param {Function} options.transform 对每页数据做转换 (items) => Array
+   */
+  constructor(fetchPage, options = {}) {
+    this.fetchPage = fetchPage;
+    this.transform = options.transform || null;
+    this.maxPages = options.maxPages || Infinity;
+
+    if (options.cursor) {
+      const { page, offset, pageSize } = decodeCursor(options.cursor);
+      this.pageSize = pageSize;
+      this.position = { page, offset };
+    } else {
+      this.pageSize = options.pageSize || 100;
+      this.position = { page: 0, offset: 0 };
+    }
+
+    this.done = false;
+    this.pagesFetched = 0;
+  }
+
+  /**
+   * 下一条未消费数据的游标，迭代完成后为null
+   * @returns {string|null}
+   */
+  get cursor() {
+    if (this.done) {
+      return null;
+    }
+    return encodeCursor({ ...this.position, pageSize: this.pageSize });
+  }
+
+  /**
+   * 拉取当前位置所在的一页
+   * @returns {Promise<{ page: number, offset: number, items: Array, isLast: boolean }>}
+   */
+  async fetchCurrentPage() {
+    const { page, offset } = this.position;
+    const result = await this.fetchPage(page, this.pageSize);
+    this.pagesFetched++;
+
+    const rawItems = result?.items || [];
+    const total = result?.total;
+    const reachedTotal =
+      typeof total === "number" && !isNaN(total) && (page + 1) * this.pageSize >= total;
+    const isLast =
+      rawItems.length < this.pageSize || reachedTotal || this.pagesFetched >= this.maxPages;
+
+    return {
+      page,
+      offset,
+      items: this.transform ? this.transform(rawItems) : rawItems,
+      isLast,
+    };
+  }
+
+  /**
+   * 逐页迭代
+   * @returns {AsyncGenerator<Array>} 每次返回一页数据（已跳过游标之前的数据）
+   */
+  async *pages() {
+    while (!this.done) {
+      const { page, offset, items, isLast } = await this.fetchCurrentPage();
+
+      // 先移动到下一页，中途退出时游标指向下一页开头
+      if (isLast) {
+        this.done = true;
+      } else {
+        this.position = { page: page + 1, offset: 0 };
+      }
+
+      const remaining = items.slice(offset);
+      if (remaining.length > 0) {
+        yield remaining;
+      }
+    }
+  }
+
+  /**
+   * 逐条迭代
+   * @returns {AsyncGenerator<*>}
+   */
+  async *[Symbol.asyncIterator]() {
+    while (!this.done) {
+      const { page, offset, items, isLast } = await this.fetchCurrentPage();
+
+      if (items.length <= offset) {
+        if (isLast) {
+          this.done = true;
+        } else {
+          this.position = { page: page + 1, offset: 0 };
+        }
+        continue;
+      }
+
+      for (let i = offset; i < items.length; i++) {
+        // 交出数据前先记录下一条的位置，调用方 break 后游标即可用于续传
+        if (i + 1 < items.length) {
+          this.position = { page, offset: i + 1 };
+        } else if (isLast) {
+          this.done = true;
+        } else {
+          this.position = { page: page + 1, offset: 0 };
+        }
+        yield items[i];
+      }
+    }
+  }
+
+  /**
+   * 拉取剩余全部数据
+   * @returns {Promise<Array>}
+   */
+  async toArray() {
+    const all = [];
+    for await (const items of this.pages()) {
+      all.push(...items);
+    }
+    return all;
+  }
+}
+
+module.exports = { PageIterator, encodeCursor, decodeCursor };
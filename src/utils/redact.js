@@ -0,0 +1,182 @@
+/**
+ * 敏感信息脱敏
+ * 调试日志和 curl 命令输出前替换签名、token、密码等字段的值
+ */
+
+/**
+ * 默认的敏感字段名（不区分大小写）
+ */
+const DEFAULT_SENSITIVE_KEYS = [
+  // 通用
+  "authorization",
+  "cookie",
+  "set-cookie",
+  "password",
+  "token",
+  "signature",
+  // 海康威视 Artemis
+  "x-ca-signature",
+  "appsecret",
+  "access-token",
+  "facedata",
+  // 大华 ICC
+  "client_secret",
+  "clientsecret",
+  "access_token",
+  "accesstoken",
+  "refresh_token",
+  // 宇视 VIID
+  "loginsignature",
+];
+
+/**
+ * 默认替换文本
+ */
+const DEFAULT_CENSOR = "[REDACTED]";
+
+class Redactor {
+  /**
+   * @param {Object} options 脱敏配置，在默认规则基础上追加
+   * @param {string[]} options.keys 追加的敏感字段名（不区分大小写）
+   * @param {RegExp[]} options.patterns 追加的字段名匹配规则
+   * @param {string} options.censor 替换文本，默认 [REDACTED]
+   */
+  constructor(options = {}) {
+    this.keys = new Set(
+      [...DEFAULT_SENSITIVE_KEYS, ...(options.keys || [])].map((key) => String(key).toLowerCase())
+    );
+    this.patterns = options.patterns || [];
+    this.censor = options.censor || DEFAULT_CENSOR;
+  }
+
+  /**
+   * 根据配置创建脱敏器
+   * @param {Redactor|Object|boolean} value false 表示不脱敏，未设置时使用默认规则
+   * @returns {Redactor|null}
+   */
+  static from(value) {
+    if (value === false) {
+      return null;
+    }
+
+    if (value instanceof Redactor) {
+      return value;
+    }
+
+    return new Redactor(value && typeof value === "object" ? value : {});
+  }
+
+  /**
+   * 判断字段名是否敏感
+   * @param {string} key 字段名
+   * @returns {boolean}
+   */
+  isSensitiveKey(key) {
+    const name = String(key);
+    return this.keys.has(name.toLowerCase()) || this.patterns.some((pattern) => pattern.test(name));
+  }
+
+  /**
+   * 返回脱敏后的副本，不修改原对象
+   * 支持嵌套对象、数组、AxiosHeaders 以及 JSON 字符串
+   * @param {*} value 待脱敏的值
+   * @returns {*} 脱敏后的值
+   */
+  redact(value) {
+    return this.redactValue(value, new WeakSet());
+  }
+
+  /**
+   * @param {*} value 待脱敏的值
+   * @param {WeakSet} seen 已访问的对象，防止循环引用
+   * @returns {*}
+   */
+  redactValue(value, seen) {
+    if (typeof value === "string") {
+      return this.redactJsonString(value);
+    }
+
+    if (!value || typeof value !== "object" || value instanceof Error || Buffer.isBuffer(value)) {
+      return value;
+    }
+
+    if (seen.has(value)) {
+      return "[Circular]";
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redactValue(item, seen));
+    }
+
+    // AxiosHeaders 等提供 toJSON 的对象先转为普通对象
+    const source = typeof value.toJSON === "function" && !(value instanceof Date) ? value.toJSON() : value;
+    if (!source || typeof source !== "object") {
+      return source;
+    }
+
+    const result = {};
+    Object.keys(source).forEach((key) => {
+      result[key] = this.isSensitiveKey(key) ? this.censor : this.redactValue(source[key], seen);
+    });
+    return result;
+  }
+
+  /**
+   * 对 JSON 字符串形式的请求体脱敏，非 JSON 字符串原样返回
+   * @param {string} text 字符串
+   * @returns {string}
+   */
+  redactJsonString(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith("{") && !trimmed.startsWith("[")) {
+      return text;
+    }
+
+    try {
+      return JSON.stringify(this.redact(JSON.parse(trimmed)));
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /**
+   * 对URL查询参数中的敏感字段脱敏
+   * @param {string} url 完整URL或路径
+   * @returns {string}
+   */
+  redactUrl(url) {
+    const index = String(url).indexOf("?");
+    if (index === -1) {
+      return url;
+    }
+
+    const params = new URLSearchParams(url.slice(index + 1));
+    let changed = false;
+    for (const key of new Set(params.keys())) {
+      if (this.isSensitiveKey(key)) {
+        params.set(key, this.censor);
+        changed = true;
+      }
+    }
+
+    return changed ? `${url.slice(0, index)}?${params.toString()}` : url;
+  }
+
+  /**
+   * 对axios请求配置中的请求头、查询参数和请求体脱敏
+   * @param {Object} requestConfig axios请求配置
+   * @returns {Object} 脱敏后的请求配置副本
+   */
+  redactRequest(requestConfig) {
+    return {
+      ...requestConfig,
+      url: requestConfig.url ? this.redactUrl(requestConfig.url) : requestConfig.url,
+      headers: this.redact(requestConfig.headers),
+      params: this.redact(requestConfig.params),
+      data: this.redact(requestConfig.data),
+    };
+  }
+}
+
+module.exports = { Redactor, DEFAULT_SENSITIVE_KEYS };
@@ -0,0 +1,97 @@
+/**
+ * 大华ICC统一平台适配器
+ */
+
+const { PlatformAdapter } = require("../../platform/adapter");
+const {
+  normalizeCameras,
+  normalizeOrganizations,
+} = require("../../platform/normalize");
+const { ParameterError } = require("../../utils/errors/cameraErrors");
+const { Utils } = require("../../utils/logger");
+
+class DahuaAdapter extends PlatformAdapter {
+  /**
+   * @param {DahuaClient} client 大华客户端实例
+   */
+  constructor(client) {
+    super(client, "dahua");
+  }
+
+  /**
+   * 查询摄像头列表，设备下的每个通道作为一个摄像头
+   * @param {Object} filter 查询条件，同 DahuaAPI.getDevicesPage
+   * @returns {Promise<Array<Camera>>} 统一摄像头列表
+   */
+  async listCameras(filter = {}) {
+    const result = await this.client.api.getDevicesPage(filter);
+    return normalizeCameras(this.vendor, result?.data?.pageData || []);
+  }
+
+  /**
+   * 查询组织列表（全量）
+   * @returns {Promise<Array<Organization>>} 统一组织列表
+   */
+  async listOrganizations() {
+    const list = await this.client.api.getAllOrganizations();
+    return normalizeOrganizations(this.vendor, list);
+  }
+
+  /**
+   * 获取录像回放地址
+   * @param {string} cameraId 通道编码
+   * @param {Object} options 回放选项
+   * @param {Date|number|string} options.startTime 开始时间
+   * @param {Date|number|string} options.endTime 结束时间
+   * @param {string} options.recordSource 录像来源：2-设备，3-中心，默认2
+   * @param {string} options.streamType 码流类型：1-主码流，2-辅码流，默认1
+   * @returns {Promise<string>} 回放地址
+   */
+  async getPlaybackUrl(cameraId, options = {}) {
+    const { startTime, endTime, ...rest } = options;
+
+    if (!startTime || !endTime) {
+      throw new ParameterError(
+        "回放开始时间和结束时间不能为空",
+        startTime ? "endTime" : "startTime",
+        startTime ? endTime : startTime
+      );
+    }
+
+    const result = await this.client.api.startPlaybackByTime({
+      data: {
+        channelId: cameraId,
+        recordSource: "2",
+        streamType: "1",
+        recordType: "0",
+        ...rest,
+        startTime: Utils.formatDateTime(startTime),
+        endTime: Utils.formatDateTime(endTime),
+      },
+    });
+    return result?.data?.url;
+  }
+
+  /**
+   * 查询设备在线状态
+   * @param {Array<string>} ids 设备编码列表
+   * @returns {Promise<Array<Object>>} 在线状态列表
+   */
+  async getDeviceStatus(ids) {
+    const result = await this.client.api.getDevicesPage({
+      deviceCodes: ids,
+      pageSize: ids.length,
+    });
+    const list = result?.data?.pageData || [];
+
+    return list
+      .filter((item) => ids.includes(item.deviceCode))
+      .map((item) => ({
+        id: item.deviceCode,
+        online: item.isOnline === undefined ? null : Number(item.isOnline) === 1,
+        raw: item,
+      }));
+  }
+}
+
+module.exports = { DahuaAdapter };
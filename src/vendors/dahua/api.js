@@ -3,7 +3,7 @@
  */
 
 const { ParameterError } = require("../../utils/errors/cameraErrors");
-const { Logger } = require("../../utils/logger");
+const { PageIterator } = require("../../utils/pagination");
 
 /**
  * API接口常量
@@ -23,6 +23,15 @@ const API_PATHS = {
   PLAYBACK_BY_TIME: '/evo-apigw/admin/API/SS/Playback/StartPlaybackByTime',
 };
 
+/**
+ * 支持 iterate() 的资源名称与对应的分页查询方法
+ */
+const PAGED_RESOURCES = {
+  cameras: 'getDevicesPage',
+  devices: 'getDevicesPage',
+  organizations: 'getOrganizationsPage',
+};
+
 /**
  * API方法封装类
  */
@@ -35,10 +44,12 @@ class DahuaAPI {
 
   /**
    * 获取ICC公钥
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<string>} 公钥
    */
-  async getPublicKey() {
-    const response = await this.client.get(API_PATHS.PUBLIC_KEY);
+  async getPublicKey(requestOptions = {}) {
+    // 登录流程中的请求不经过认证，避免递归登录
+    const response = await this.client.get(API_PATHS.PUBLIC_KEY, {}, { ...requestOptions, skipAuth: true });
     if (response.data?.success) {
       return response.data.data?.publicKey;
     } else {
@@ -49,11 +60,12 @@ class DahuaAPI {
   /**
    * 获取访问令牌
    * @param {string} publicKey 公钥
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 访问令牌信息
    */
-  async getAccessToken(publicKey) {
-    const response = await this.client.post(API_PATHS.ACCESS_TOKEN, 
-      this.client.auth.buildAuthData(publicKey));
+  async getAccessToken(publicKey, requestOptions = {}) {
+    const response = await this.client.post(API_PATHS.ACCESS_TOKEN,
+      this.client.auth.buildAuthData(publicKey), { ...requestOptions, skipAuth: true });
     return response.data;
   }
 
@@ -65,9 +77,10 @@ class DahuaAPI {
    * @param {number} options.pageNum 页码，默认1
    * @param {number} options.pageSize 每页大小，默认50
    * @param {number} options.showChildNodeData 是否包含子节点，默认1
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 设备列表
    */
-  async getDevicesPage(options = {}) {
+  async getDevicesPage(options = {}, requestOptions = {}) {
     const params = {
       pageNum: options.pageNum || 1,
       pageSize: options.pageSize || 50,
@@ -75,7 +88,7 @@ class DahuaAPI {
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.DEVICES_PAGE, params);
+    const response = await this.client.post(API_PATHS.DEVICES_PAGE, params, { idempotent: true, ...requestOptions });
     return response.data;
   }
 
@@ -86,74 +99,86 @@ class DahuaAPI {
    * @param {Object} options 查询选项
    * @param {number} options.pageNum 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 组织列表
    */
-  async getOrganizationsPage(options = {}) {
+  async getOrganizationsPage(options = {}, requestOptions = {}) {
     const defaultParams = {
       pageNum: 1,
       pageSize: 1000,
     };
 
     const params = { ...defaultParams, ...options };
-    const response = await this.client.get(API_PATHS.ORGANIZATIONS_PAGE, { params });
+    const response = await this.client.get(API_PATHS.ORGANIZATIONS_PAGE, params, requestOptions);
     return response.data;
   }
 
   /**
    * 获取全量组织结构（自动分页）
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Array>} 全量组织结构
    */
-  async getAllOrganizations() {
-    const allOrgs = [];
-    let pageNum = 1;
-    const pageSize = 1000;
-
-    while (true) {
-      const result = await this.getOrganizationsPage({
-        pageNum,
-        pageSize
-      });
-
-      if (!result.success) {
-        throw new Error(`获取组织分页失败: ${result.msg}`);
-      }
-
-      if (!result.data) {
-        throw new Error('接口返回数据为空');
-      }
-
-      const { pageData, totalRows } = result.data;
-      const total = totalRows;
-
-      // 检查 pageData 是否为数组
-      if (!Array.isArray(pageData)) {
-        throw new Error(`第 ${pageNum} 页返回的 pageData 不是数组`);
-      }
-
-      // 合并数据
-      allOrgs.push(...pageData);
-
-      // 判断是否拉取完成
-      if (typeof total === 'number' && !isNaN(total)) {
-        if (allOrgs.length >= total) {
-          break;
-        }
-      } else {
-        // 防止无限循环：如果没有 totalRows，最多拉 100 页
-        if (pageData.length < pageSize) {
-          break;
+  async getAllOrganizations(requestOptions = {}) {
+    // 平台未返回 totalRows 时最多拉 100 页，防止死循环
+    return await this.iterate('organizations', {}, {
+      ...requestOptions,
+      pageSize: 1000,
+      maxPages: 100,
+    }).toArray();
+  }
+
+  // =================== 通用方法 ===================
+
+  /**
+   * 分页迭代查询，按需逐页拉取
+   *
+   * 用法：for await (const device of client.iterate('devices', { ownerCode })) { ... }
+   *
+   * @param {string} resource 资源名称：cameras、devices、organizations
+   * @param {Object} filter 查询条件，pageNum/pageSize 由迭代器控制
+   * @param {Object} options 迭代选项
+   * @param {number} options.pageSize 每页大小，默认50
+   * @param {string} options.cursor 从上次中断的游标继续
+   * @param {number} options.maxPages 最多拉取的页数
+   * @param {number} options.timeout 每页请求的超时时间（毫秒）
+   * @param {AbortSignal} options.signal 取消信号，取消后迭代以错误结束
+   * @returns {PageIterator} 异步迭代器，可通过 .cursor 获取续传位置
+   */
+  iterate(resource, filter = {}, options = {}) {
+    const { timeout, signal, ...iteratorOptions } = options;
+    const method = PAGED_RESOURCES[resource];
+    if (!method) {
+      throw new ParameterError(
+        `不支持分页迭代的资源: ${resource}，可选值: ${Object.keys(PAGED_RESOURCES).join(', ')}`,
+        'resource',
+        resource
+      );
+    }
+
+    return new PageIterator(
+      async (pageIndex, pageSize) => {
+        const pageNum = pageIndex + 1;
+        const result = await this[method]({ ...filter, pageNum, pageSize }, { timeout, signal });
+
+        if (!result.success) {
+          throw new Error(`分页查询失败: ${result.errMsg || '未知错误'}`);
         }
 
-        // 防止死循环
-        if (pageNum >= 100) {
-          break;
+        if (!result.data) {
+          throw new Error('接口返回数据为空');
         }
-      }
 
-      pageNum++;
-    }
+        const { pageData, totalRows } = result.data;
+
+        // 检查 pageData 是否为数组
+        if (!Array.isArray(pageData)) {
+          throw new Error(`第 ${pageNum} 页返回的 pageData 不是数组`);
+        }
 
-    return allOrgs;
+        return { items: pageData, total: totalRows };
+      },
+      { ...iteratorOptions, pageSize: iteratorOptions.pageSize || 50 }
+    );
   }
 
   // =================== 录像回放 ===================
@@ -161,12 +186,13 @@ class DahuaAPI {
   /**
    * 以时间形式回放录像，获取 RTSP 流地址
    * @param {Object} data 请求参数
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 回放结果
    */
-  async startPlaybackByTime(data) {
-    const response = await this.client.post(API_PATHS.PLAYBACK_BY_TIME, data);
+  async startPlaybackByTime(data, requestOptions = {}) {
+    const response = await this.client.post(API_PATHS.PLAYBACK_BY_TIME, data, requestOptions);
     return response.data;
   }
 }
 
-module.exports = { DahuaAPI, API_PATHS };
\ No newline at end of file
+module.exports = { DahuaAPI, API_PATHS, PAGED_RESOURCES };
\ No newline at end of file
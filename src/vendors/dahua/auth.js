@@ -6,9 +6,6 @@
 const forge = require("node-forge");
 const { Logger } = require("../../utils/logger");
 
-// 创建logger实例
-const logger = new Logger();
-
 class DahuaAuth {
   /**
    * 初始化认证处理器
@@ -17,15 +14,15 @@ class DahuaAuth {
    * @param {string} clientId 客户端ID
    * @param {string} clientSecret 客户端密钥
    * @param {boolean} debug 是否开启调试模式
+   * @param {Logger} logger 日志实例，默认按debug参数创建
    */
-  constructor(username, password, clientId, clientSecret, debug = false) {
+  constructor(username, password, clientId, clientSecret, debug = false, logger = new Logger(debug)) {
     this.username = username;
     this.password = password;
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.debug = debug;
-    // 创建logger实例，传入debug参数
-    this.logger = new Logger(debug);
+    this.logger = logger;
   }
 
   /**
@@ -2,17 +2,11 @@
  * 大华ICC平台 OpenAPI 客户端
  */
 
-const axios = require("axios");
-const https = require("https");
+const { BaseClient } = require("../../core/baseClient");
 const { DahuaAuth } = require("./auth");
-const { ApiError, AuthError, NetworkError, ParameterError } = require("../../utils/errors/cameraErrors");
-const { Logger } = require("../../utils/logger");
 const { DahuaAPI } = require("./api");
 
-// 创建logger实例
-const logger = new Logger();
-
-class DahuaClient {
+class DahuaClient extends BaseClient {
   /**
    * 初始化大华ICC平台客户端
    * @param {Object} config 配置对象
@@ -25,52 +19,46 @@ class DahuaClient {
    * @param {string} config.client_secret 客户端密钥
    * @param {boolean} config.debug 是否开启调试模式，默认false
    * @param {number} config.timeout 请求超时时间(ms)，默认10000
-   * @param {boolean} config.rejectUnauthorized 是否验证SSL证书，默认false
+   * @param {boolean} config.rejectUnauthorized 是否验证SSL证书，配置了 ca 时默认true，否则默认false；ca、cert、key、fingerprint、proxy 等TLS与代理配置见 BaseClient
+   * @param {Object} config.tokenStore token存储，默认内存存储，可用 FileTokenStore 跨进程复用
    */
   constructor(config) {
-    // 验证必需参数
-    this.validateConfig(config);
+    super(config, {
+      vendor: "dahua",
+      name: "大华",
+      port: 443,
+      protocol: "https",
+      timeout: 10000,
+      userAgent: "Dahua-ICC-SDK/1.0.0",
+    });
 
     // 配置属性
-    this.host = config.host.trim();
-    this.port = config.port || 443;
-    this.protocol = config.protocol || "https";
     this.username = config.username;
     this.password = config.password;
     this.clientId = config.client_id;
     this.clientSecret = config.client_secret;
-    this.debug = config.debug || false;
-    this.timeout = config.timeout || 10000;
-
-    // 构建基础URL
-    this.baseURL = `${this.protocol}://${this.host}:${this.port}`;
 
     // 认证相关
     this.accessToken = null;
     this.tokenType = 'bearer';
     this.tokenExpiresAt = null;
-    
+
     // ICC OAuth 接口前缀
     this.iccApiPrefix = '/evo-apigw/evo-oauth/1.0.0/oauth';
 
     // 初始化认证处理器
     this.auth = new DahuaAuth(
-      this.username, 
-      this.password, 
-      this.clientId, 
-      this.clientSecret, 
-      this.debug
+      this.username,
+      this.password,
+      this.clientId,
+      this.clientSecret,
+      this.debug,
+      this.logger
     );
 
-    // 创建logger实例
-    this.logger = new Logger(this.debug);
-
-    // 初始化HTTP客户端
-    this.initHttpClient(config);
-
     // 初始化API封装
     this.api = new DahuaAPI(this);
-    
+
     // 自动代理API方法，使可以直接调用client.methodName()而不是client.api.methodName()
     this.setupAPIMethodProxy();
 
@@ -88,13 +76,7 @@ class DahuaClient {
    * @param {Object} config 配置对象
    */
   validateConfig(config) {
-    if (!config) {
-      throw new Error("配置对象不能为空");
-    }
-
-    if (!config.host) {
-      throw new Error("host参数不能为空");
-    }
+    super.validateConfig(config);
 
     if (!config.username) {
       throw new Error("username参数不能为空");
@@ -114,248 +96,61 @@ class DahuaClient {
   }
 
   /**
-   * 初始化HTTP客户端
-   * @param {Object} config 配置对象
-   */
-  initHttpClient(config) {
-    const httpsAgent = new https.Agent({
-      rejectUnauthorized: config.rejectUnauthorized || false,
-      keepAlive: true,
-      timeout: this.timeout,
-    });
-
-    this.httpClient = axios.create({
-      baseURL: this.baseURL,
-      timeout: this.timeout,
-      httpsAgent: httpsAgent,
-      headers: {
-        "Content-Type": "application/json",
-        "Accept": "application/json",
-        "User-Agent": "Dahua-ICC-SDK/1.0.0",
-      },
-    });
-
-    // 添加请求拦截器
-    this.httpClient.interceptors.request.use(
-      async (requestConfig) => {
-        // 自动确保认证
-        await this.ensureAuthenticated();
-
-        // 添加认证头
-        if (this.isAuthenticated()) {
-          requestConfig.headers.Authorization = `${this.tokenType} ${this.accessToken}`;
-        }
-
-        if (this.debug) {
-          this.logger.debug("请求配置", {
-            method: requestConfig.method,
-            url: requestConfig.url,
-            params: requestConfig.params,
-            headers: requestConfig.headers,
-            data: requestConfig.data,
-          });
-        }
-
-        return requestConfig;
-      },
-      (error) => {
-        if (this.debug) {
-          this.logger.error("请求拦截器错误", error);
-        }
-        return Promise.reject(new NetworkError("请求配置失败", error));
-      }
-    );
-
-    // 添加响应拦截器
-    this.httpClient.interceptors.response.use(
-      (response) => {
-        if (this.debug) {
-          this.logger.debug("响应数据", {
-            status: response.status,
-            headers: response.headers,
-            data: response.data,
-          });
-        }
-        return response;
-      },
-      async (error) => {
-        // 如果是认证错误，尝试重新登录
-        if (error.response && (error.response.status === 401 || error.response.status === 403)) {
-          if (this.debug) {
-            this.logger.info("检测到认证错误，尝试重新登录...");
-          }
-          
-          const loginResult = await this.login();
-          if (loginResult.success) {
-            // 重新发送请求
-            try {
-              const retryResponse = await this.httpClient.request(error.config);
-              return retryResponse;
-            } catch (retryError) {
-              return Promise.reject(this.handleResponseError(retryError));
-            }
-          }
-        }
-        
-        return Promise.reject(this.handleResponseError(error));
-      }
-    );
-  }
-
-  /**
-   * 处理响应错误
-   * @param {Error} error 错误对象
+   * 自动确保认证并添加认证头
+   * @param {Object} requestConfig axios请求配置
    */
-  handleResponseError(error) {
-    if (this.debug) {
-      this.logger.error("响应错误", error);
-    }
-
-    // axios 1.x 版本的错误对象结构有所不同
-    if (error.response) {
-      // 服务器返回了错误状态码
-      const { status, data } = error.response;
+  async authorizeRequest(requestConfig) {
+    await this.ensureAuthenticated();
 
-      if (status === 401 || status === 403) {
-        return new AuthError("认证失败", data);
-      }
-
-      return new ApiError(`API错误 (${status})`, data, status);
-    } else if (error.request) {
-      // 请求已发出但没有收到响应
-      return new NetworkError("网络错误，请检查网络连接", error);
-    } else {
-      // 其他错误
-      return new NetworkError("未知错误", error);
-    }
-  }
-
-  /**
-   * 发送GET请求
-   * @param {string} path API路径
-   * @param {Object} params 查询参数
-   * @returns {Promise} 响应数据
-   */
-  async get(path, params = {}) {
-    try {
-      const response = await this.httpClient.get(path, { params });
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "GET", path);
+    if (this.isAuthenticated()) {
+      requestConfig.headers.Authorization = `${this.tokenType} ${this.accessToken}`;
     }
   }
 
   /**
-   * 发送POST请求
-   * @param {string} path API路径
-   * @param {Object} data 请求体数据
-   * @returns {Promise} 响应数据
+   * 认证失败时重新登录
+   * @param {Error} error axios错误
+   * @returns {Promise<boolean>} 是否登录成功
    */
-  async post(path, data = {}) {
-    try {
-      const response = await this.httpClient.post(path, data);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "POST", path);
+  async recoverAuth(error) {
+    // 其他请求已经换了新 token，直接用新 token 重发
+    const usedToken = error.config?.headers?.Authorization;
+    if (this.isAuthenticated() && usedToken !== `${this.tokenType} ${this.accessToken}`) {
+      return true;
     }
-  }
 
-  /**
-   * 发送PUT请求
-   * @param {string} path API路径
-   * @param {Object} data 请求体数据
-   * @returns {Promise} 响应数据
-   */
-  async put(path, data = {}) {
-    try {
-      const response = await this.httpClient.put(path, data);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "PUT", path);
+    if (this.debug) {
+      this.logger.info("检测到认证错误，尝试重新登录...");
     }
-  }
 
-  /**
-   * 发送DELETE请求
-   * @param {string} path API路径
-   * @returns {Promise} 响应数据
-   */
-  async delete(path) {
-    try {
-      const response = await this.httpClient.delete(path);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "DELETE", path);
-    }
-  }
+    // 服务端已判定 token 无效，清除后并发请求会等待同一次登录
+    await this.discardToken(this.accessToken);
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
 
-  /**
-   * 通用请求方法，允许用户直接发送请求
-   * @param {string} method HTTP方法 (GET, POST, PUT, DELETE)
-   * @param {string} path API路径
-   * @param {Object} options 请求选项
-   * @param {Object} options.params 查询参数
-   * @param {Object} options.data 请求体数据
-   * @returns {Promise} 响应数据
-   */
-  async request(method, path, options = {}) {
-    try {
-      const config = {
-        method: method.toUpperCase(),
-        url: path,
-        params: options.params || {},
-        data: options.data || {}
-      };
-
-      const response = await this.httpClient.request(config);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, method, path);
-    }
+    const loginResult = await this.login();
+    return loginResult.success;
   }
 
   /**
-   * 处理响应数据
-   * @param {Object} response axios响应对象
-   * @returns {Object} 处理后的响应数据
+   * 解析大华响应体，success 为 false 时为业务错误
+   * @param {Object} data 响应体
+   * @returns {{ success: boolean, code: string|null, message: string|null }}
    */
-  processResponse(response) {
-    const { status, data } = response;
-
-    // 检查大华API返回的业务状态
+  parseEnvelope(data) {
     if (data && data.hasOwnProperty('success') && !data.success) {
-      throw new ApiError(
-        `API业务错误: ${data.errMsg || "未知错误"}`,
-        data,
-        status
-      );
+      return { success: false, code: data.code ?? null, message: data.errMsg || null };
     }
 
-    return {
-      success: true,
-      status: status,
-      data: data,
-      message: data.desc || data.errMsg || "success",
-    };
+    return { success: true, code: data?.code ?? null, message: data?.desc || data?.errMsg || null };
   }
 
   /**
-   * 增强错误信息
-   * @param {Error} error 原始错误
-   * @param {string} method HTTP方法
-   * @param {string} path API路径
-   * @returns {Error} 增强后的错误
+   * token存储键，区分平台、应用和账号
+   * @returns {string}
    */
-  enhanceError(error, method, path) {
-    if (error.isCameraError) {
-      return error;
-    }
-
-    error.method = method;
-    error.path = path;
-    error.timestamp = new Date().toISOString();
-
-    return error;
+  getTokenKey() {
+    return `${super.getTokenKey()}:${this.clientId}:${this.username}`;
   }
 
   /**
@@ -371,14 +166,28 @@ class DahuaClient {
   }
 
   /**
-   * 获取访问令牌（登录）
+   * 获取访问令牌（登录），由 login() 调用
    * @returns {Promise<{ success: boolean, data?: object, msg?: string }>}
    */
-  async login() {
+  async performLogin() {
+    // 优先复用存储中未过期的 token
+    const stored = await this.loadToken();
+    if (stored) {
+      this.accessToken = stored.accessToken;
+      this.tokenType = stored.tokenType || 'bearer';
+      this.tokenExpiresAt = stored.expiresAt || null;
+
+      if (this.debug) {
+        this.logger.info('复用已存储的 access_token');
+      }
+
+      return { success: true, data: stored, fromStore: true };
+    }
+
     try {
       const publicKey = await this.api.getPublicKey();
       const tokenData = await this.api.getAccessToken(publicKey);
-      
+
       if (tokenData?.success) {
         const { access_token, token_type, expires_in } = tokenData.data;
         this.accessToken = access_token;
@@ -387,11 +196,17 @@ class DahuaClient {
         // 设置过期时间（提前 60 秒刷新）
         this.tokenExpiresAt = Date.now() + (expires_in - 60) * 1000;
 
+        await this.saveToken({
+          accessToken: this.accessToken,
+          tokenType: this.tokenType,
+          expiresAt: this.tokenExpiresAt,
+        });
+
         if (this.debug) {
           this.logger.info('ICC 登录成功，access_token 已设置');
           this.logger.info('token 过期时间:', new Date(this.tokenExpiresAt).toLocaleString());
         }
-        
+
         return { success: true, data: tokenData.data };
       } else {
         return { success: false, msg: `登录失败: ${tokenData?.errMsg || '未知错误'}` };
@@ -419,7 +234,7 @@ class DahuaClient {
     if (this.debug) {
       this.logger.info('token 无效或未登录，正在重新登录...');
     }
-    
+
     const result = await this.login();
     return result;
   }
@@ -430,27 +245,9 @@ class DahuaClient {
   async close() {
     this.accessToken = null;
     this.tokenExpiresAt = null;
-    
-    if (this.debug) {
-      this.logger.info('大华 SDK 已关闭');
-    }
-  }
-  
-  /**
-   * 设置API方法代理，自动将API对象上的方法代理到客户端实例上
-   */
-  setupAPIMethodProxy() {
-    // 遍历API对象的所有属性
-    Object.getOwnPropertyNames(Object.getPrototypeOf(this.api)).forEach(key => {
-      // 跳过构造函数和非函数属性
-      if (key === 'constructor' || typeof this.api[key] !== 'function') {
-        return;
-      }
-      
-      // 将API方法绑定到客户端实例上
-      this[key] = this.api[key].bind(this.api);
-    });
+
+    await super.close();
   }
 }
 
-module.exports = { DahuaClient };
\ No newline at end of file
+module.exports = { DahuaClient };
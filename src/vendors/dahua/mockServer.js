@@ -0,0 +1,236 @@
+/**
+ * 大华ICC 模拟平台
+ * 实现公钥 + RSA加密密码的 OAuth 登录流程，以及 API_PATHS 中的接口
+ */
+
+const crypto = require("crypto");
+const forge = require("node-forge");
+const { MockServer } = require("../../core/mockServer");
+const { API_PATHS } = require("./api");
+
+/**
+ * 模拟平台使用的业务错误码，由 clientConfig() 作为客户端的 errorCodes 配置传入
+ * 仅用于模拟平台与测试，不代表真实平台的错误码
+ */
+const MOCK_ERROR_CODES = {
+  "1000": { type: "InvalidParameterError", retryable: false, zh: "参数错误", en: "Invalid parameter" },
+  "1003": { type: "NotFoundError", retryable: false, zh: "资源不存在", en: "Resource not found" },
+  "1006": { type: "PermissionDeniedError", retryable: false, zh: "没有访问权限", en: "Permission denied" },
+  "1007": { type: "RateLimitedError", retryable: true, zh: "请求过于频繁", en: "Too many requests" },
+  "1008": { type: "ApiError", retryable: true, zh: "服务繁忙，请稍后重试", en: "Service busy, try again later" },
+};
+
+class DahuaMockServer extends MockServer {
+  /**
+   * @param {Object} options 选项，其余同 MockServer
+   * @param {string} options.username 用户名，默认 admin
+   * @param {string} options.password 密码，默认 mock-password
+   * @param {string} options.client_id 客户端ID，默认 mock-client
+   * @param {string} options.client_secret 客户端密钥，默认 mock-secret
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.username = options.username || 'admin';
+    this.password = options.password || 'mock-password';
+    this.clientId = options.client_id || 'mock-client';
+    this.clientSecret = options.client_secret || 'mock-secret';
+
+    // 登录使用的RSA密钥对，公钥以不带头尾的 base64 形式下发
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.publicKey = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+    this.privateKey = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+
+    this.registerRoutes();
+  }
+
+  /**
+   * 默认预置数据：两级组织、两台设备（NVR 两个通道，IPC 一个通道）
+   * @returns {Object}
+   */
+  defaultData() {
+    return {
+      organizations: [
+        { orgCode: '001', orgName: '根节点', parentCode: '' },
+        { orgCode: '001001', orgName: '东区', parentCode: '001' },
+      ],
+      devices: [
+        {
+          deviceCode: '1000001',
+          deviceName: '东门NVR',
+          deviceIp: '192.168.1.64',
+          devicePort: 37777,
+          ownerCode: '001001',
+          isOnline: 1,
+          units: [
+            {
+              unitType: 1,
+              channels: [
+                { channelCode: '1000001$1$0$0', channelName: '东门入口', channelSeq: 0, isOnline: 1 },
+                { channelCode: '1000001$1$0$1', channelName: '东门出口', channelSeq: 1, isOnline: 0 },
+              ],
+            },
+          ],
+        },
+        {
+          deviceCode: '1000002',
+          deviceName: '仓库IPC',
+          deviceIp: '192.168.1.65',
+          devicePort: 37777,
+          ownerCode: '001',
+          isOnline: 1,
+          units: [
+            {
+              unitType: 1,
+              channels: [{ channelCode: '1000002$1$0$0', channelName: '仓库', channelSeq: 0, isOnline: 1 }],
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * 连接模拟平台的客户端配置
+   * @returns {Object}
+   */
+  clientConfig() {
+    return {
+      ...super.clientConfig(),
+      username: this.username,
+      password: this.password,
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      errorCodes: MOCK_ERROR_CODES,
+    };
+  }
+
+  /**
+   * 注册接口
+   */
+  registerRoutes() {
+    this.route('GET', API_PATHS.PUBLIC_KEY, () => this.success({ publicKey: this.publicKey }), { auth: false });
+
+    this.route('POST', API_PATHS.ACCESS_TOKEN, (ctx) => {
+      const { grant_type, username, password, client_id, client_secret } = ctx.body;
+
+      if (grant_type !== 'password' || client_id !== this.clientId || client_secret !== this.clientSecret) {
+        return this.businessError('1002', '客户端认证失败');
+      }
+
+      if (username !== this.username || this.decryptPassword(password) !== this.password) {
+        return this.businessError('1001', '用户名或密码错误');
+      }
+
+      return this.success({
+        access_token: this.issueToken(),
+        token_type: 'bearer',
+        expires_in: Math.floor(this.tokenTtl / 1000),
+      });
+    }, { auth: false });
+
+    this.route('POST', API_PATHS.DEVICES_PAGE, (ctx) => {
+      const { deviceCodes, ownerCode } = ctx.body;
+      const devices = this.data.devices.filter((device) =>
+        (!Array.isArray(deviceCodes) || deviceCodes.includes(device.deviceCode)) &&
+        (!ownerCode || device.ownerCode === ownerCode)
+      );
+      return this.page(devices, ctx.body.pageNum, ctx.body.pageSize);
+    });
+
+    this.route('GET', API_PATHS.ORGANIZATIONS_PAGE, (ctx) =>
+      this.page(this.data.organizations, ctx.query.pageNum, ctx.query.pageSize)
+    );
+
+    this.route('POST', API_PATHS.PLAYBACK_BY_TIME, (ctx) => {
+      const { channelId } = ctx.body.data || {};
+      if (!this.findChannel(channelId)) {
+        return this.businessError('1003', '通道不存在');
+      }
+
+      return this.success({ url: `rtsp://${this.host}:9320/playback/${encodeURIComponent(channelId)}` });
+    });
+  }
+
+  /**
+   * 解密 RSA 加密的密码
+   * @param {string} encrypted base64 编码的密文
+   * @returns {string|null} 明文，解密失败时为 null
+   */
+  decryptPassword(encrypted) {
+    try {
+      return this.privateKey.decrypt(forge.util.decode64(encrypted), 'RSAES-PKCS1-V1_5');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 按通道编码查找通道
+   * @param {string} channelCode 通道编码
+   * @returns {Object|undefined}
+   */
+  findChannel(channelCode) {
+    return this.data.devices
+      .flatMap((device) => (device.units || []).flatMap((unit) => unit.channels || []))
+      .find((channel) => channel.channelCode === channelCode);
+  }
+
+  /**
+   * 校验 Authorization: bearer <token>
+   * @param {Object} ctx 请求上下文
+   * @returns {boolean}
+   */
+  authenticate(ctx) {
+    const [type, token] = String(ctx.headers.authorization || '').split(' ');
+    return /^bearer$/i.test(type) && this.isTokenValid(token);
+  }
+
+  /**
+   * token 无效的响应体
+   * @returns {Object}
+   */
+  unauthorized() {
+    return { success: false, code: '401', errMsg: 'token无效或已过期' };
+  }
+
+  /**
+   * 业务错误的响应体
+   * @param {string} code 错误码
+   * @param {string} message 错误信息
+   * @returns {Object}
+   */
+  businessError(code, message) {
+    return { success: false, code, errMsg: message, data: null };
+  }
+
+  /**
+   * 成功响应
+   * @param {*} data 响应数据
+   * @returns {Object}
+   */
+  success(data) {
+    return { success: true, code: '0', errMsg: '', data };
+  }
+
+  /**
+   * 分页响应
+   * @param {Array} list 完整列表
+   * @param {number|string} pageNum 页码
+   * @param {number|string} pageSize 每页大小
+   * @returns {Object}
+   */
+  page(list, pageNum, pageSize) {
+    const num = Number(pageNum) || 1;
+    const size = Number(pageSize) || 50;
+
+    return this.success({
+      pageNum: num,
+      pageSize: size,
+      totalRows: list.length,
+      pageData: this.slice(list, (num - 1) * size, size),
+    });
+  }
+}
+
+module.exports = { DahuaMockServer };
@@ -0,0 +1,111 @@
+/**
+ * 海康威视统一平台适配器
+ */
+
+const { PlatformAdapter } = require("../../platform/adapter");
+const {
+  normalizeCameras,
+  normalizeOrganizations,
+} = require("../../platform/normalize");
+
+class HikvisionAdapter extends PlatformAdapter {
+  /**
+   * @param {HikvisionClient} client 海康威视客户端实例
+   */
+  constructor(client) {
+    super(client, "hikvision");
+  }
+
+  /**
+   * 查询摄像头列表
+   * @param {Object} filter 查询条件，同 HikvisionAPI.getCameras
+   * @returns {Promise<Array<Camera>>} 统一摄像头列表
+   */
+  async listCameras(filter = {}) {
+    const result = await this.client.api.getCameras(filter);
+    return normalizeCameras(this.vendor, result?.data?.list || []);
+  }
+
+  /**
+   * 查询组织列表
+   * @param {Object} filter 查询条件，同 HikvisionAPI.getOrganizations
+   * @returns {Promise<Array<Organization>>} 统一组织列表
+   */
+  async listOrganizations(filter = {}) {
+    const result = await this.client.api.getOrganizations(filter);
+    return normalizeOrganizations(this.vendor, result?.data?.list || []);
+  }
+
+  /**
+   * 查询全量组织
+   * 海康威视的摄像头挂在区域下，因此默认使用区域树
+   * @param {Object} options 查询选项
+   * @param {string} options.source 数据来源：regions-区域（默认），organizations-组织
+   * @param {number} options.pageSize 每页大小，默认1000
+   * @returns {Promise<Array<Organization>>} 统一组织列表
+   */
+  async listAllOrganizations(options = {}) {
+    const { source = "regions", pageSize } = options;
+    const resource = source === "organizations" ? "organizations" : "regions";
+
+    return await this.client.api
+      .iterate(resource, {}, {
+        pageSize,
+        transform: (items) => normalizeOrganizations(this.vendor, items),
+      })
+      .toArray();
+  }
+
+  /**
+   * 获取实时预览地址
+   * @param {string} cameraId 摄像头编码
+   * @param {Object} options 同 HikvisionAPI.getCameraPreviewUrl
+   * @returns {Promise<string>} 预览地址
+   */
+  async getLiveUrl(cameraId, options = {}) {
+    const result = await this.client.api.getCameraPreviewUrl({
+      ...options,
+      cameraIndexCode: cameraId,
+    });
+    return result?.data?.url;
+  }
+
+  /**
+   * 获取录像回放地址
+   * @param {string} cameraId 摄像头编码
+   * @param {Object} options 回放选项，其余同 HikvisionAPI.getPlaybackUrl
+   * @param {Date|number|string} options.startTime 开始时间
+   * @param {Date|number|string} options.endTime 结束时间
+   * @param {string} options.recordLocation 录像存储位置：center-中心存储（默认），device-设备存储
+   * @returns {Promise<string>} 回放地址
+   */
+  async getPlaybackUrl(cameraId, options = {}) {
+    const { startTime, endTime, ...rest } = options;
+
+    const result = await this.client.api.getPlaybackUrl({
+      ...rest,
+      cameraIndexCode: cameraId,
+      beginTime: startTime,
+      endTime,
+    });
+    return result?.data?.url;
+  }
+
+  /**
+   * 查询设备在线状态
+   * @param {Array<string>} ids 设备编码列表
+   * @returns {Promise<Array<Object>>} 在线状态列表
+   */
+  async getDeviceStatus(ids) {
+    const result = await this.client.api.getDeviceStatus({ indexCodes: ids });
+    const list = result?.data?.list || [];
+
+    return list.map((item) => ({
+      id: item.indexCode,
+      online: item.online === undefined ? null : Number(item.online) === 1,
+      raw: item,
+    }));
+  }
+}
+
+module.exports = { HikvisionAdapter };
@@ -3,8 +3,24 @@
  * 基于海康威视 Artemis 开放平台
  */
 
-const { ParameterError } = require("../../utils/errors/cameraErrors");
-const { Logger } = require("../../utils/logger");
+const fs = require("fs");
+const { pipeline: streamPipeline } = require("stream");
+const util = require("util");
+const { ApiError, ParameterError } = require("../../utils/errors/cameraErrors");
+const { PageIterator } = require("../../utils/pagination");
+const { Utils } = require("../../utils/logger");
+const { loadImage } = require("../../utils/image");
+
+/**
+ * 只读查询接口的请求配置
+ * Artemis 查询接口均为 POST，声明为幂等后网关抖动时可自动重试
+ */
+const QUERY_CONFIG = { idempotent: true };
+
+/**
+ * stream.pipeline 的 Promise 版本（stream/promises 需要 Node 15+）
+ */
+const pipeline = util.promisify(streamPipeline);
 
 /**
  * API接口常量
@@ -16,12 +32,22 @@ const API_PATHS = {
   // 资源管理
   CAMERAS: "/artemis/api/resource/v1/cameras",
   CAMERA_PREVIEW_URLS: "/artemis/api/video/v1/cameras/previewURLs",
+  CAMERA_PLAYBACK_URLS: "/artemis/api/video/v1/cameras/playbackURLs",
+  MANUAL_CAPTURE: "/artemis/api/video/v1/manualCapture",
+
+  // 云台控制
+  PTZ_CONTROL: "/artemis/api/video/v1/ptzs/controlling",
+  PRESETS: "/artemis/api/video/v1/presets/searches",
+  PRESET_ADDITION: "/artemis/api/video/v1/presets/addition",
+  PRESET_DELETION: "/artemis/api/video/v1/presets/deletion",
   REGIONS: "/artemis/api/resource/v1/regions",
   ORGANIZATIONS: "/artemis/api/resource/v1/org/orgList",
 
   // 事件管理
   EVENTS: "/artemis/api/event/v1/events",
   EVENTS_SUBSCRIPTION: "/artemis/api/event/v1/eventSubscriptionByEventTypes",
+  EVENTS_SUBSCRIPTION_VIEW: "/artemis/api/event/v1/eventSubscriptionView",
+  EVENTS_UNSUBSCRIPTION: "/artemis/api/event/v1/eventUnSubscriptionByEventTypes",
 
   // 设备管理
   DEVICES: "/artemis/api/resource/v1/devices",
@@ -29,7 +55,13 @@ const API_PATHS = {
 
   // 人员管理
   PERSONS: "/artemis/api/resource/v1/person",
+  PERSON_UPDATE: "/artemis/api/resource/v1/person/single/update",
+  PERSON_BATCH_ADD: "/artemis/api/resource/v1/person/batch/add",
+  PERSON_BATCH_DELETE: "/artemis/api/resource/v1/person/batch/delete",
   FACE_PICTURES: "/artemis/api/resource/v1/face/picture",
+  FACE_ADD: "/artemis/api/resource/v1/face/single/add",
+  FACE_UPDATE: "/artemis/api/resource/v1/face/single/update",
+  FACE_DELETE: "/artemis/api/resource/v1/face/single/delete",
 
   // 车辆管理
   VEHICLES: "/artemis/api/resource/v1/vehicle",
@@ -45,6 +77,185 @@ const API_PATHS = {
   ALARM_OUTPUTS: "/artemis/api/resource/v1/alarmOutputs",
 };
 
+/**
+ * 人脸图片要求：JPEG 格式，不超过200KB
+ */
+const FACE_IMAGE_OPTIONS = {
+  formats: ["jpeg"],
+  maxSize: 200 * 1024,
+};
+
+/**
+ * 批量添加人员每次请求的最大人数
+ */
+const MAX_PERSON_BATCH_SIZE = 1000;
+
+/**
+ * 录像存储位置：center-中心存储（CVR等），device-设备存储（NVR/IPC）
+ */
+const RECORD_LOCATIONS = {
+  center: "0",
+  device: "1",
+};
+
+/**
+ * 录像片段查询最多拉取的页数，防止平台一直返回 uuid 时死循环
+ */
+const MAX_RECORDING_PAGES = 100;
+
+/**
+ * 云台持续动作命令，start 开始转动，stop 停止
+ */
+const PTZ_COMMANDS = [
+  "LEFT",
+  "RIGHT",
+  "UP",
+  "DOWN",
+  "LEFT_UP",
+  "LEFT_DOWN",
+  "RIGHT_UP",
+  "RIGHT_DOWN",
+  "ZOOM_IN",
+  "ZOOM_OUT",
+  "FOCUS_NEAR",
+  "FOCUS_FAR",
+  "IRIS_ENLARGE",
+  "IRIS_REDUCE",
+];
+
+/**
+ * 云台动作：0-开始，1-停止
+ */
+const PTZ_ACTIONS = {
+  start: 0,
+  stop: 1,
+};
+
+/**
+ * 云台默认速度（1-100）
+ */
+const DEFAULT_PTZ_SPEED = 50;
+
+/**
+ * 校验并生成云台控制参数
+ * @param {Object} options 同 controlPtz
+ * @returns {Object} 请求参数
+ */
+function buildPtzParams(options) {
+  if (!options?.cameraIndexCode) {
+    throw new ParameterError("摄像头编码不能为空", "cameraIndexCode", options?.cameraIndexCode);
+  }
+
+  const command = String(options.command || "").toUpperCase();
+  if (!PTZ_COMMANDS.includes(command) && command !== "GOTO_PRESET") {
+    throw new ParameterError(
+      `不支持的云台命令: ${options.command}，可选值: ${PTZ_COMMANDS.join(", ")}, GOTO_PRESET`,
+      "command",
+      options.command
+    );
+  }
+
+  const action = PTZ_ACTIONS[options.action] ?? options.action ?? PTZ_ACTIONS.start;
+  if (!Object.values(PTZ_ACTIONS).includes(action)) {
+    throw new ParameterError(`不支持的云台动作: ${options.action}，可选值: start, stop`, "action", options.action);
+  }
+
+  const speed = options.speed ?? DEFAULT_PTZ_SPEED;
+  if (!Number.isInteger(speed) || speed < 1 || speed > 100) {
+    throw new ParameterError("云台速度必须是 1-100 的整数", "speed", options.speed);
+  }
+
+  const params = { cameraIndexCode: options.cameraIndexCode, action, command, speed };
+
+  if (command === "GOTO_PRESET") {
+    params.presetIndex = validatePresetIndex(options.presetIndex);
+  }
+
+  return params;
+}
+
+/**
+ * 校验预置点编号
+ * @param {number} presetIndex 预置点编号
+ * @returns {number}
+ */
+function validatePresetIndex(presetIndex) {
+  if (!Number.isInteger(presetIndex) || presetIndex < 1) {
+    throw new ParameterError("预置点编号必须是正整数", "presetIndex", presetIndex);
+  }
+  return presetIndex;
+}
+
+/**
+ * 判断地址是否指向平台（协议、主机和端口均相同），相对路径视为平台地址
+ * @param {string} url 地址
+ * @param {string} baseURL 平台地址
+ * @returns {boolean}
+ */
+function isPlatformUrl(url, baseURL) {
+  if (!/^https?:\/\//i.test(url)) {
+    return true;
+  }
+  return new URL(url).origin === new URL(baseURL).origin;
+}
+
+/**
+ * 读取可读流的全部内容
+ * @param {Readable} stream 可读流
+ * @returns {Promise<Buffer>}
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 录像片段
+ * @typedef {Object} RecordingSegment
+ * @property {Date} start 开始时间
+ * @property {Date} end 结束时间
+ * @property {number|null} size 文件大小（字节），平台未返回时为null
+ * @property {number|null} lockType 锁定类型
+ * @property {Object} raw 平台原始数据
+ */
+
+/**
+ * 解析 playbackURLs 返回的录像片段
+ * @param {Array<Object>} list 响应中的 data.list
+ * @returns {Array<RecordingSegment>}
+ */
+function parseRecordingSegments(list = []) {
+  const toNumber = (value) => (value === undefined || value === null || value === "" ? null : Number(value));
+
+  return list.map((item) => ({
+    start: new Date(item.beginTime),
+    end: new Date(item.endTime),
+    size: toNumber(item.size),
+    lockType: toNumber(item.lockType),
+    raw: item,
+  }));
+}
+
+/**
+ * 支持 iterate() 的资源名称与对应的分页查询方法
+ */
+const PAGED_RESOURCES = {
+  cameras: "getCameras",
+  regions: "getRegions",
+  organizations: "getOrganizations",
+  events: "getEvents",
+  devices: "getDevices",
+  persons: "getPersons",
+  facePictures: "getFacePictures",
+  vehicles: "getVehicles",
+  accessControlPoints: "getAccessControlPoints",
+  cardReaders: "getCardReaders",
+  doors: "getDoors",
+};
+
 /**
  * API方法封装类
  */
@@ -56,11 +267,17 @@ class HikvisionAPI {
   // =================== OAuth相关 ===================
 
   /**
-   * 获取OAuth Token
+   * 获取OAuth Token（token 认证模式下由客户端自动调用）
+   * 获取 token 的请求总是使用 AK/SK 签名，且不占用限流的并发名额
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} Token信息
    */
-  async getOAuthToken() {
-    const response = await this.client.post(API_PATHS.OAUTH_TOKEN);
+  async getOAuthToken(requestOptions = {}) {
+    const response = await this.client.post(API_PATHS.OAUTH_TOKEN, {}, {
+      ...requestOptions,
+      authMode: "signature",
+      authRequest: true,
+    });
     return response.data;
   }
 
@@ -73,25 +290,27 @@ class HikvisionAPI {
    * @param {number} options.pageSize 每页大小，默认1000
    * @param {string} options.cameraName 摄像头名称（模糊查询）
    * @param {string} options.regionIndexCode 区域编码
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 摄像头列表
    */
-  async getCameras(options = {}) {
+  async getCameras(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.CAMERAS, params);
+    const response = await this.client.post(API_PATHS.CAMERAS, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
   /**
    * 获取单个摄像头信息
    * @param {string} cameraIndexCode 摄像头编码
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 摄像头信息
    */
-  async getCamera(cameraIndexCode) {
+  async getCamera(cameraIndexCode, requestOptions = {}) {
     if (!cameraIndexCode) {
       throw new ParameterError(
         "摄像头编码不能为空",
@@ -104,7 +323,7 @@ class HikvisionAPI {
       cameraIndexCode: cameraIndexCode,
     };
 
-    const response = await this.client.post(API_PATHS.CAMERAS, params);
+    const response = await this.client.post(API_PATHS.CAMERAS, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -115,9 +334,10 @@ class HikvisionAPI {
    * @param {number} options.streamType 码流类型：0-主码流，1-子码流，2-第三码流
    * @param {string} options.protocol 协议类型：rtsp，rtmp，hls等
    * @param {number} options.transmode 传输模式：0-UDP，1-TCP
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 预览地址信息
    */
-  async getCameraPreviewUrl(options) {
+  async getCameraPreviewUrl(options, requestOptions = {}) {
     if (!options.cameraIndexCode) {
       throw new ParameterError(
         "摄像头编码不能为空",
@@ -135,11 +355,372 @@ class HikvisionAPI {
 
     const response = await this.client.post(
       API_PATHS.CAMERA_PREVIEW_URLS,
-      params
+      params,
+      { ...QUERY_CONFIG, ...requestOptions }
+    );
+    return response.data;
+  }
+
+  /**
+   * 获取录像回放地址，响应的 data.list 为该时间段内的录像片段
+   * @param {Object} options 选项
+   * @param {string} options.cameraIndexCode 摄像头编码
+   * @param {Date|number|string} options.beginTime 开始时间
+   * @param {Date|number|string} options.endTime 结束时间
+   * @param {string} options.recordLocation 录像存储位置：center/0-中心存储（默认），device/1-设备存储
+   * @param {number} options.streamType 码流类型：0-主码流，1-子码流
+   * @param {string} options.protocol 协议类型：rtsp，rtmp，hls等
+   * @param {number} options.transmode 传输模式：0-UDP，1-TCP
+   * @param {string} options.uuid 分页标记，传入上一次响应的 data.uuid 查询后续片段
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 回放地址及录像片段
+   */
+  async getPlaybackUrl(options, requestOptions = {}) {
+    if (!options?.cameraIndexCode) {
+      throw new ParameterError(
+        "摄像头编码不能为空",
+        "cameraIndexCode",
+        options?.cameraIndexCode
+      );
+    }
+
+    if (!options.beginTime || !options.endTime) {
+      throw new ParameterError(
+        "回放开始时间和结束时间不能为空",
+        options.beginTime ? "endTime" : "beginTime",
+        options.beginTime ? options.endTime : options.beginTime
+      );
+    }
+
+    const beginTime = new Date(options.beginTime);
+    const endTime = new Date(options.endTime);
+    if (isNaN(beginTime) || isNaN(endTime) || beginTime >= endTime) {
+      throw new ParameterError(
+        "回放时间范围无效，开始时间必须早于结束时间",
+        "beginTime",
+        options.beginTime
+      );
+    }
+
+    const recordLocation = RECORD_LOCATIONS[options.recordLocation] || String(options.recordLocation ?? "0");
+    if (!Object.values(RECORD_LOCATIONS).includes(recordLocation)) {
+      throw new ParameterError(
+        `不支持的录像存储位置: ${options.recordLocation}，可选值: ${Object.keys(RECORD_LOCATIONS).join(", ")}`,
+        "recordLocation",
+        options.recordLocation
+      );
+    }
+
+    const params = {
+      cameraIndexCode: options.cameraIndexCode,
+      recordLocation,
+      streamType: options.streamType || 0,
+      protocol: options.protocol || "rtsp",
+      transmode: options.transmode || 0,
+      beginTime: Utils.formatIsoDateTime(beginTime),
+      endTime: Utils.formatIsoDateTime(endTime),
+    };
+
+    if (options.uuid) {
+      params.uuid = options.uuid;
+    }
+
+    const response = await this.client.post(
+      API_PATHS.CAMERA_PLAYBACK_URLS,
+      params,
+      { ...QUERY_CONFIG, ...requestOptions }
+    );
+    return response.data;
+  }
+
+  /**
+   * 查询时间段内的全部录像片段，按 uuid 逐页拉取
+   * @param {Object} options 查询选项，同 getPlaybackUrl（uuid 由本方法控制）
+   * @param {number} options.maxPages 最多拉取的页数，默认100
+   * @param {Object} requestOptions 请求选项 { timeout, signal }，作用于每页请求
+   * @returns {Promise<{ url: string|null, segments: Array<RecordingSegment> }>} 回放地址及按开始时间排序的录像片段
+   */
+  async searchRecordings(options, requestOptions = {}) {
+    const { maxPages = MAX_RECORDING_PAGES, ...query } = options || {};
+    const segments = [];
+    let url = null;
+    let uuid;
+
+    for (let page = 0; page < maxPages; page++) {
+      const result = await this.getPlaybackUrl({ ...query, uuid }, requestOptions);
+      const list = result?.data?.list || [];
+
+      url = url || result?.data?.url || null;
+      segments.push(...parseRecordingSegments(list));
+
+      // 没有后续片段时平台不再返回 uuid
+      if (list.length === 0 || !result?.data?.uuid || result.data.uuid === uuid) {
+        break;
+      }
+      uuid = result.data.uuid;
+    }
+
+    return { url, segments: segments.sort((a, b) => a.start - b.start) };
+  }
+
+  /**
+   * 手动抓图，返回图片地址
+   * @param {Object} options 选项
+   * @param {string} options.cameraIndexCode 摄像头编码
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 抓图结果，data.picUrl 为图片地址
+   */
+  async manualCapture(options, requestOptions = {}) {
+    if (!options?.cameraIndexCode) {
+      throw new ParameterError("摄像头编码不能为空", "cameraIndexCode", options?.cameraIndexCode);
+    }
+
+    const response = await this.client.post(
+      API_PATHS.MANUAL_CAPTURE,
+      { cameraIndexCode: options.cameraIndexCode },
+      requestOptions
+    );
+    return response.data;
+  }
+
+  /**
+   * 抓图并下载图片
+   * 图片经客户端下载，沿用客户端的TLS、代理配置；图片与平台同主机时携带签名或 token
+   * @param {string} cameraIndexCode 摄像头编码
+   * @param {Object} options 选项，同 downloadPicture
+   * @param {Object} requestOptions 请求选项 { timeout, signal }，作用于抓图和下载
+   * @returns {Promise<{ picUrl: string, data?: Buffer|Readable, contentType: string, size?: number, filePath?: string }>}
+   */
+  async captureSnapshot(cameraIndexCode, options = {}, requestOptions = {}) {
+    const result = await this.manualCapture({ cameraIndexCode }, requestOptions);
+    const picUrl = result?.data?.picUrl;
+
+    if (!picUrl) {
+      throw new ApiError("抓图失败: 响应中没有图片地址", result);
+    }
+
+    return { picUrl, ...(await this.downloadPicture(picUrl, options, requestOptions)) };
+  }
+
+  /**
+   * 下载平台返回的图片（抓图、人脸、车辆图片等）
+   * @param {string} picUrl 图片地址，完整URL或平台路径
+   * @param {Object} options 选项
+   * @param {string} options.responseType 返回形式：buffer-Buffer（默认），stream-可读流
+   * @param {string} options.filePath 保存路径，设置后写入文件，不返回图片数据
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<{ data?: Buffer|Readable, contentType: string, size?: number, filePath?: string }>}
+   */
+  async downloadPicture(picUrl, options = {}, requestOptions = {}) {
+    const { responseType = "buffer", filePath } = options;
+    if (!["buffer", "stream"].includes(responseType)) {
+      throw new ParameterError(`不支持的返回形式: ${responseType}，可选值: buffer, stream`, "responseType", responseType);
+    }
+
+    const stream = responseType === "stream" || Boolean(filePath);
+    const response = await this.client.get(picUrl, {}, {
+      ...QUERY_CONFIG,
+      ...requestOptions,
+      responseType: stream ? "stream" : "arraybuffer",
+      rawResponse: true,
+      // 图片不在平台上时不携带认证信息
+      skipAuth: !isPlatformUrl(picUrl, this.client.baseURL),
+    });
+
+    const contentType = response.headers?.["content-type"] || "application/octet-stream";
+    let data = response.data;
+
+    // 平台以JSON返回错误时按业务错误抛出
+    if (/json/i.test(contentType)) {
+      const text = (stream ? await readStream(data) : Buffer.from(data)).toString("utf8");
+      let body = null;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        // 非 JSON 内容按下方的错误处理
+      }
+
+      if (body) {
+        this.client.processResponse({ status: response.status, data: body });
+      }
+      throw new ApiError("图片下载失败: 响应不是图片", body || text, response.status);
+    }
+
+    if (filePath) {
+      try {
+        await pipeline(data, fs.createWriteStream(filePath));
+      } catch (error) {
+        // 下载中断时删除写了一半的文件
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+      }
+      return { contentType, size: (await fs.promises.stat(filePath)).size, filePath };
+    }
+
+    if (stream) {
+      return { data, contentType };
+    }
+
+    data = Buffer.from(data);
+    return { data, contentType, size: data.length };
+  }
+
+  // =================== 云台控制 ===================
+
+  /**
+   * 云台控制
+   * @param {Object} options 控制选项
+   * @param {string} options.cameraIndexCode 摄像头编码
+   * @param {string} options.command 命令，见 PTZ_COMMANDS，或 GOTO_PRESET
+   * @param {string|number} options.action 动作：start/0-开始，stop/1-停止，默认 start
+   * @param {number} options.speed 速度 1-100，默认50
+   * @param {number} options.presetIndex 预置点编号，GOTO_PRESET 时必填
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 控制结果
+   */
+  async controlPtz(options, requestOptions = {}) {
+    const params = buildPtzParams(options);
+
+    const response = await this.client.post(API_PATHS.PTZ_CONTROL, params, requestOptions);
+    return response.data;
+  }
+
+  /**
+   * 开始云台动作，需调用 stopPtz 停止
+   * @param {Object} options 同 controlPtz（action 固定为 start）
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 控制结果
+   */
+  async startPtz(options, requestOptions = {}) {
+    return await this.controlPtz({ ...options, action: "start" }, requestOptions);
+  }
+
+  /**
+   * 停止云台动作
+   * @param {Object} options 同 controlPtz（action 固定为 stop）
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 控制结果
+   */
+  async stopPtz(options, requestOptions = {}) {
+    return await this.controlPtz({ ...options, action: "stop" }, requestOptions);
+  }
+
+  /**
+   * 云台点动：开始动作，持续指定时间后自动停止
+   * 等待中取消或开始命令失败时同样会发送停止命令
+   * @param {string} cameraIndexCode 摄像头编码
+   * @param {string} direction 命令，见 PTZ_COMMANDS
+   * @param {number} durationMs 持续时间(ms)，默认500
+   * @param {Object} options 选项
+   * @param {number} options.speed 速度 1-100，默认50
+   * @param {Object} requestOptions 请求选项 { timeout, signal }，停止命令不受 signal 影响
+   * @returns {Promise<Object>} 停止命令的结果
+   */
+  async nudge(cameraIndexCode, direction, durationMs = 500, options = {}, requestOptions = {}) {
+    // 点动只支持持续动作命令，发出请求前完成校验，避免开始后无法停止
+    if (!PTZ_COMMANDS.includes(String(direction).toUpperCase())) {
+      throw new ParameterError(`点动不支持的命令: ${direction}，可选值: ${PTZ_COMMANDS.join(", ")}`, "direction", direction);
+    }
+    if (!Number.isFinite(durationMs) || durationMs < 0) {
+      throw new ParameterError("点动持续时间必须是非负数", "durationMs", durationMs);
+    }
+
+    const ptz = { ...options, cameraIndexCode, command: direction };
+    buildPtzParams(ptz);
+
+    const { signal, ...stopRequestOptions } = requestOptions;
+    try {
+      await this.startPtz(ptz, requestOptions);
+      await Utils.sleep(durationMs, signal);
+    } catch (error) {
+      // 开始命令可能已生效（如超时），仍尝试停止，抛出原始错误
+      await this.stopPtz(ptz, stopRequestOptions).catch(() => {});
+      throw error;
+    }
+
+    return await this.stopPtz(ptz, stopRequestOptions);
+  }
+
+  /**
+   * 转到预置点
+   * @param {Object} options 选项
+   * @param {string} options.cameraIndexCode 摄像头编码
+   * @param {number} options.presetIndex 预置点编号
+   * @param {number} options.speed 速度 1-100，默认50
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 控制结果
+   */
+  async gotoPreset(options, requestOptions = {}) {
+    return await this.controlPtz({ ...options, command: "GOTO_PRESET", action: "start" }, requestOptions);
+  }
+
+  /**
+   * 查询预置点
+   * @param {Object} options 选项
+   * @param {string} options.cameraIndexCode 摄像头编码
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 预置点列表，data.list 为 [{ presetPointIndex, presetPointName }]
+   */
+  async getPresets(options, requestOptions = {}) {
+    if (!options?.cameraIndexCode) {
+      throw new ParameterError("摄像头编码不能为空", "cameraIndexCode", options?.cameraIndexCode);
+    }
+
+    const response = await this.client.post(
+      API_PATHS.PRESETS,
+      { cameraIndexCode: options.cameraIndexCode },
+      { ...QUERY_CONFIG, ...requestOptions }
     );
     return response.data;
   }
 
+  /**
+   * 设置预置点，将云台当前位置保存为预置点，已存在时覆盖
+   * @param {Object} options 选项
+   * @param {string} options.cameraIndexCode 摄像头编码
+   * @param {number} options.presetIndex 预置点编号
+   * @param {string} options.presetName 预置点名称
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 设置结果
+   */
+  async setPreset(options, requestOptions = {}) {
+    if (!options?.cameraIndexCode) {
+      throw new ParameterError("摄像头编码不能为空", "cameraIndexCode", options?.cameraIndexCode);
+    }
+
+    const presetIndex = validatePresetIndex(options.presetIndex);
+    const params = {
+      cameraIndexCode: options.cameraIndexCode,
+      presetIndex,
+      presetName: options.presetName || `预置点${presetIndex}`,
+    };
+
+    const response = await this.client.post(API_PATHS.PRESET_ADDITION, params, requestOptions);
+    return response.data;
+  }
+
+  /**
+   * 删除预置点
+   * @param {Object} options 选项
+   * @param {string} options.cameraIndexCode 摄像头编码
+   * @param {number} options.presetIndex 预置点编号
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deletePreset(options, requestOptions = {}) {
+    if (!options?.cameraIndexCode) {
+      throw new ParameterError("摄像头编码不能为空", "cameraIndexCode", options?.cameraIndexCode);
+    }
+
+    const params = {
+      cameraIndexCode: options.cameraIndexCode,
+      presetIndex: validatePresetIndex(options.presetIndex),
+    };
+
+    const response = await this.client.post(API_PATHS.PRESET_DELETION, params, requestOptions);
+    return response.data;
+  }
+
   // =================== 区域管理 ===================
 
   /**
@@ -148,9 +729,10 @@ class HikvisionAPI {
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
    * @param {string} options.treeCode 树节点编码
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 区域列表
    */
-  async getRegions(options = {}) {
+  async getRegions(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
@@ -158,7 +740,7 @@ class HikvisionAPI {
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.REGIONS, params);
+    const response = await this.client.post(API_PATHS.REGIONS, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -169,16 +751,17 @@ class HikvisionAPI {
    * @param {Object} options 查询选项
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 组织列表
    */
-  async getOrganizations(options = {}) {
+  async getOrganizations(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.ORGANIZATIONS, params);
+    const response = await this.client.post(API_PATHS.ORGANIZATIONS, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -192,16 +775,17 @@ class HikvisionAPI {
    * @param {Array} options.eventTypes 事件类型列表
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 事件列表
    */
-  async getEvents(options = {}) {
+  async getEvents(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.EVENTS, params);
+    const response = await this.client.post(API_PATHS.EVENTS, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -210,9 +794,10 @@ class HikvisionAPI {
    * @param {Object} options 订阅选项
    * @param {Array} options.eventTypes 事件类型列表
    * @param {string} options.eventDest 事件推送地址
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 订阅结果
    */
-  async subscribeEvents(options) {
+  async subscribeEvents(options, requestOptions = {}) {
     if (!options.eventTypes || !Array.isArray(options.eventTypes)) {
       throw new ParameterError(
         "事件类型列表不能为空",
@@ -223,7 +808,46 @@ class HikvisionAPI {
 
     const response = await this.client.post(
       API_PATHS.EVENTS_SUBSCRIPTION,
-      options
+      options,
+      requestOptions
+    );
+    return response.data;
+  }
+
+  /**
+   * 查询当前应用的事件订阅
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 订阅列表，data.detail 为 [{ eventDest, eventTypes }]
+   */
+  async getEventSubscriptions(requestOptions = {}) {
+    const response = await this.client.post(
+      API_PATHS.EVENTS_SUBSCRIPTION_VIEW,
+      {},
+      { ...QUERY_CONFIG, ...requestOptions }
+    );
+    return response.data;
+  }
+
+  /**
+   * 取消订阅事件
+   * @param {Object} options 取消订阅选项
+   * @param {Array} options.eventTypes 事件类型列表
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 取消订阅结果
+   */
+  async unsubscribeEvents(options, requestOptions = {}) {
+    if (!options?.eventTypes || !Array.isArray(options.eventTypes)) {
+      throw new ParameterError(
+        "事件类型列表不能为空",
+        "eventTypes",
+        options?.eventTypes
+      );
+    }
+
+    const response = await this.client.post(
+      API_PATHS.EVENTS_UNSUBSCRIPTION,
+      { eventTypes: options.eventTypes },
+      requestOptions
     );
     return response.data;
   }
@@ -235,16 +859,17 @@ class HikvisionAPI {
    * @param {Object} options 查询选项
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 设备列表
    */
-  async getDevices(options = {}) {
+  async getDevices(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.DEVICES, params);
+    const response = await this.client.post(API_PATHS.DEVICES, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -252,9 +877,10 @@ class HikvisionAPI {
    * 获取设备在线状态
    * @param {Object} options 查询选项
    * @param {Array} options.indexCodes 设备编码列表
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 设备状态列表
    */
-  async getDeviceStatus(options) {
+  async getDeviceStatus(options, requestOptions = {}) {
     if (!options.indexCodes || !Array.isArray(options.indexCodes)) {
       throw new ParameterError(
         "设备编码列表不能为空",
@@ -263,7 +889,7 @@ class HikvisionAPI {
       );
     }
 
-    const response = await this.client.post(API_PATHS.DEVICE_STATUS, options);
+    const response = await this.client.post(API_PATHS.DEVICE_STATUS, options, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -274,16 +900,17 @@ class HikvisionAPI {
    * @param {Object} options 查询选项
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 人员列表
    */
-  async getPersons(options = {}) {
+  async getPersons(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.PERSONS, params);
+    const response = await this.client.post(API_PATHS.PERSONS, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -292,9 +919,10 @@ class HikvisionAPI {
    * @param {Object} personData 人员数据
    * @param {string} personData.personName 人员姓名
    * @param {string} personData.orgIndexCode 组织编码
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 添加结果
    */
-  async addPerson(personData) {
+  async addPerson(personData, requestOptions = {}) {
     if (!personData.personName) {
       throw new ParameterError(
         "人员姓名不能为空",
@@ -303,7 +931,187 @@ class HikvisionAPI {
       );
     }
 
-    const response = await this.client.post(API_PATHS.PERSONS, personData);
+    const response = await this.client.post(API_PATHS.PERSONS, personData, requestOptions);
+    return response.data;
+  }
+
+  /**
+   * 修改人员信息
+   * @param {Object} personData 人员数据，只修改传入的字段
+   * @param {string} personData.personId 人员ID
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 修改结果
+   */
+  async updatePerson(personData, requestOptions = {}) {
+    if (!personData?.personId) {
+      throw new ParameterError("人员ID不能为空", "personId", personData?.personId);
+    }
+
+    const response = await this.client.post(API_PATHS.PERSON_UPDATE, personData, requestOptions);
+    return response.data;
+  }
+
+  /**
+   * 批量删除人员
+   * @param {Array<string>} personIds 人员ID列表
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 删除结果，data 为删除失败的人员 [{ personId, code, msg }]
+   */
+  async deletePersons(personIds, requestOptions = {}) {
+    if (!Array.isArray(personIds) || personIds.length === 0) {
+      throw new ParameterError("人员ID列表不能为空", "personIds", personIds);
+    }
+
+    const response = await this.client.post(API_PATHS.PERSON_BATCH_DELETE, { personIds }, requestOptions);
+    return response.data;
+  }
+
+  /**
+   * 批量添加人员，按 batchSize 分批请求，返回逐行结果
+   * 缺少姓名的行不发送；某一批请求失败时该批全部记为失败，其余批次继续，通过 signal 取消时直接抛出
+   * @param {Array<Object>} persons 人员数据列表，字段同 addPerson
+   * @param {Object} options 选项
+   * @param {number} options.batchSize 每批人数，默认且最多1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<{ total: number, succeeded: number, failed: number, results: Array<{ index: number, success: boolean, personId?: string, code?: string, message?: string }> }>}
+   */
+  async batchAddPersons(persons, options = {}, requestOptions = {}) {
+    if (!Array.isArray(persons) || persons.length === 0) {
+      throw new ParameterError("人员数据列表不能为空", "persons", persons);
+    }
+
+    const batchSize = Math.min(options.batchSize || MAX_PERSON_BATCH_SIZE, MAX_PERSON_BATCH_SIZE);
+    const results = [];
+    const rows = [];
+
+    persons.forEach((person, index) => {
+      if (!person?.personName) {
+        results.push({ index, success: false, code: null, message: "人员姓名不能为空" });
+      } else {
+        // clientId 用于对应平台返回的逐行结果
+        rows.push({ ...person, clientId: index });
+      }
+    });
+
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+
+      try {
+        const response = await this.client.post(API_PATHS.PERSON_BATCH_ADD, batch, requestOptions);
+        const { successes = [], failures = [] } = response.data?.data || {};
+        const reported = new Set();
+
+        successes.forEach((item) => {
+          reported.add(Number(item.clientId));
+          results.push({ index: Number(item.clientId), success: true, personId: item.personId });
+        });
+        failures.forEach((item) => {
+          reported.add(Number(item.clientId));
+          results.push({ index: Number(item.clientId), success: false, code: item.code ?? null, message: item.msg || null });
+        });
+
+        // 平台结果中缺少的行记为失败，保证每行都有结果
+        batch
+          .filter((row) => !reported.has(row.clientId))
+          .forEach((row) => {
+            results.push({ index: row.clientId, success: false, code: null, message: "平台未返回结果" });
+          });
+      } catch (error) {
+        // 主动取消时不再继续后续批次
+        if (requestOptions.signal?.aborted) {
+          throw error;
+        }
+        batch.forEach((row) => {
+          results.push({ index: row.clientId, success: false, code: error.code ?? null, message: error.message });
+        });
+      }
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    const succeeded = results.filter((result) => result.success).length;
+
+    return { total: persons.length, succeeded, failed: persons.length - succeeded, results };
+  }
+
+  // =================== 人脸管理 ===================
+
+  /**
+   * 获取人脸图片列表
+   * @param {Object} options 查询选项
+   * @param {string} options.personId 人员ID，不传时查询全部
+   * @param {number} options.pageNo 页码，默认1
+   * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 人脸图片列表，data.list: [{ faceId, personId, faceUrl }]
+   */
+  async getFacePictures(options = {}, requestOptions = {}) {
+    const params = {
+      pageNo: options.pageNo || 1,
+      pageSize: options.pageSize || 1000,
+      ...options,
+    };
+
+    const response = await this.client.post(API_PATHS.FACE_PICTURES, params, { ...QUERY_CONFIG, ...requestOptions });
+    return response.data;
+  }
+
+  /**
+   * 添加人脸
+   * @param {Object} options 选项
+   * @param {string} options.personId 人员ID
+   * @param {Buffer|string} options.image 人脸图片：Buffer、文件路径或 base64 字符串，JPEG 格式，不超过200KB
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 添加结果，data 为 { faceId, faceUrl, personId }
+   */
+  async addFace(options, requestOptions = {}) {
+    if (!options?.personId) {
+      throw new ParameterError("人员ID不能为空", "personId", options?.personId);
+    }
+
+    const faceData = await readFaceImage(options.image);
+    const response = await this.client.post(
+      API_PATHS.FACE_ADD,
+      { personId: options.personId, faceData },
+      requestOptions
+    );
+    return response.data;
+  }
+
+  /**
+   * 修改人脸图片
+   * @param {Object} options 选项
+   * @param {string} options.faceId 人脸ID
+   * @param {Buffer|string} options.image 人脸图片，同 addFace
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 修改结果
+   */
+  async updateFace(options, requestOptions = {}) {
+    if (!options?.faceId) {
+      throw new ParameterError("人脸ID不能为空", "faceId", options?.faceId);
+    }
+
+    const faceData = await readFaceImage(options.image);
+    const response = await this.client.post(
+      API_PATHS.FACE_UPDATE,
+      { faceId: options.faceId, faceData },
+      requestOptions
+    );
+    return response.data;
+  }
+
+  /**
+   * 删除人脸
+   * @param {Object} options 选项
+   * @param {string} options.faceId 人脸ID
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteFace(options, requestOptions = {}) {
+    if (!options?.faceId) {
+      throw new ParameterError("人脸ID不能为空", "faceId", options?.faceId);
+    }
+
+    const response = await this.client.post(API_PATHS.FACE_DELETE, { faceId: options.faceId }, requestOptions);
     return response.data;
   }
 
@@ -314,16 +1122,17 @@ class HikvisionAPI {
    * @param {Object} options 查询选项
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 车辆列表
    */
-  async getVehicles(options = {}) {
+  async getVehicles(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.VEHICLES, params);
+    const response = await this.client.post(API_PATHS.VEHICLES, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -334,9 +1143,10 @@ class HikvisionAPI {
    * @param {Object} options 查询选项
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 门禁点列表
    */
-  async getAccessControlPoints(options = {}) {
+  async getAccessControlPoints(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
@@ -345,7 +1155,8 @@ class HikvisionAPI {
 
     const response = await this.client.post(
       API_PATHS.ACCESS_CONTROL_POINTS,
-      params
+      params,
+      { ...QUERY_CONFIG, ...requestOptions }
     );
     return response.data;
   }
@@ -355,16 +1166,17 @@ class HikvisionAPI {
    * @param {Object} options 查询选项
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 读卡器列表
    */
-  async getCardReaders(options = {}) {
+  async getCardReaders(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.CARD_READERS, params);
+    const response = await this.client.post(API_PATHS.CARD_READERS, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
@@ -373,38 +1185,80 @@ class HikvisionAPI {
    * @param {Object} options 查询选项
    * @param {number} options.pageNo 页码，默认1
    * @param {number} options.pageSize 每页大小，默认1000
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 门列表
    */
-  async getDoors(options = {}) {
+  async getDoors(options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(API_PATHS.DOORS, params);
+    const response = await this.client.post(API_PATHS.DOORS, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
   // =================== 通用方法 ===================
 
   /**
-   * 通用分页查询方法
+   * 通用分页查询方法（只查询一页，遍历全部数据请使用 iterate）
    * @param {string} apiPath API路径
    * @param {Object} options 查询选项
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 查询结果
    */
-  async paginatedQuery(apiPath, options = {}) {
+  async paginatedQuery(apiPath, options = {}, requestOptions = {}) {
     const params = {
       pageNo: options.pageNo || 1,
       pageSize: options.pageSize || 1000,
       ...options,
     };
 
-    const response = await this.client.post(apiPath, params);
+    const response = await this.client.post(apiPath, params, { ...QUERY_CONFIG, ...requestOptions });
     return response.data;
   }
 
+  /**
+   * 分页迭代查询，按需逐页拉取
+   *
+   * 用法：for await (const camera of client.iterate('cameras', { regionIndexCode })) { ... }
+   *
+   * @param {string} resource 资源名称（见 PAGED_RESOURCES），或以 / 开头的分页接口路径
+   * @param {Object} filter 查询条件，pageNo/pageSize 由迭代器控制
+   * @param {Object} options 迭代选项
+   * @param {number} options.pageSize 每页大小，默认1000
+   * @param {string} options.cursor 从上次中断的游标继续
+   * @param {number} options.timeout 每页请求的超时时间（毫秒）
+   * @param {AbortSignal} options.signal 取消信号，取消后迭代以错误结束
+   * @returns {PageIterator} 异步迭代器，可通过 .cursor 获取续传位置
+   */
+  iterate(resource, filter = {}, options = {}) {
+    const { timeout, signal, ...iteratorOptions } = options;
+    const requestOptions = { timeout, signal };
+
+    let query;
+    if (PAGED_RESOURCES[resource]) {
+      query = (params) => this[PAGED_RESOURCES[resource]](params, requestOptions);
+    } else if (typeof resource === "string" && resource.startsWith("/")) {
+      query = (params) => this.paginatedQuery(resource, params, requestOptions);
+    } else {
+      throw new ParameterError(
+        `不支持分页迭代的资源: ${resource}，可选值: ${Object.keys(PAGED_RESOURCES).join(", ")}`,
+        "resource",
+        resource
+      );
+    }
+
+    return new PageIterator(
+      async (pageIndex, pageSize) => {
+        const result = await query({ ...filter, pageNo: pageIndex + 1, pageSize });
+        return { items: result?.data?.list || [], total: result?.data?.total };
+      },
+      { ...iteratorOptions, pageSize: iteratorOptions.pageSize || 1000 }
+    );
+  }
+
   /**
    * 批量处理数据
    * @param {Function} apiMethod API方法
@@ -435,4 +1289,23 @@ class HikvisionAPI {
   }
 }
 
-module.exports = { HikvisionAPI, API_PATHS };
\ No newline at end of file
+/**
+ * 读取并校验人脸图片
+ * @param {Buffer|string} image 人脸图片：Buffer、文件路径或 base64 字符串
+ * @returns {Promise<string>} base64 编码的图片
+ */
+async function readFaceImage(image) {
+  const { buffer } = await loadImage(image, { ...FACE_IMAGE_OPTIONS, name: "image" });
+  return buffer.toString("base64");
+}
+
+module.exports = {
+  HikvisionAPI,
+  API_PATHS,
+  PAGED_RESOURCES,
+  RECORD_LOCATIONS,
+  PTZ_COMMANDS,
+  PTZ_ACTIONS,
+  FACE_IMAGE_OPTIONS,
+  parseRecordingSegments,
+};
\ No newline at end of file
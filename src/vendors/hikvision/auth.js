@@ -7,8 +7,30 @@ const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
 const { Logger } = require("../../utils/logger");
 
-// 创建logger实例
-const logger = new Logger();
+/**
+ * 存在时按固定顺序参与签名的标准请求头，各占一行（只有值，没有头名称）
+ */
+const STANDARD_SIGNED_HEADERS = ["accept", "content-md5", "content-type", "date"];
+
+/**
+ * 不参与签名的 X-Ca 请求头
+ */
+const UNSIGNED_CA_HEADERS = ["x-ca-signature", "x-ca-signature-headers"];
+
+/**
+ * 请求头名称转为小写
+ * @param {Object} headers 请求头
+ * @returns {Object}
+ */
+function lowerCaseHeaders(headers = {}) {
+  const result = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && typeof value !== "object" && typeof value !== "function") {
+      result[name.toLowerCase()] = String(value);
+    }
+  });
+  return result;
+}
 
 class HikvisionAuth {
   /**
@@ -16,56 +38,67 @@ class HikvisionAuth {
    * @param {string} appKey 应用密钥
    * @param {string} appSecret 应用秘钥
    * @param {boolean} debug 是否开启调试模式
+   * @param {Logger} logger 日志实例，默认按debug参数创建
+   * @param {Object} options 签名选项
+   * @param {string[]} options.signedHeaders 额外参与签名的自定义请求头名称（X-Ca- 开头的请求头总是参与签名）
    */
-  constructor(appKey, appSecret, debug = false) {
+  constructor(appKey, appSecret, debug = false, logger = new Logger(debug), options = {}) {
     this.appKey = appKey;
     this.appSecret = appSecret;
     this.debug = debug;
-    // 创建logger实例，传入debug参数
-    this.logger = new Logger(debug);
+    this.logger = logger;
+    this.signedHeaders = (options.signedHeaders || []).map((name) => name.toLowerCase());
   }
 
   /**
    * 生成认证请求头
+   * 请求体为表单时表单参数参与签名，multipart 请求体不参与签名，其余请求体通过 Content-MD5 参与签名
    * @param {string} method HTTP方法
-   * @param {string} url 请求URL路径
-   * @param {Object|string} body 请求体
+   * @param {string} url 请求URL路径，可带查询参数
+   * @param {Object|string|Buffer|URLSearchParams} body 请求体，应与实际发送的内容一致
+   * @param {Object} options 选项
+   * @param {Object} options.headers 请求头，其中的 Accept、Content-Type、Date 和自定义头参与签名
+   * @param {string[]} options.signedHeaders 本次请求额外参与签名的请求头名称
    * @returns {Object} 认证请求头
    */
-  generateAuthHeaders(method, url, body = "") {
+  generateAuthHeaders(method, url, body = "", options = {}) {
+    const requestHeaders = lowerCaseHeaders(options.headers);
+    const contentType = requestHeaders["content-type"] || "";
+
     // 生成时间戳（毫秒）
     const timestamp = Date.now().toString();
 
     // 生成UUID作为nonce
     const nonce = uuidv4();
 
-    // 处理请求体
-    let bodyStr = "";
-    if (body && typeof body === "object") {
-      bodyStr = JSON.stringify(body);
-    } else if (body && typeof body === "string") {
-      bodyStr = body;
+    const headers = {
+      "X-Ca-Key": this.appKey,
+      "X-Ca-Nonce": nonce,
+      "X-Ca-Timestamp": timestamp,
+    };
+
+    if (!this.isForm(contentType) && !this.isMultipart(contentType)) {
+      const contentMd5 = this.calculateContentMd5(body);
+      if (contentMd5) {
+        headers["Content-MD5"] = contentMd5;
+      }
     }
 
+    const signingHeaders = { ...requestHeaders, ...lowerCaseHeaders(headers) };
+    const signedHeaderNames = this.getSignedHeaderNames(signingHeaders, options.signedHeaders);
+
     // 构建签名字符串
     const signatureData = this.buildSignatureString(
       method,
       url,
-      bodyStr,
-      timestamp,
-      nonce
+      signingHeaders,
+      signedHeaderNames,
+      this.isForm(contentType) ? this.parseForm(body) : []
     );
 
     // 生成HMAC-SHA256签名
-    const signature = this.generateSignature(signatureData);
-
-    const headers = {
-      "X-Ca-Key": this.appKey,
-      "X-Ca-Nonce": nonce,
-      "X-Ca-Timestamp": timestamp,
-      "X-Ca-Signature": signature,
-      "X-Ca-Signature-Headers": "x-ca-key,x-ca-nonce,x-ca-timestamp",
-    };
+    headers["X-Ca-Signature"] = this.generateSignature(signatureData);
+    headers["X-Ca-Signature-Headers"] = signedHeaderNames.join(",");
 
     if (this.debug) {
       this.logger.debug("认证信息生成", {
@@ -74,7 +107,6 @@ class HikvisionAuth {
         timestamp,
         nonce,
         signatureData,
-        signature,
         headers,
       });
     }
@@ -84,42 +116,131 @@ class HikvisionAuth {
 
   /**
    * 构建签名字符串
+   * 格式：HTTP方法、Accept、Content-MD5、Content-Type、Date（不存在的省略）、
+   * 按名称排序的 "名称:值" 自定义头，最后是路径和排序后的查询及表单参数，以换行符连接
    * @param {string} method HTTP方法
-   * @param {string} url 请求URL路径
-   * @param {string} body 请求体字符串
-   * @param {string} timestamp 时间戳
-   * @param {string} nonce 随机数
+   * @param {string} url 请求URL路径，可带查询参数
+   * @param {Object} headers 请求头，名称为小写
+   * @param {string[]} signedHeaderNames 参与签名的自定义头名称（小写、已排序）
+   * @param {Array} formParams 表单参数 [[名称, 值], ...]
    * @returns {string} 签名字符串
    */
-  buildSignatureString(method, url, body, timestamp, nonce) {
-    // 清理URL路径，确保以/开头
-    const cleanUrl = url.startsWith("/") ? url : `/${url}`;
-
-    // 构建签名字符串，按照海康威视API实际格式
-    // 从错误信息可以看出格式：HTTP方法\nContent-Type\nAccept\n自定义头部\nURL路径
-    const signatureParts = [
-      method.toUpperCase(),
-      "application/json", // Content-Type
-      "application/json", // Accept（不需要Content-MD5）
-    ];
-
-    // 添加自定义头部（按字典序排序）
-    const customHeaders = [
-      `x-ca-key:${this.appKey}`,
-      `x-ca-nonce:${nonce}`,
-      `x-ca-timestamp:${timestamp}`,
-    ].sort();
-
-    // 将自定义头部添加到签名字符串中
-    signatureParts.push(...customHeaders);
-
-    // 最后添加URL路径
-    signatureParts.push(cleanUrl);
-
-    // 用换行符连接所有部分
-    const signatureString = signatureParts.join("\n");
-
-    return signatureString;
+  buildSignatureString(method, url, headers, signedHeaderNames, formParams = []) {
+    const signatureParts = [method.toUpperCase()];
+
+    STANDARD_SIGNED_HEADERS.forEach((name) => {
+      if (headers[name]) {
+        signatureParts.push(headers[name]);
+      }
+    });
+
+    signedHeaderNames.forEach((name) => {
+      signatureParts.push(`${name}:${headers[name] ?? ""}`);
+    });
+
+    signatureParts.push(this.buildSignedUrl(url, formParams));
+
+    return signatureParts.join("\n");
+  }
+
+  /**
+   * 构建参与签名的URL：路径 + 按名称排序的查询参数和表单参数
+   * 参数值不做URL编码，值为空时只保留名称
+   * @param {string} url 请求URL路径，可带查询参数；完整URL只取路径和查询参数
+   * @param {Array} formParams 表单参数 [[名称, 值], ...]
+   * @returns {string}
+   */
+  buildSignedUrl(url, formParams = []) {
+    if (/^https?:\/\//i.test(url)) {
+      const { pathname, search } = new URL(url);
+      url = `${pathname}${search}`;
+    }
+
+    const [rawPath, query = ""] = String(url).split(/\?(.*)/s);
+    const path = rawPath.startsWith("/") ? rawPath : `/${rawPath}`;
+
+    const params = [...new URLSearchParams(query), ...formParams].sort(([a], [b]) =>
+      a < b ? -1 : a > b ? 1 : 0
+    );
+    if (params.length === 0) {
+      return path;
+    }
+
+    const queryString = params.map(([name, value]) => (value === "" ? name : `${name}=${value}`)).join("&");
+    return `${path}?${queryString}`;
+  }
+
+  /**
+   * 参与签名的自定义头名称：X-Ca- 开头的请求头（签名相关的除外）和配置的请求头，小写并排序
+   * @param {Object} headers 请求头，名称为小写
+   * @param {string[]} extra 本次请求额外参与签名的请求头名称
+   * @returns {string[]}
+   */
+  getSignedHeaderNames(headers, extra = []) {
+    const configured = [...this.signedHeaders, ...extra.map((name) => name.toLowerCase())];
+
+    return Object.keys(headers)
+      .filter((name) =>
+        (name.startsWith("x-ca-") && !UNSIGNED_CA_HEADERS.includes(name)) || configured.includes(name)
+      )
+      .sort();
+  }
+
+  /**
+   * 计算请求体的 Content-MD5（MD5 摘要的 Base64 编码），请求体为空或为流时返回 null
+   * @param {Object|string|Buffer} body 请求体
+   * @returns {string|null}
+   */
+  calculateContentMd5(body) {
+    let buffer;
+    if (Buffer.isBuffer(body)) {
+      buffer = body;
+    } else if (typeof body === "string" || body instanceof URLSearchParams) {
+      buffer = Buffer.from(body.toString(), "utf8");
+    } else if (body && typeof body === "object" && typeof body.pipe !== "function") {
+      buffer = Buffer.from(JSON.stringify(body), "utf8");
+    }
+
+    if (!buffer || buffer.length === 0) {
+      return null;
+    }
+
+    return crypto.createHash("md5").update(buffer).digest("base64");
+  }
+
+  /**
+   * 解析表单请求体
+   * @param {string|Buffer|URLSearchParams|Object} body 请求体
+   * @returns {Array} [[名称, 值], ...]
+   */
+  parseForm(body) {
+    if (!body) {
+      return [];
+    }
+
+    if (typeof body === "string" || Buffer.isBuffer(body) || body instanceof URLSearchParams) {
+      return [...new URLSearchParams(body.toString())];
+    }
+
+    return Object.entries(body).map(([name, value]) => [name, value === undefined || value === null ? "" : String(value)]);
+  }
+
+  /**
+   * 是否为表单请求体
+   * @param {string} contentType Content-Type
+   * @returns {boolean}
+   */
+  isForm(contentType) {
+    return /^application\/x-www-form-urlencoded/i.test(contentType);
+  }
+
+  /**
+   * 是否为 multipart 请求体
+   * @param {string} contentType Content-Type
+   * @returns {boolean}
+   */
+  isMultipart(contentType) {
+    return /^multipart\//i.test(contentType);
   }
 
   /**
@@ -135,32 +256,85 @@ class HikvisionAuth {
 
   /**
    * 验证签名（用于调试和测试）
+   * 按固定的请求头计算：Accept 与 Content-Type 为 application/json，只有 x-ca-key、x-ca-nonce、x-ca-timestamp 参与签名，
+   * 不含 Content-MD5。校验完整的请求请使用 verifyRequest
    * @param {string} method HTTP方法
    * @param {string} url 请求URL路径
-   * @param {string} body 请求体
+   * @param {string} body 请求体（不参与计算）
    * @param {string} timestamp 时间戳
    * @param {string} nonce 随机数
    * @param {string} expectedSignature 期望的签名
    * @returns {boolean} 验证结果
    */
   verifySignature(method, url, body, timestamp, nonce, expectedSignature) {
+    const headers = {
+      accept: "application/json",
+      "content-type": "application/json",
+      "x-ca-key": this.appKey,
+      "x-ca-nonce": nonce,
+      "x-ca-timestamp": timestamp,
+    };
+    const signatureData = this.buildSignatureString(method, url, headers, ["x-ca-key", "x-ca-nonce", "x-ca-timestamp"]);
+    const actualSignature = this.generateSignature(signatureData);
+
+    const isValid = actualSignature === expectedSignature;
+
+    if (this.debug) {
+      this.logger.debug("签名验证", {
+        method,
+        url,
+        timestamp,
+        nonce,
+        signatureData,
+        expectedSignature,
+        actualSignature,
+        isValid,
+      });
+    }
+
+    return isValid;
+  }
+
+  /**
+   * 验证收到的请求（用于调试和模拟平台）
+   * 按请求中的 X-Ca-Signature-Headers 还原参与签名的请求头，并校验 Content-MD5
+   * @param {string} method HTTP方法
+   * @param {string} url 请求URL路径，可带查询参数
+   * @param {string|Buffer} body 收到的请求体
+   * @param {Object} headers 收到的请求头
+   * @returns {boolean} 验证结果
+   */
+  verifyRequest(method, url, body, headers) {
+    const requestHeaders = lowerCaseHeaders(headers);
+    const contentType = requestHeaders["content-type"] || "";
+    const expectedSignature = requestHeaders["x-ca-signature"];
+
+    const contentMd5 = requestHeaders["content-md5"];
+    if (contentMd5 && contentMd5 !== this.calculateContentMd5(body)) {
+      return false;
+    }
+
+    const signedHeaderNames = String(requestHeaders["x-ca-signature-headers"] || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean)
+      .sort();
+
     const signatureData = this.buildSignatureString(
       method,
       url,
-      body,
-      timestamp,
-      nonce
+      requestHeaders,
+      signedHeaderNames,
+      this.isForm(contentType) ? this.parseForm(body) : []
     );
     const actualSignature = this.generateSignature(signatureData);
 
     const isValid = actualSignature === expectedSignature;
 
     if (this.debug) {
-      this.logger.debug("签名验证", {
+      this.logger.debug("请求签名验证", {
         method,
         url,
-        timestamp,
-        nonce,
         signatureData,
         expectedSignature,
         actualSignature,
@@ -2,17 +2,19 @@
  * 海康威视 OpenAPI 客户端
  */
 
-const axios = require("axios");
-const https = require("https");
+const crypto = require("crypto");
+const { AxiosHeaders } = require("axios");
+const { BaseClient } = require("../../core/baseClient");
+const { ParameterError } = require("../../utils/errors/cameraErrors");
 const { HikvisionAuth } = require("./auth");
-const { ApiError, AuthError, NetworkError } = require("../../utils/errors/cameraErrors");
-const { Logger } = require("../../utils/logger");
 const { HikvisionAPI } = require("./api");
 
-// 创建logger实例
-const logger = new Logger();
+/**
+ * 认证方式：signature-每个请求使用 AK/SK 签名，token-先获取 OAuth token，请求携带 access-token 请求头
+ */
+const AUTH_MODES = ["signature", "token"];
 
-class HikvisionClient {
+class HikvisionClient extends BaseClient {
   /**
    * 初始化海康威视客户端
    * @param {Object} config 配置对象
@@ -21,34 +23,40 @@ class HikvisionClient {
    * @param {string} config.protocol 协议，默认https
    * @param {string|number} config.appKey 应用密钥
    * @param {string} config.appSecret 应用秘钥
+   * @param {string} config.authMode 认证方式 signature/token，默认 signature
    * @param {boolean} config.debug 是否开启调试模式，默认false
    * @param {number} config.timeout 请求超时时间(ms)，默认30000
-   * @param {boolean} config.rejectUnauthorized 是否验证SSL证书，默认false
+   * @param {string} config.accept 请求头 Accept，参与签名，默认 application/json
+   * @param {string[]} config.signedHeaders 额外参与签名的自定义请求头名称，X-Ca- 开头的请求头总是参与签名
+   * @param {boolean} config.rejectUnauthorized 是否验证SSL证书，配置了 ca 时默认true，否则默认false；ca、cert、key、fingerprint、proxy 等TLS与代理配置见 BaseClient
    */
   constructor(config) {
-    // 验证必需参数
-    this.validateConfig(config);
+    super(config, {
+      vendor: "hikvision",
+      name: "海康威视",
+      port: 443,
+      protocol: "https",
+      timeout: 30000,
+      userAgent: "Hikvision-Node-SDK/1.0.0",
+    });
 
     // 配置属性
-    this.host = config.host;
-    this.port = config.port || 443;
-    this.protocol = config.protocol || "https";
     this.appKey = String(config.appKey); // 确保是字符串格式
     this.appSecret = config.appSecret;
-    this.debug = config.debug || false;
-    this.timeout = config.timeout || 30000;
+    this.authMode = config.authMode || "signature";
 
-    // 构建基础URL
-    this.baseURL = `${this.protocol}://${this.host}:${this.port}`;
+    // token 认证模式
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
 
     // 初始化认证处理器
-    this.auth = new HikvisionAuth(this.appKey, this.appSecret, this.debug);
-
-    // 创建logger实例
-    this.logger = new Logger(this.debug);
+    this.auth = new HikvisionAuth(this.appKey, this.appSecret, this.debug, this.logger, {
+      signedHeaders: config.signedHeaders,
+    });
 
-    // 初始化HTTP客户端
-    this.initHttpClient(config);
+    if (config.accept) {
+      this.httpClient.defaults.headers.Accept = config.accept;
+    }
 
     // 初始化API封装
     this.api = new HikvisionAPI(this);
@@ -60,6 +68,7 @@ class HikvisionClient {
       this.logger.info("海康威视SDK初始化成功", {
         baseURL: this.baseURL,
         appKey: this.appKey,
+        authMode: this.authMode,
         timeout: this.timeout,
       });
     }
@@ -70,13 +79,7 @@ class HikvisionClient {
    * @param {Object} config 配置对象
    */
   validateConfig(config) {
-    if (!config) {
-      throw new Error("配置对象不能为空");
-    }
-
-    if (!config.host) {
-      throw new Error("host参数不能为空");
-    }
+    super.validateConfig(config);
 
     if (!config.appKey) {
       throw new Error("appKey参数不能为空");
@@ -85,325 +88,279 @@ class HikvisionClient {
     if (!config.appSecret) {
       throw new Error("appSecret参数不能为空");
     }
+
+    if (config.authMode && !AUTH_MODES.includes(config.authMode)) {
+      throw new Error(`不支持的authMode: ${config.authMode}，可选值: ${AUTH_MODES.join(", ")}`);
+    }
   }
 
   /**
-   * 初始化HTTP客户端
-   * @param {Object} config 配置对象
+   * 添加认证头：签名模式下生成签名，token 模式下确保已获取 token 并携带 access-token
+   * @param {Object} requestConfig axios请求配置
+   * @param {string} requestConfig.authMode 本次请求的认证方式，覆盖客户端配置
+   * @param {string[]} requestConfig.signedHeaders 本次请求额外参与签名的请求头名称
    */
-  initHttpClient(config) {
-    const httpsAgent = new https.Agent({
-      rejectUnauthorized: config.rejectUnauthorized || false,
-      keepAlive: true,
-      timeout: this.timeout,
-    });
-
-    this.httpClient = axios.create({
-      baseURL: this.baseURL,
-      timeout: this.timeout,
-      httpsAgent: httpsAgent,
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
-        "User-Agent": "Hikvision-Node-SDK/1.0.0",
-      },
-    });
+  async authorizeRequest(requestConfig) {
+    await this.serializeBody(requestConfig);
 
-    // 添加请求拦截器
-    this.httpClient.interceptors.request.use(
-      (requestConfig) => {
-        // 构建完整的URL（包含查询参数，用于签名）
-        let fullUrl = requestConfig.url;
-        if (
-          requestConfig.params &&
-          Object.keys(requestConfig.params).length > 0
-        ) {
-          const searchParams = new URLSearchParams(requestConfig.params);
-          fullUrl = `${requestConfig.url}?${searchParams.toString()}`;
-        }
-
-        // 生成签名并添加认证头
-        const authHeaders = this.auth.generateAuthHeaders(
-          requestConfig.method.toUpperCase(),
-          fullUrl,
-          requestConfig.data
-        );
-
-        requestConfig.headers = {
-          ...requestConfig.headers,
-          ...authHeaders,
-        };
-
-        if (this.debug) {
-          this.logger.debug("请求配置", {
-            method: requestConfig.method,
-            url: requestConfig.url,
-            fullUrl: fullUrl,
-            params: requestConfig.params,
-            headers: requestConfig.headers,
-            data: requestConfig.data,
-          });
-
-          // 生成并输出对应的curl命令
-          const curlCommand = this.generateCurlCommand(requestConfig, fullUrl);
-          console.log("\n🔗 对应的 curl 命令：");
-          console.log("─".repeat(80));
-          console.log(curlCommand);
-          console.log("─".repeat(80));
-        }
+    if ((requestConfig.authMode || this.authMode) === "token") {
+      await this.ensureAuthenticated();
 
-        return requestConfig;
-      },
-      (error) => {
-        if (this.debug) {
-          this.logger.error("请求拦截器错误", error);
-        }
-        return Promise.reject(new NetworkError("请求配置失败", error));
+      if (this.accessToken) {
+        requestConfig.headers = AxiosHeaders.from(requestConfig.headers).set("access-token", this.accessToken);
       }
-    );
+      return;
+    }
 
-    // 添加响应拦截器
-    this.httpClient.interceptors.response.use(
-      (response) => {
-        if (this.debug) {
-          this.logger.debug("响应数据", {
-            status: response.status,
-            headers: response.headers,
-            data: response.data,
-          });
-        }
-        return response;
-      },
-      (error) => {
-        return this.handleResponseError(error);
-      }
+    const authHeaders = this.auth.generateAuthHeaders(
+      requestConfig.method.toUpperCase(),
+      this.buildFullUrl(requestConfig),
+      requestConfig.data,
+      { headers: requestConfig.headers, signedHeaders: requestConfig.signedHeaders }
     );
+
+    requestConfig.headers = AxiosHeaders.from(requestConfig.headers).set(authHeaders);
   }
 
   /**
-   * 处理响应错误
-   * @param {Error} error 错误对象
+   * 将表单和 multipart 请求体序列化为最终发送的内容，保证签名与实际发送的请求一致
+   * multipart 选项或 FormData 序列化为 multipart，URLSearchParams 或 Content-Type 为表单的对象序列化为表单字符串
+   * @param {Object} requestConfig axios请求配置
+   * @param {Object} requestConfig.multipart multipart 请求体，不依赖 FormData（Node 18 起才有），设置后忽略 data
+   * @param {Object} requestConfig.multipart.fields 文本字段 { 名称: 值 }
+   * @param {Array<{ name: string, data: Buffer|string, filename: string, contentType: string }>} requestConfig.multipart.files 文件
    */
-  handleResponseError(error) {
-    if (this.debug) {
-      this.logger.error("响应错误", error);
+  async serializeBody(requestConfig) {
+    const { data } = requestConfig;
+    const headers = AxiosHeaders.from(requestConfig.headers);
+
+    if (requestConfig.multipart) {
+      const multipart = encodeMultipart(multipartParts(requestConfig.multipart));
+      requestConfig.data = multipart.body;
+      headers.setContentType(multipart.contentType);
+    } else if (typeof FormData !== "undefined" && data instanceof FormData) {
+      // FormData 为 Node 18 起的全局对象，低版本 Node 中不存在
+      const multipart = encodeMultipart(await formDataParts(data));
+      requestConfig.data = multipart.body;
+      headers.setContentType(multipart.contentType);
+    } else if (data instanceof URLSearchParams) {
+      requestConfig.data = data.toString();
+      headers.setContentType("application/x-www-form-urlencoded;charset=UTF-8");
+    } else if (this.auth.isForm(headers.getContentType() || "") && data && typeof data === "object") {
+      requestConfig.data = new URLSearchParams(this.auth.parseForm(data)).toString();
+    } else {
+      return;
     }
 
-    // axios 1.x 版本的错误对象结构有所不同
-    if (error.response) {
-      // 服务器返回了错误状态码
-      const { status, data } = error.response;
+    requestConfig.headers = headers;
+  }
 
-      if (status === 401 || status === 403) {
-        return Promise.reject(new AuthError("认证失败", data));
-      }
+  /**
+   * token 失效时重新获取，签名认证失败无法恢复
+   * @param {Error} error axios错误
+   * @returns {Promise<boolean>} 是否获取成功
+   */
+  async recoverAuth(error) {
+    if ((error.config?.authMode || this.authMode) !== "token") {
+      return false;
+    }
 
-      return Promise.reject(new ApiError(`API错误 (${status})`, data, status));
-    } else if (error.request) {
-      // 请求已发出但没有收到响应
-      return Promise.reject(
-        new NetworkError("网络错误，请检查网络连接", error)
-      );
-    } else {
-      // 其他错误
-      return Promise.reject(new NetworkError("未知错误", error));
+    // 其他请求已经换了新 token，直接用新 token 重发
+    const usedToken = AxiosHeaders.from(error.config?.headers).get("access-token");
+    if (this.isAuthenticated() && usedToken !== this.accessToken) {
+      return true;
+    }
+
+    if (this.debug) {
+      this.logger.info("检测到认证错误，尝试重新获取token...");
     }
+
+    // 服务端已判定 token 无效，清除后并发请求会等待同一次登录
+    await this.discardToken(usedToken);
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
+
+    const loginResult = await this.login();
+    return loginResult.success;
   }
 
   /**
-   * 发送GET请求
-   * @param {string} path API路径
-   * @param {Object} params 查询参数
-   * @returns {Promise} 响应数据
+   * token存储键，区分平台和应用
+   * @returns {string}
    */
-  async get(path, params = {}) {
-    try {
-      const response = await this.httpClient.get(path, { params });
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "GET", path);
-    }
+  getTokenKey() {
+    return `${super.getTokenKey()}:${this.appKey}`;
   }
 
   /**
-   * 发送POST请求
-   * @param {string} path API路径
-   * @param {Object} data 请求体数据
-   * @returns {Promise} 响应数据
+   * 判断是否已认证：签名模式总是已认证，token 模式需 token 未过期
+   * @returns {boolean}
    */
-  async post(path, data = {}) {
-    try {
-      const response = await this.httpClient.post(path, data);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "POST", path);
+  isAuthenticated() {
+    if (this.authMode !== "token") return true;
+    if (!this.accessToken) return false;
+    if (this.tokenExpiresAt && Date.now() >= this.tokenExpiresAt) {
+      return false; // token 已过期
     }
+    return true;
   }
 
   /**
-   * 发送PUT请求
-   * @param {string} path API路径
-   * @param {Object} data 请求体数据
-   * @returns {Promise} 响应数据
+   * 获取 OAuth token（token 认证模式），由 login() 调用
+   * @returns {Promise<{ success: boolean, data?: object, msg?: string }>}
    */
-  async put(path, data = {}) {
+  async performLogin() {
+    if (this.authMode !== "token") {
+      return super.performLogin();
+    }
+
+    // 优先复用存储中未过期的 token
+    const stored = await this.loadToken();
+    if (stored) {
+      this.accessToken = stored.accessToken;
+      this.tokenExpiresAt = stored.expiresAt || null;
+
+      if (this.debug) {
+        this.logger.info("复用已存储的 access_token");
+      }
+
+      return { success: true, data: stored, fromStore: true };
+    }
+
     try {
-      const response = await this.httpClient.put(path, data);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "PUT", path);
+      const result = await this.api.getOAuthToken();
+      const { access_token, expires_in } = result?.data || {};
+
+      if (!access_token) {
+        return { success: false, msg: `获取token失败: ${result?.msg || "响应中没有 access_token"}` };
+      }
+
+      this.accessToken = access_token;
+
+      // 设置过期时间（提前 60 秒刷新）
+      this.tokenExpiresAt = expires_in ? Date.now() + (expires_in - 60) * 1000 : null;
+
+      await this.saveToken({
+        accessToken: this.accessToken,
+        expiresAt: this.tokenExpiresAt,
+      });
+
+      if (this.debug) {
+        this.logger.info("Artemis token 获取成功");
+        if (this.tokenExpiresAt) {
+          this.logger.info("token 过期时间:", new Date(this.tokenExpiresAt).toLocaleString());
+        }
+      }
+
+      return { success: true, data: result.data };
+    } catch (err) {
+      if (this.debug) {
+        this.logger.error("获取token失败:", err.message);
+      }
+      return { success: false, msg: err.message };
     }
   }
 
   /**
-   * 发送DELETE请求
-   * @param {string} path API路径
-   * @returns {Promise} 响应数据
+   * 确保已认证（token 模式下 token 不存在或过期时重新获取）
+   * @returns {Promise<{ success: boolean, msg?: string }>}
    */
-  async delete(path) {
-    try {
-      const response = await this.httpClient.delete(path);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "DELETE", path);
+  async ensureAuthenticated() {
+    if (this.isAuthenticated()) {
+      return { success: true, msg: "已认证" };
     }
+
+    if (this.debug) {
+      this.logger.info("token 无效或未获取，正在获取token...");
+    }
+
+    return await this.login();
   }
 
   /**
-   * 通用请求方法，允许用户直接发送请求
-   * @param {string} method HTTP方法 (GET, POST, PUT, DELETE)
-   * @param {string} path API路径
-   * @param {Object} options 请求选项
-   * @param {Object} options.params 查询参数
-   * @param {Object} options.data 请求体数据
-   * @returns {Promise} 响应数据
+   * 关闭客户端
    */
-  async request(method, path, options = {}) {
-    try {
-      const config = {
-        method: method.toUpperCase(),
-        url: path,
-        params: options.params || {},
-        data: options.data || {}
-      };
-
-      const response = await this.httpClient.request(config);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, method, path);
-    }
+  async close() {
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
+
+    await super.close();
   }
 
   /**
-   * 处理响应数据
-   * @param {Object} response axios响应对象
-   * @returns {Object} 处理后的响应数据
+   * 解析海康威视响应体，code 不为 "0" 时为业务错误
+   * @param {Object} data 响应体
+   * @returns {{ success: boolean, code: string|null, message: string|null }}
    */
-  processResponse(response) {
-    const { status, data } = response;
-
-    // 检查海康威视API返回的业务状态码
-    if (data && data.code && data.code !== "0") {
-      throw new ApiError(
-        `API业务错误: ${data.msg || "未知错误"}`,
-        data,
-        status
-      );
-    }
-
+  parseEnvelope(data) {
     return {
-      success: true,
-      status: status,
-      data: data,
-      message: data.msg || "success",
+      success: !(data && data.code && data.code !== "0"),
+      code: data?.code ?? null,
+      message: data?.msg || null,
     };
   }
+}
 
-  /**
-   * 增强错误信息
-   * @param {Error} error 原始错误
-   * @param {string} method HTTP方法
-   * @param {string} path API路径
-   * @returns {Error} 增强后的错误
-   */
-  enhanceError(error, method, path) {
-    if (error.isCameraError) {
-      return error;
+/**
+ * 将 multipart 选项转换为编码用的字段列表
+ * @param {Object} multipart 同 serializeBody 的 requestConfig.multipart
+ * @returns {Array} [[名称, 字符串或文件], ...]
+ */
+function multipartParts({ fields = {}, files = [] }) {
+  const parts = Object.entries(fields).map(([name, value]) => [name, String(value)]);
+
+  files.forEach((file) => {
+    if (!file?.name || !(Buffer.isBuffer(file.data) || typeof file.data === "string")) {
+      throw new ParameterError("multipart 文件需要 name 和 Buffer 或字符串类型的 data", "multipart.files", file?.name);
     }
+    parts.push([file.name, { data: Buffer.from(file.data), filename: file.filename, contentType: file.contentType }]);
+  });
 
-    error.method = method;
-    error.path = path;
-    error.timestamp = new Date().toISOString();
+  return parts;
+}
 
-    return error;
+/**
+ * 将 FormData 转换为编码用的字段列表
+ * @param {FormData} formData 表单
+ * @returns {Promise<Array>} [[名称, 字符串或文件], ...]
+ */
+async function formDataParts(formData) {
+  const parts = [];
+  for (const [name, value] of formData.entries()) {
+    parts.push([
+      name,
+      typeof value === "string"
+        ? value
+        : { data: Buffer.from(await value.arrayBuffer()), filename: value.name, contentType: value.type },
+    ]);
   }
+  return parts;
+}
 
-  /**
-   * 生成对应的curl命令
-   * @param {Object} requestConfig axios请求配置
-   * @param {string} fullUrl 完整的URL路径
-   * @returns {string} curl命令字符串
-   */
-  generateCurlCommand(requestConfig, fullUrl) {
-    const method = requestConfig.method.toUpperCase();
-    const completeUrl = `${this.baseURL}${fullUrl}`;
-
-    // 开始构建curl命令
-    let curlCommand = `curl -X ${method}`;
-
-    // 添加URL，用引号包围以处理特殊字符
-    curlCommand += ` '${completeUrl}'`;
-
-    // 添加headers
-    if (requestConfig.headers) {
-      Object.entries(requestConfig.headers).forEach(([key, value]) => {
-        // 跳过一些axios自动添加的headers
-        if (
-          !["content-length", "host", "connection"].includes(key.toLowerCase())
-        ) {
-          curlCommand += ` \\\n  -H '${key}: ${value}'`;
-        }
-      });
-    }
+/**
+ * 编码 multipart/form-data 请求体
+ * @param {Array} parts [[名称, 字符串或 { data, filename, contentType }], ...]
+ * @returns {{ body: Buffer, contentType: string }}
+ */
+function encodeMultipart(parts) {
+  const boundary = `----SecurityCameraSdkBoundary${crypto.randomBytes(16).toString("hex")}`;
+  // 与 WHATWG 规范一致，字段名和文件名中的换行与双引号转义
+  const escape = (value) => value.replace(/\r/g, "%0D").replace(/\n/g, "%0A").replace(/"/g, "%22");
+  const chunks = [];
 
-    // 添加请求体数据（对于POST、PUT等请求）
-    if (
-      requestConfig.data &&
-      (method === "POST" || method === "PUT" || method === "PATCH")
-    ) {
-      let dataString;
-      if (typeof requestConfig.data === "object") {
-        dataString = JSON.stringify(requestConfig.data);
-      } else {
-        dataString = requestConfig.data;
-      }
+  parts.forEach(([name, value]) => {
+    let header = `--${boundary}\r\nContent-Disposition: form-data; name="${escape(name)}"`;
 
-      // 转义单引号
-      dataString = dataString.replace(/'/g, "'\"'\"'");
-      curlCommand += ` \\\n  -d '${dataString}'`;
+    if (typeof value === "string") {
+      chunks.push(Buffer.from(`${header}\r\n\r\n${value}\r\n`));
+    } else {
+      header += `; filename="${escape(value.filename || "blob")}"\r\nContent-Type: ${value.contentType || "application/octet-stream"}`;
+      chunks.push(Buffer.from(`${header}\r\n\r\n`), value.data, Buffer.from("\r\n"));
     }
+  });
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
 
-    // 添加一些有用的curl选项
-    curlCommand += " \\\n  --insecure \\\n  --connect-timeout 30 \\\n  --max-time 60 \\\n  -v";
-
-    return curlCommand;
-  }
-  
-  /**
-   * 设置API方法代理，自动将API对象上的方法代理到客户端实例上
-   */
-  setupAPIMethodProxy() {
-    // 遍历API对象的所有属性
-    Object.getOwnPropertyNames(Object.getPrototypeOf(this.api)).forEach(key => {
-      // 跳过构造函数和非函数属性
-      if (key === 'constructor' || typeof this.api[key] !== 'function') {
-        return;
-      }
-      
-      // 将API方法绑定到客户端实例上
-      this[key] = this.api[key].bind(this.api);
-    });
-  }
+  return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
 }
 
-module.exports = { HikvisionClient };
\ No newline at end of file
+module.exports = { HikvisionClient, AUTH_MODES };
@@ -0,0 +1,240 @@
+/**
+ * 海康威视 Artemis 事件推送接收器
+ * 接收 eventSubscriptionByEventTypes 订阅后平台推送的 OnEventNotify 请求，逐条触发事件并应答平台
+ */
+
+const { EventEmitter } = require("events");
+const http = require("http");
+const { ParameterError } = require("../../utils/errors/cameraErrors");
+const { createLogger } = require("../../utils/logger");
+
+/**
+ * 平台推送的方法名
+ */
+const NOTIFY_METHOD = "OnEventNotify";
+
+/**
+ * 通配监听地址，平台无法通过这些地址回调
+ */
+const WILDCARD_HOSTS = ["0.0.0.0", "::"];
+
+/**
+ * 推送请求体的最大长度，超出时拒绝
+ */
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+class HikvisionEventReceiver extends EventEmitter {
+  /**
+   * @param {Object} options 选项
+   * @param {string} options.path 接收推送的路径，默认 /，独立运行时其他路径返回404
+   * @param {number} options.maxBodySize 请求体最大字节数，默认10MB
+   * @param {Object} options.logger 日志实例，同客户端的 logger 配置
+   * @param {boolean} options.debug 是否开启调试日志
+   */
+  constructor(options = {}) {
+    super();
+
+    this.path = options.path || "/";
+    this.maxBodySize = options.maxBodySize || MAX_BODY_SIZE;
+    this.logger = createLogger(options).child({ component: "hikvision-event-receiver" });
+
+    this.server = null;
+    this.sockets = new Set();
+    this.host = null;
+    this.port = null;
+  }
+
+  /**
+   * 启动独立的HTTP服务
+   * @param {number} port 端口，默认随机
+   * @param {string} host 监听地址，默认 0.0.0.0
+   * @returns {Promise<HikvisionEventReceiver>}
+   */
+  async start(port = 0, host = "0.0.0.0") {
+    const handler = this.handler();
+    this.server = http.createServer((req, res) => {
+      if (new URL(req.url, "http://localhost").pathname !== this.path) {
+        return this.reply(res, 404, { code: "404", msg: "Not Found" });
+      }
+      handler(req, res);
+    });
+    // 自行记录连接，停止时逐个断开（server.closeAllConnections 需要 Node 18.2+）
+    this.server.on("connection", (socket) => {
+      this.sockets.add(socket);
+      socket.once("close", () => this.sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    this.host = host;
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  /**
+   * 停止HTTP服务
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    const closed = new Promise((resolve) => server.close(() => resolve()));
+    this.sockets.forEach((socket) => socket.destroy());
+    await closed;
+  }
+
+  /**
+   * 推送地址，订阅时作为 eventDest
+   * @param {string} host 平台可访问的本机地址，默认监听地址；监听 0.0.0.0 或 :: 时必须传入
+   * @returns {string}
+   */
+  url(host) {
+    if (!host) {
+      if (WILDCARD_HOSTS.includes(this.host)) {
+        throw new ParameterError(`监听地址为 ${this.host}，平台无法回调，请传入平台可访问的本机地址`, "host", this.host);
+      }
+      host = this.host;
+    }
+
+    return `http://${host.includes(":") ? `[${host}]` : host}:${this.port}${this.path}`;
+  }
+
+  /**
+   * 请求处理函数，可挂到已有的 http.Server 或 Express 路由上
+   * Express 已用 express.json() 解析过请求体时直接使用 req.body
+   * @returns {Function} (req, res) => void
+   */
+  handler() {
+    return (req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        this.logger.error(`处理事件推送失败: ${error.message}`);
+        if (!res.headersSent) {
+          this.reply(res, 500, { code: "500", msg: error.message });
+        }
+      });
+    };
+  }
+
+  /**
+   * 处理一次推送请求
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    if (req.method !== "POST") {
+      return this.reply(res, 405, { code: "405", msg: "Method Not Allowed" });
+    }
+
+    let notification;
+    try {
+      const body = req.body !== undefined ? req.body : await this.readBody(req);
+      notification = this.parseNotification(body);
+    } catch (error) {
+      this.logger.warn(`无效的事件推送: ${error.message}`);
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", error);
+      }
+      return this.reply(res, 400, { code: "400", msg: error.message });
+    }
+
+    // 先应答平台，避免监听器耗时导致平台判定推送超时并重推
+    this.reply(res, 200, { code: "0", msg: "success" });
+    this.dispatch(notification);
+  }
+
+  /**
+   * 读取请求体
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<string>}
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodySize) {
+        throw new ParameterError(`推送请求体超过 ${this.maxBodySize} 字节`, "body", size);
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString("utf8");
+  }
+
+  /**
+   * 解析推送请求体
+   * @param {string|Buffer|Object} body 请求体
+   * @returns {{ method: string, ability: string, sendTime: string, events: Array<Object> }}
+   */
+  parseNotification(body) {
+    let payload = body;
+    if (Buffer.isBuffer(payload)) {
+      payload = payload.toString("utf8");
+    }
+    if (typeof payload === "string") {
+      try {
+        payload = JSON.parse(payload);
+      } catch (error) {
+        throw new ParameterError("推送请求体不是有效的JSON", "body", payload);
+      }
+    }
+
+    if (!payload || payload.method !== NOTIFY_METHOD) {
+      throw new ParameterError(`不支持的推送方法: ${payload?.method}`, "method", payload?.method);
+    }
+
+    const params = payload.params || {};
+    if (!Array.isArray(params.events)) {
+      throw new ParameterError("推送中没有事件列表", "params.events", params.events);
+    }
+
+    return {
+      method: payload.method,
+      ability: params.ability,
+      sendTime: params.sendTime,
+      events: params.events.map((event) => ({ ...event, ability: event.ability || params.ability })),
+    };
+  }
+
+  /**
+   * 触发事件：notify 为整次推送，event 为每条事件，event:<eventType> 为指定类型的事件
+   * 监听器抛出的异常只记录日志，不影响其他事件
+   * @param {Object} notification parseNotification 的结果
+   */
+  dispatch(notification) {
+    const emitSafely = (name, payload) => {
+      try {
+        this.emit(name, payload);
+      } catch (error) {
+        this.logger.error(`事件监听器执行失败 (${name}): ${error.message}`);
+      }
+    };
+
+    emitSafely("notify", notification);
+    notification.events.forEach((event) => {
+      emitSafely("event", event);
+      emitSafely(`event:${event.eventType}`, event);
+    });
+  }
+
+  /**
+   * 发送JSON应答
+   * @param {http.ServerResponse} res
+   * @param {number} status 状态码
+   * @param {Object} body 应答体
+   */
+  reply(res, status, body) {
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json;charset=UTF-8");
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = { HikvisionEventReceiver, NOTIFY_METHOD };
@@ -0,0 +1,593 @@
+/**
+ * 海康威视 Artemis 模拟平台
+ * 按 HikvisionAuth 的签名算法校验 X-Ca-Signature，实现 API_PATHS 中的接口
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const { MockServer } = require("../../core/mockServer");
+const { HikvisionAuth } = require("./auth");
+const { API_PATHS } = require("./api");
+
+/**
+ * 时间戳允许的最大偏差(ms)，与 Artemis 网关一致
+ */
+const MAX_TIMESTAMP_SKEW = 15 * 60 * 1000;
+
+/**
+ * 分页列表接口与预置数据的对应关系
+ */
+const LIST_RESOURCES = {
+  [API_PATHS.CAMERAS]: "cameras",
+  [API_PATHS.REGIONS]: "regions",
+  [API_PATHS.ORGANIZATIONS]: "organizations",
+  [API_PATHS.EVENTS]: "events",
+  [API_PATHS.DEVICES]: "devices",
+  [API_PATHS.FACE_PICTURES]: "facePictures",
+  [API_PATHS.VEHICLES]: "vehicles",
+  [API_PATHS.VEHICLE_PICTURES]: "vehiclePictures",
+  [API_PATHS.ACCESS_CONTROL_POINTS]: "accessControlPoints",
+  [API_PATHS.CARD_READERS]: "cardReaders",
+  [API_PATHS.DOORS]: "doors",
+  [API_PATHS.ALARM_INPUTS]: "alarmInputs",
+  [API_PATHS.ALARM_OUTPUTS]: "alarmOutputs",
+};
+
+/**
+ * 模拟平台使用的业务错误码，由 clientConfig() 作为客户端的 errorCodes 配置传入
+ * 仅用于模拟平台与测试，不代表真实平台的错误码
+ */
+const MOCK_ERROR_CODES = {
+  "0x00052101": { type: "TokenExpiredError", retryable: false, zh: "token已过期", en: "Token expired" },
+  "0x02401003": { type: "InvalidParameterError", retryable: false, zh: "参数错误", en: "Invalid parameter" },
+  "0x02401004": { type: "PermissionDeniedError", retryable: false, zh: "没有接口或资源的访问权限", en: "Permission denied" },
+  "0x02401007": { type: "NotFoundError", retryable: false, zh: "资源不存在", en: "Resource not found" },
+  "0x02401029": { type: "RateLimitedError", retryable: true, zh: "请求过于频繁", en: "Too many requests" },
+  "0x02401030": { type: "ApiError", retryable: true, zh: "服务繁忙，请稍后重试", en: "Service busy, try again later" },
+};
+
+/**
+ * 抓图图片的访问路径
+ */
+const PICTURE_PATH = "/pic";
+
+/**
+ * 分页参数，不参与列表过滤
+ */
+const PAGE_FIELDS = ["pageNo", "pageSize"];
+
+class HikvisionMockServer extends MockServer {
+  /**
+   * @param {Object} options 选项，其余同 MockServer
+   * @param {string} options.appKey 应用密钥，默认 mock-app-key
+   * @param {string} options.appSecret 应用秘钥，默认 mock-app-secret
+   * @param {number} options.recordingPageSize 录像片段每次返回的数量，默认100
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.appKey = String(options.appKey || "mock-app-key");
+    this.appSecret = options.appSecret || "mock-app-secret";
+    this.auth = new HikvisionAuth(this.appKey, this.appSecret);
+
+    // 已使用的 nonce，拒绝重放请求
+    this.nonces = new Set();
+
+    // 事件订阅
+    this.subscriptions = [];
+
+    // 录像片段查询的分页标记及对应的下一页位置
+    this.recordingPageSize = options.recordingPageSize || 100;
+    this.recordingCursors = new Map();
+
+    // 人脸图片内容（base64），按 faceId 存放，不出现在列表中
+    this.faceImages = new Map();
+
+    this.registerRoutes();
+  }
+
+  /**
+   * 默认预置数据：两个区域、三个摄像头
+   * recordings 为录像片段 { cameraIndexCode, recordLocation, beginTime, endTime, size }
+   * presets 为预置点 { cameraIndexCode, presetPointIndex, presetPointName }
+   * @returns {Object}
+   */
+  defaultData() {
+    const regions = [
+      { indexCode: "root000000", name: "根节点", parentIndexCode: "-1", treeCode: "0" },
+      { indexCode: "region0001", name: "一号楼", parentIndexCode: "root000000", treeCode: "0" },
+    ];
+
+    const cameras = ["1号门入口", "停车场东侧", "一楼大厅"].map((cameraName, index) => ({
+      cameraIndexCode: `camera000${index + 1}`,
+      cameraName,
+      cameraType: 0,
+      channelNo: String(index + 1),
+      encodeDevIndexCode: "device0001",
+      regionIndexCode: index === 0 ? "root000000" : "region0001",
+      status: index === 1 ? 0 : 1,
+    }));
+
+    return {
+      cameras,
+      regions,
+      organizations: [
+        { orgIndexCode: "root000000", orgName: "默认组织", parentOrgIndexCode: "-1" },
+        { orgIndexCode: "org0000001", orgName: "安保部", parentOrgIndexCode: "root000000" },
+      ],
+      devices: [{ indexCode: "device0001", name: "一号楼NVR", ip: "192.168.1.64", port: 8000, online: 1 }],
+      events: [],
+      recordings: [],
+      presets: [],
+      persons: [],
+      facePictures: [],
+      vehicles: [],
+      vehiclePictures: [],
+      accessControlPoints: [],
+      cardReaders: [],
+      doors: [],
+      alarmInputs: [],
+      alarmOutputs: [],
+    };
+  }
+
+  /**
+   * 连接模拟平台的客户端配置
+   * @returns {Object}
+   */
+  clientConfig() {
+    return { ...super.clientConfig(), appKey: this.appKey, appSecret: this.appSecret, errorCodes: MOCK_ERROR_CODES };
+  }
+
+  /**
+   * 注册接口
+   */
+  registerRoutes() {
+    Object.entries(LIST_RESOURCES).forEach(([path, resource]) => {
+      this.route("POST", path, (ctx) => this.list(this.data[resource], ctx.body));
+    });
+
+    this.route("POST", API_PATHS.OAUTH_TOKEN, () =>
+      this.success({
+        access_token: this.issueToken(),
+        token_type: "bearer",
+        expires_in: Math.floor(this.tokenTtl / 1000),
+      })
+    );
+
+    this.route("POST", API_PATHS.CAMERA_PREVIEW_URLS, (ctx) => {
+      const { cameraIndexCode, protocol = "rtsp" } = ctx.body;
+      if (!this.data.cameras.some((camera) => camera.cameraIndexCode === cameraIndexCode)) {
+        return this.businessError("0x02401007", "摄像头不存在");
+      }
+
+      return this.success({ url: `${protocol}://${this.host}:554/openUrl/${cameraIndexCode}` });
+    });
+
+    this.route("POST", API_PATHS.CAMERA_PLAYBACK_URLS, (ctx) => this.playback(ctx.body));
+
+    this.route("POST", API_PATHS.MANUAL_CAPTURE, (ctx) => {
+      const { cameraIndexCode } = ctx.body;
+      if (!this.data.cameras.some((camera) => camera.cameraIndexCode === cameraIndexCode)) {
+        return this.businessError("0x02401007", "摄像头不存在");
+      }
+
+      const query = new URLSearchParams({ cameraIndexCode, t: String(Date.now()) });
+      return this.success({ picUrl: `${this.url}${PICTURE_PATH}?${query}` });
+    });
+
+    this.route("GET", PICTURE_PATH, (ctx) => {
+      ctx.contentType = "image/jpeg";
+      return this.snapshot(ctx.query.cameraIndexCode);
+    });
+
+    this.route("POST", API_PATHS.PTZ_CONTROL, (ctx) => {
+      const { cameraIndexCode, command, presetIndex } = ctx.body;
+      if (!this.data.cameras.some((camera) => camera.cameraIndexCode === cameraIndexCode)) {
+        return this.businessError("0x02401007", "摄像头不存在");
+      }
+
+      if (command === "GOTO_PRESET" && !this.findPreset(cameraIndexCode, presetIndex)) {
+        return this.businessError("0x02401007", "预置点不存在");
+      }
+
+      return this.success(null);
+    });
+
+    this.route("POST", API_PATHS.PRESETS, (ctx) => {
+      const list = this.data.presets.filter((preset) => preset.cameraIndexCode === ctx.body.cameraIndexCode);
+      return this.success({ total: list.length, list });
+    });
+
+    this.route("POST", API_PATHS.PRESET_ADDITION, (ctx) => {
+      const { cameraIndexCode, presetIndex, presetName } = ctx.body;
+      const preset = this.findPreset(cameraIndexCode, presetIndex);
+      if (preset) {
+        preset.presetPointName = presetName;
+      } else {
+        this.data.presets.push({ cameraIndexCode, presetPointIndex: presetIndex, presetPointName: presetName });
+      }
+      return this.success(null);
+    });
+
+    this.route("POST", API_PATHS.PRESET_DELETION, (ctx) => {
+      const deleted = this.findPreset(ctx.body.cameraIndexCode, ctx.body.presetIndex);
+      this.data.presets = this.data.presets.filter((preset) => preset !== deleted);
+      return this.success(null);
+    });
+
+    this.route("POST", API_PATHS.EVENTS_SUBSCRIPTION, (ctx) => {
+      const { eventTypes = [], eventDest } = ctx.body;
+      const existing = this.subscriptions.find((subscription) => subscription.eventDest === eventDest);
+      if (existing) {
+        existing.eventTypes = [...new Set([...existing.eventTypes, ...eventTypes])];
+      } else {
+        this.subscriptions.push({ eventTypes: [...eventTypes], eventDest });
+      }
+      return this.success(null);
+    });
+
+    this.route("POST", API_PATHS.EVENTS_SUBSCRIPTION_VIEW, () =>
+      this.success({ detail: this.subscriptions.map((subscription) => ({ ...subscription })) })
+    );
+
+    // 取消订阅按事件类型，对所有推送地址生效
+    this.route("POST", API_PATHS.EVENTS_UNSUBSCRIPTION, (ctx) => {
+      const eventTypes = ctx.body.eventTypes || [];
+      this.subscriptions = this.subscriptions
+        .map((subscription) => ({
+          ...subscription,
+          eventTypes: subscription.eventTypes.filter((eventType) => !eventTypes.includes(eventType)),
+        }))
+        .filter((subscription) => subscription.eventTypes.length > 0);
+      return this.success(null);
+    });
+
+    this.route("POST", API_PATHS.DEVICE_STATUS, (ctx) => {
+      const indexCodes = ctx.body.indexCodes || [];
+      const list = this.data.devices
+        .filter((device) => indexCodes.includes(device.indexCode))
+        .map((device) => ({ indexCode: device.indexCode, online: device.online }));
+      return this.success({ total: list.length, list });
+    });
+
+    // 同一路径同时用于查询人员和添加人员
+    this.route("POST", API_PATHS.PERSONS, (ctx) => {
+      if (ctx.body.personName && ctx.body.pageNo === undefined) {
+        const person = { personId: `person${this.data.persons.length + 1}`, ...ctx.body };
+        this.data.persons.push(person);
+        return this.success(person.personId);
+      }
+
+      return this.list(this.data.persons, ctx.body);
+    });
+
+    this.route("POST", API_PATHS.PERSON_UPDATE, (ctx) => {
+      const person = this.findPerson(ctx.body.personId);
+      if (!person) {
+        return this.businessError("0x02401007", "人员不存在");
+      }
+
+      Object.assign(person, ctx.body);
+      return this.success(null);
+    });
+
+    // 逐行返回成功和失败，姓名重复的人员添加失败
+    this.route("POST", API_PATHS.PERSON_BATCH_ADD, (ctx) => {
+      const successes = [];
+      const failures = [];
+
+      ctx.body.forEach(({ clientId, ...person }) => {
+        if (this.data.persons.some((existing) => existing.personName === person.personName)) {
+          failures.push({ clientId, code: "0x02401003", msg: "人员已存在" });
+          return;
+        }
+
+        const personId = `person${this.data.persons.length + 1}`;
+        this.data.persons.push({ personId, ...person });
+        successes.push({ clientId, personId });
+      });
+
+      return this.success({ successes, failures });
+    });
+
+    this.route("POST", API_PATHS.PERSON_BATCH_DELETE, (ctx) => {
+      const failures = [];
+      ctx.body.personIds.forEach((personId) => {
+        if (!this.findPerson(personId)) {
+          failures.push({ personId, code: "0x02401007", msg: "人员不存在" });
+        }
+      });
+
+      this.data.persons = this.data.persons.filter((person) => !ctx.body.personIds.includes(person.personId));
+      this.data.facePictures = this.data.facePictures.filter((face) => {
+        const removed = ctx.body.personIds.includes(face.personId);
+        if (removed) {
+          this.faceImages.delete(face.faceId);
+        }
+        return !removed;
+      });
+      return this.success(failures);
+    });
+
+    this.route("POST", API_PATHS.FACE_ADD, (ctx) => {
+      const { personId, faceData } = ctx.body;
+      if (!this.findPerson(personId)) {
+        return this.businessError("0x02401007", "人员不存在");
+      }
+      if (!this.isJpeg(faceData)) {
+        return this.businessError("0x02401003", "人脸图片格式错误");
+      }
+
+      const faceId = `face${this.data.facePictures.length + 1}`;
+      const face = { faceId, personId, faceUrl: `${this.url}/face/${faceId}.jpg` };
+      this.data.facePictures.push(face);
+      this.faceImages.set(faceId, faceData);
+      return this.success({ faceId, faceUrl: face.faceUrl, personId });
+    });
+
+    this.route("POST", API_PATHS.FACE_UPDATE, (ctx) => {
+      const face = this.data.facePictures.find((item) => item.faceId === ctx.body.faceId);
+      if (!face) {
+        return this.businessError("0x02401007", "人脸不存在");
+      }
+      if (!this.isJpeg(ctx.body.faceData)) {
+        return this.businessError("0x02401003", "人脸图片格式错误");
+      }
+
+      this.faceImages.set(face.faceId, ctx.body.faceData);
+      return this.success(null);
+    });
+
+    this.route("POST", API_PATHS.FACE_DELETE, (ctx) => {
+      const face = this.data.facePictures.find((item) => item.faceId === ctx.body.faceId);
+      if (!face) {
+        return this.businessError("0x02401007", "人脸不存在");
+      }
+
+      this.data.facePictures = this.data.facePictures.filter((item) => item !== face);
+      this.faceImages.delete(face.faceId);
+      return this.success(null);
+    });
+  }
+
+  /**
+   * 按人员ID查找人员
+   * @param {string} personId 人员ID
+   * @returns {Object|undefined}
+   */
+  findPerson(personId) {
+    return this.data.persons.find((person) => person.personId === personId);
+  }
+
+  /**
+   * 判断 base64 图片是否为 JPEG
+   * @param {string} base64 base64 编码的图片
+   * @returns {boolean}
+   */
+  isJpeg(base64) {
+    const buffer = Buffer.from(String(base64 || ""), "base64");
+    return buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+  }
+
+  /**
+   * 抓图图片：JPEG 文件头 + 摄像头编码 + 文件尾
+   * @param {string} cameraIndexCode 摄像头编码
+   * @returns {Buffer}
+   */
+  snapshot(cameraIndexCode) {
+    return Buffer.concat([
+      Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+      Buffer.from(String(cameraIndexCode)),
+      Buffer.from([0xff, 0xd9]),
+    ]);
+  }
+
+  /**
+   * 查找预置点
+   * @param {string} cameraIndexCode 摄像头编码
+   * @param {number} presetIndex 预置点编号
+   * @returns {Object|undefined}
+   */
+  findPreset(cameraIndexCode, presetIndex) {
+    return this.data.presets.find(
+      (preset) => preset.cameraIndexCode === cameraIndexCode && preset.presetPointIndex === presetIndex
+    );
+  }
+
+  /**
+   * 回放地址及录像片段，超过 recordingPageSize 时返回 uuid 供查询后续片段
+   * @param {Object} body 请求体
+   * @returns {Object}
+   */
+  playback(body) {
+    const { cameraIndexCode, recordLocation = "0", protocol = "rtsp", uuid } = body;
+    if (!this.data.cameras.some((camera) => camera.cameraIndexCode === cameraIndexCode)) {
+      return this.businessError("0x02401007", "摄像头不存在");
+    }
+
+    const offset = uuid ? this.recordingCursors.get(uuid) : 0;
+    if (offset === undefined) {
+      return this.businessError("0x02401003", "分页标记无效");
+    }
+
+    const beginTime = new Date(body.beginTime);
+    const endTime = new Date(body.endTime);
+    const recordings = this.data.recordings.filter(
+      (recording) =>
+        recording.cameraIndexCode === cameraIndexCode &&
+        String(recording.recordLocation ?? "0") === recordLocation &&
+        new Date(recording.beginTime) < endTime &&
+        new Date(recording.endTime) > beginTime
+    );
+
+    const list = this.slice(recordings, offset, this.recordingPageSize).map((recording) => ({
+      beginTime: recording.beginTime,
+      endTime: recording.endTime,
+      size: recording.size,
+      lockType: recording.lockType || 0,
+    }));
+
+    const data = { list, url: `${protocol}://${this.host}:554/playback/${cameraIndexCode}` };
+    if (offset + this.recordingPageSize < recordings.length) {
+      data.uuid = crypto.randomUUID();
+      this.recordingCursors.set(data.uuid, offset + this.recordingPageSize);
+    }
+
+    return this.success(data);
+  }
+
+  /**
+   * 按订阅向推送地址发送 OnEventNotify，模拟平台的事件推送
+   * @param {Array<Object>} events 事件列表，每条事件需包含 eventType
+   * @param {Object} options 选项
+   * @param {string} options.ability 事件能力集，默认 event_vss
+   * @returns {Promise<Array<{ eventDest: string, status: number, body: Object }>>} 各推送地址的应答
+   */
+  async pushEvents(events, options = {}) {
+    const { ability = "event_vss" } = options;
+    const results = [];
+
+    for (const subscription of this.subscriptions) {
+      const matched = events.filter((event) => subscription.eventTypes.includes(event.eventType));
+      if (matched.length === 0) {
+        continue;
+      }
+
+      const response = await postJson(subscription.eventDest, {
+        method: "OnEventNotify",
+        params: { ability, sendTime: new Date().toISOString(), events: matched },
+      });
+
+      results.push({ eventDest: subscription.eventDest, ...response });
+    }
+
+    return results;
+  }
+
+  /**
+   * 携带 access-token 时校验 token，否则校验 X-Ca-Key、时间戳、nonce、Content-MD5 和签名
+   * @param {Object} ctx 请求上下文
+   * @returns {boolean}
+   */
+  authenticate(ctx) {
+    if (ctx.headers["access-token"]) {
+      return this.isTokenValid(ctx.headers["access-token"]);
+    }
+
+    const {
+      "x-ca-key": appKey,
+      "x-ca-nonce": nonce,
+      "x-ca-timestamp": timestamp,
+      "x-ca-signature": signature,
+    } = ctx.headers;
+
+    if (appKey !== this.appKey || !nonce || !timestamp || !signature) {
+      return false;
+    }
+
+    if (Math.abs(Date.now() - Number(timestamp)) > MAX_TIMESTAMP_SKEW || this.nonces.has(nonce)) {
+      return false;
+    }
+
+    if (!this.auth.verifyRequest(ctx.method, ctx.url, ctx.buffer, ctx.headers)) {
+      return false;
+    }
+
+    this.nonces.add(nonce);
+    return true;
+  }
+
+  /**
+   * 认证失败的响应体
+   * @param {Object} ctx 请求上下文
+   * @returns {Object}
+   */
+  unauthorized(ctx) {
+    if (ctx?.headers["access-token"]) {
+      return { code: "0x00052101", msg: "token已过期" };
+    }
+    return { code: "0x00072001", msg: "签名验证失败" };
+  }
+
+  /**
+   * 业务错误的响应体
+   * @param {string} code 错误码
+   * @param {string} message 错误信息
+   * @returns {Object}
+   */
+  businessError(code, message) {
+    return { code, msg: message, data: null };
+  }
+
+  /**
+   * 成功响应
+   * @param {*} data 响应数据
+   * @returns {Object}
+   */
+  success(data) {
+    return { code: "0", msg: "success", data };
+  }
+
+  /**
+   * 分页响应，请求体中的其他字段按相等过滤（名称字段按包含匹配）
+   * @param {Array} list 完整列表
+   * @param {Object} body 请求体
+   * @returns {Object}
+   */
+  list(list, body = {}) {
+    const pageNo = Number(body.pageNo) || 1;
+    const pageSize = Number(body.pageSize) || 1000;
+
+    const filtered = list.filter((item) =>
+      Object.entries(body).every(([key, value]) => {
+        if (PAGE_FIELDS.includes(key) || !(key in item) || value === undefined || value === "") {
+          return true;
+        }
+        return /name$/i.test(key) ? String(item[key]).includes(value) : String(item[key]) === String(value);
+      })
+    );
+
+    return this.success({
+      total: filtered.length,
+      pageNo,
+      pageSize,
+      list: this.slice(filtered, (pageNo - 1) * pageSize, pageSize),
+    });
+  }
+}
+
+/**
+ * 发送 JSON POST 请求，应答体不是 JSON 时为 null
+ * @param {string} url 地址
+ * @param {Object} body 请求体
+ * @returns {Promise<{ status: number, body: Object|null }>}
+ */
+function postJson(url, body) {
+  const payload = Buffer.from(JSON.stringify(body));
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      url,
+      { method: "POST", headers: { "Content-Type": "application/json", "Content-Length": payload.length } },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("error", reject);
+        res.on("end", () => {
+          let parsed = null;
+          try {
+            parsed = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+          } catch (error) {
+            // 应答体不是 JSON
+          }
+          resolve({ status: res.statusCode, body: parsed });
+        });
+      }
+    );
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+module.exports = { HikvisionMockServer };
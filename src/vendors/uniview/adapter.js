@@ -0,0 +1,67 @@
+/**
+ * 宇视统一平台适配器
+ */
+
+const { PlatformAdapter } = require("../../platform/adapter");
+const {
+  normalizeCameras,
+  normalizeOrganizations,
+} = require("../../platform/normalize");
+
+class UniviewAdapter extends PlatformAdapter {
+  /**
+   * @param {UniviewClient} client 宇视客户端实例
+   */
+  constructor(client) {
+    super(client, "uniview");
+  }
+
+  /**
+   * 查询摄像头列表（全量）
+   * @param {Object} filter 查询条件
+   * @param {string} filter.org 组织编码，默认使用客户端的 defaultOrg
+   * @param {number} filter.pageSize 每页大小
+   * @returns {Promise<Array<Camera>>} 统一摄像头列表
+   */
+  async listCameras(filter = {}) {
+    const result = await this.client.api.queryAllCameras({
+      ...filter,
+      org: filter.org || this.client.defaultOrg,
+    });
+    return normalizeCameras(this.vendor, result?.Result?.InfoList || []);
+  }
+
+  /**
+   * 查询组织列表（全量）
+   * @param {Object} filter 查询条件
+   * @param {string} filter.org 组织编码，默认使用客户端的 defaultOrg
+   * @param {number} filter.pageSize 每页大小
+   * @returns {Promise<Array<Organization>>} 统一组织列表
+   */
+  async listOrganizations(filter = {}) {
+    const result = await this.client.api.queryAllOrgs({
+      ...filter,
+      org: filter.org || this.client.defaultOrg,
+    });
+    return normalizeOrganizations(this.vendor, result?.Result?.InfoList || []);
+  }
+
+  /**
+   * 查询设备在线状态
+   * @param {Array<string>} ids 摄像机资源编码列表
+   * @returns {Promise<Array<Object>>} 在线状态列表
+   */
+  async getDeviceStatus(ids) {
+    const cameras = await this.listCameras();
+
+    return cameras
+      .filter((camera) => ids.includes(camera.id))
+      .map((camera) => ({
+        id: camera.id,
+        online: camera.online,
+        raw: camera.raw,
+      }));
+  }
+}
+
+module.exports = { UniviewAdapter };
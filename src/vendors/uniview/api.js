@@ -3,7 +3,7 @@
  */
 
 const { ParameterError } = require("../../utils/errors/cameraErrors");
-const { Logger } = require("../../utils/logger");
+const { PageIterator } = require("../../utils/pagination");
 
 /**
  * API接口常量
@@ -20,6 +20,59 @@ const API_PATHS = {
   QUERY_THIRD_PARTY_IPC: '/VIID/hadesadapter/third/party/ec/v2/query',
 };
 
+/**
+ * 摄像机查询条件
+ */
+const CAMERA_CONDITION = {
+  ItemNum: 2,
+  Condition: [
+    {
+      QueryType: 256,
+      LogicFlag: 0,
+      QueryData: "1001"  // 1001 = 摄像机
+    },
+    {
+      QueryType: 257,
+      LogicFlag: 0,
+      QueryData: "1"     // 1 = 查子组织
+    }
+  ]
+};
+
+/**
+ * 组织查询条件
+ */
+const ORG_CONDITION = {
+  ItemNum: 3,
+  Condition: [
+    {
+      QueryType: 256,
+      LogicFlag: 0,
+      QueryData: "1"
+    },
+    {
+      QueryType: 257,
+      LogicFlag: 0,
+      QueryData: "1"
+    },
+    {
+      QueryType: 1,
+      LogicFlag: 5,
+      QueryData: ""
+    }
+  ]
+};
+
+/**
+ * 支持 iterate() 的资源名称与对应的查询条件
+ * resources 使用调用方在 filter.condition 中传入的条件
+ */
+const PAGED_RESOURCES = {
+  cameras: CAMERA_CONDITION,
+  organizations: ORG_CONDITION,
+  resources: null,
+};
+
 /**
  * API方法封装类
  */
@@ -32,20 +85,23 @@ class UniviewAPI {
 
   /**
    * 获取访问码
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 访问码信息
    */
-  async getAccessCode() {
-    const response = await this.client.rawPost(API_PATHS.LOGIN);
+  async getAccessCode(requestOptions = {}) {
+    const response = await this.client.rawPost(API_PATHS.LOGIN, {}, requestOptions);
     return response.data;
   }
 
   /**
    * 登录
    * @param {string} loginData 登录数据
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 登录结果
    */
-  async login(loginData) {
+  async login(loginData, requestOptions = {}) {
     const response = await this.client.rawPost(API_PATHS.LOGIN, loginData, {
+      ...requestOptions,
       headers: { 'Content-Type': 'text/plain' },
     });
     return response.data;
@@ -53,10 +109,11 @@ class UniviewAPI {
 
   /**
    * 保持Token活跃
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 保活结果
    */
-  async keepTokenAlive() {
-    const response = await this.client.get(API_PATHS.TOKEN_KEEP_ALIVE);
+  async keepTokenAlive(requestOptions = {}) {
+    const response = await this.client.get(API_PATHS.TOKEN_KEEP_ALIVE, {}, requestOptions);
     return response.data;
   }
 
@@ -67,9 +124,10 @@ class UniviewAPI {
    * @param {Object} options 查询选项
    * @param {string} options.org 组织编码
    * @param {Object} options.condition 查询条件
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 查询结果
    */
-  async queryResources(options = {}) {
+  async queryResources(options = {}, requestOptions = {}) {
     if (!options.org) {
       throw new ParameterError("组织编码不能为空", "org", options.org);
     }
@@ -80,10 +138,12 @@ class UniviewAPI {
 
     const params = {
       org: options.org,
-      condition: options.condition
+      condition: typeof options.condition === 'string'
+        ? options.condition
+        : JSON.stringify(options.condition)
     };
 
-    const response = await this.client.get(API_PATHS.QUERY_RESOURCES, { params });
+    const response = await this.client.get(API_PATHS.QUERY_RESOURCES, params, requestOptions);
     return response.data;
   }
 
@@ -93,49 +153,17 @@ class UniviewAPI {
    * @param {string} options.org 组织编码
    * @param {Object} options.condition 查询条件
    * @param {number} options.pageSize 每页大小
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 查询结果
    */
-  async queryAllResources(options = {}) {
-    const defaultOptions = {
-      pageSize: 200
-    };
-
-    const finalOptions = { ...defaultOptions, ...options };
-    
-    // 设置分页参数
-    const finalCondition = { ...finalOptions.condition };
-    finalCondition.QueryCount = 1;
-    finalCondition.PageRowNum = finalOptions.pageSize;
-
-    let allItems = [];
-    let currentPage = 0;
-    let total = 0;
-
-    while (true) {
-      finalCondition.PageFirstRowNumber = currentPage * finalOptions.pageSize;
-
-      try {
-        const response = await this.queryResources({
-          org: finalOptions.org,
-          condition: finalCondition,
-        });
-
-        const items = response.Result?.InfoList || [];
-        const pageInfo = response.Result?.RspPageInfo;
-
-        allItems = allItems.concat(items);
-        total = pageInfo?.TotalRowNum || 0;
-
-        // 判断是否还有下一页
-        if (allItems.length >= total || items.length === 0) {
-          break;
-        }
-
-        currentPage++;
-      } catch (err) {
-        throw err;
-      }
-    }
+  async queryAllResources(options = {}, requestOptions = {}) {
+    const allItems = await this.iterate('resources', {
+      org: options.org,
+      condition: options.condition,
+    }, {
+      ...requestOptions,
+      pageSize: options.pageSize || 200,
+    }).toArray();
 
     return {
       ErrCode: 0,
@@ -155,30 +183,15 @@ class UniviewAPI {
    * @param {Object} options 查询选项
    * @param {string} options.org 组织编码
    * @param {number} options.pageSize 每页大小
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 查询结果
    */
-  async queryAllCameras(options = {}) {
-    const condition = {
-      ItemNum: 2,
-      Condition: [
-        {
-          QueryType: 256,
-          LogicFlag: 0,
-          QueryData: "1001"  // 1001 = 摄像机
-        },
-        {
-          QueryType: 257,
-          LogicFlag: 0,
-          QueryData: "1"     // 1 = 查子组织
-        }
-      ]
-    };
-
+  async queryAllCameras(options = {}, requestOptions = {}) {
     return await this.queryAllResources({ 
       org: options.org, 
-      condition, 
+      condition: CAMERA_CONDITION, 
       pageSize: options.pageSize 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -186,9 +199,10 @@ class UniviewAPI {
    * @param {Object} options 查询选项
    * @param {string} options.org 组织编码
    * @param {number} options.pageSize 每页大小
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 查询结果
    */
-  async queryAllOrgs(options = {}) {
+  async queryAllOrgs(options = {}, requestOptions = {}) {
     const defaultOptions = {
       org: 'iccsid',
       pageSize: 200
@@ -196,47 +210,82 @@ class UniviewAPI {
 
     const finalOptions = { ...defaultOptions, ...options };
 
-    const condition = {
-      ItemNum: 3,
-      Condition: [
-        {
-          QueryType: 256,
-          LogicFlag: 0,
-          QueryData: "1"
-        },
-        {
-          QueryType: 257,
-          LogicFlag: 0,
-          QueryData: "1"
-        },
-        {
-          QueryType: 1,
-          LogicFlag: 5,
-          QueryData: ""
-        }
-      ]
-    };
-
     return await this.queryAllResources({ 
       org: finalOptions.org, 
-      condition, 
+      condition: ORG_CONDITION, 
       pageSize: finalOptions.pageSize 
-    });
+    }, requestOptions);
+  }
+
+  /**
+   * 分页迭代查询，按需逐页拉取
+   *
+   * 用法：for await (const camera of client.iterate('cameras', { org: 'iccsid' })) { ... }
+   *
+   * @param {string} resource 资源名称：cameras、organizations、resources（自定义条件）
+   * @param {Object} filter 查询条件
+   * @param {string} filter.org 组织编码，默认使用客户端的 defaultOrg
+   * @param {Object} filter.condition 自定义查询条件，resource 为 resources 时必填
+   * @param {Object} options 迭代选项
+   * @param {number} options.pageSize 每页大小，默认200
+   * @param {string} options.cursor 从上次中断的游标继续
+   * @param {number} options.timeout 每页请求的超时时间（毫秒）
+   * @param {AbortSignal} options.signal 取消信号，取消后迭代以错误结束
+   * @returns {PageIterator} 异步迭代器，可通过 .cursor 获取续传位置
+   */
+  iterate(resource, filter = {}, options = {}) {
+    if (!Object.prototype.hasOwnProperty.call(PAGED_RESOURCES, resource)) {
+      throw new ParameterError(
+        `不支持分页迭代的资源: ${resource}，可选值: ${Object.keys(PAGED_RESOURCES).join(', ')}`,
+        'resource',
+        resource
+      );
+    }
+
+    const { timeout, signal, ...iteratorOptions } = options;
+    const org = filter.org || this.client.defaultOrg;
+    const condition = PAGED_RESOURCES[resource] || filter.condition;
+
+    if (!condition) {
+      throw new ParameterError("查询条件不能为空", "condition", filter.condition);
+    }
+
+    return new PageIterator(
+      async (pageIndex, pageSize) => {
+        // 设置分页参数
+        const response = await this.queryResources({
+          org,
+          condition: {
+            ...condition,
+            QueryCount: 1,
+            PageFirstRowNumber: pageIndex * pageSize,
+            PageRowNum: pageSize,
+          },
+        }, { timeout, signal });
+
+        return {
+          items: response.Result?.InfoList || [],
+          total: response.Result?.RspPageInfo?.TotalRowNum,
+        };
+      },
+      { ...iteratorOptions, pageSize: iteratorOptions.pageSize || 200 }
+    );
   }
 
   /**
    * 查询第三方IPC设备信息
    * @param {string} ipcCode IPC设备编码
+   * @param {Object} requestOptions 请求选项 { timeout, signal }
    * @returns {Promise<Object>} 查询结果
    */
-  async queryThirdPartyIPC(ipcCode = '192168002041') {
+  async queryThirdPartyIPC(ipcCode = '192168002041', requestOptions = {}) {
     const params = {
       pszThirdPartyIPCCode: ipcCode
     };
     
-    const response = await this.client.get(API_PATHS.QUERY_THIRD_PARTY_IPC, { params });
+    const response = await this.client.get(API_PATHS.QUERY_THIRD_PARTY_IPC, params, requestOptions);
     return response.data;
   }
 }
 
-module.exports = { UniviewAPI, API_PATHS };
\ No newline at end of file
+module.exports = { UniviewAPI, API_PATHS, PAGED_RESOURCES };
\ No newline at end of file
@@ -6,22 +6,19 @@
 const crypto = require("crypto");
 const { Logger } = require("../../utils/logger");
 
-// 创建logger实例
-const logger = new Logger();
-
 class UniviewAuth {
   /**
    * 初始化认证处理器
    * @param {string} username 用户名
    * @param {string} password 密码
    * @param {boolean} debug 是否开启调试模式
+   * @param {Logger} logger 日志实例，默认按debug参数创建
    */
-  constructor(username, password, debug = false) {
+  constructor(username, password, debug = false, logger = new Logger(debug)) {
     this.username = username;
     this.password = password;
     this.debug = debug;
-    // 创建logger实例，传入debug参数
-    this.logger = new Logger(debug);
+    this.logger = logger;
   }
 
   /**
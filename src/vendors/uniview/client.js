@@ -3,16 +3,12 @@
  */
 
 const axios = require("axios");
-const https = require("https");
+const { BaseClient } = require("../../core/baseClient");
 const { UniviewAuth } = require("./auth");
-const { ApiError, AuthError, NetworkError, ParameterError } = require("../../utils/errors/cameraErrors");
-const { Logger } = require("../../utils/logger");
+const { AuthError } = require("../../utils/errors/cameraErrors");
 const { UniviewAPI, API_PATHS } = require("./api");
 
-// 创建logger实例
-const logger = new Logger();
-
-class UniviewClient {
+class UniviewClient extends BaseClient {
   /**
    * 初始化宇视平台客户端
    * @param {Object} config 配置对象
@@ -24,24 +20,23 @@ class UniviewClient {
    * @param {string} config.defaultOrg 默认组织编码
    * @param {boolean} config.debug 是否开启调试模式，默认false
    * @param {number} config.timeout 请求超时时间(ms)，默认10000
-   * @param {boolean} config.rejectUnauthorized 是否验证SSL证书，默认false
+   * @param {boolean} config.rejectUnauthorized 是否验证SSL证书，配置了 ca 时默认true，否则默认false；ca、cert、key、fingerprint、proxy 等TLS与代理配置见 BaseClient
+   * @param {Object} config.tokenStore token存储，默认内存存储，可用 FileTokenStore 跨进程复用
    */
   constructor(config) {
-    // 验证必需参数
-    this.validateConfig(config);
+    super(config, {
+      vendor: "uniview",
+      name: "宇视",
+      port: 80,
+      protocol: "http",
+      timeout: 10000,
+      userAgent: "Uniview-SDK/1.0.0",
+    });
 
     // 配置属性
-    this.host = config.host.trim();
-    this.port = config.port || 80;
-    this.protocol = config.protocol || "http";
     this.username = config.username;
     this.password = config.password;
     this.defaultOrg = config.defaultOrg || 'iccsid';
-    this.debug = config.debug || false;
-    this.timeout = config.timeout || 10000;
-
-    // 构建基础URL
-    this.baseURL = `${this.protocol}://${this.host}:${this.port}`;
 
     // 认证相关
     this.accessToken = null;
@@ -51,16 +46,11 @@ class UniviewClient {
     // 初始化认证处理器
     this.auth = new UniviewAuth(
       this.username, 
-      this.password, 
-      this.debug
+      this.password,
+      this.debug,
+      this.logger
     );
 
-    // 创建logger实例
-    this.logger = new Logger(this.debug);
-
-    // 初始化HTTP客户端
-    this.initHttpClient(config);
-
     // 初始化API封装
     this.api = new UniviewAPI(this);
     
@@ -82,13 +72,7 @@ class UniviewClient {
    * @param {Object} config 配置对象
    */
   validateConfig(config) {
-    if (!config) {
-      throw new Error("配置对象不能为空");
-    }
-
-    if (!config.host) {
-      throw new Error("host参数不能为空");
-    }
+    super.validateConfig(config);
 
     if (!config.username) {
       throw new Error("username参数不能为空");
@@ -104,100 +88,25 @@ class UniviewClient {
    * @param {Object} config 配置对象
    */
   initHttpClient(config) {
-    const httpsAgent = new https.Agent({
-      rejectUnauthorized: config.rejectUnauthorized || false,
-      keepAlive: true,
-      timeout: this.timeout,
-    });
-
-    // 创建带拦截器的 axios 实例
-    this.httpClient = axios.create({
-      baseURL: this.baseURL,
-      timeout: this.timeout,
-      httpsAgent: httpsAgent,
-      headers: { 
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'User-Agent': 'Uniview-SDK/1.0.0'
-      },
-    });
+    super.initHttpClient(config);
 
     // 创建无拦截器的 rawAxios（用于登录）
     this.rawAxios = axios.create({
       baseURL: this.baseURL,
       timeout: this.timeout,
-      httpsAgent: httpsAgent,
+      ...this.transport.axiosConfig(),
+      adapter: this.cassette ? this.cassette.adapter() : undefined,
       headers: {
         'Accept': 'application/json',
-        'User-Agent': 'Uniview-SDK/1.0.0'
+        'User-Agent': this.userAgent
       },
     });
 
-    // 请求拦截器：注入 Authorization
-    this.httpClient.interceptors.request.use(
-      async (requestConfig) => {
-        // 自动确保认证
-        await this.ensureAuthenticated();
-        
-        if (this.accessToken) {
-          requestConfig.headers['Authorization'] = this.accessToken;
-        }
-
-        if (this.debug) {
-          this.logger.debug("请求配置", {
-            method: requestConfig.method,
-            url: requestConfig.url,
-            params: requestConfig.params,
-            headers: requestConfig.headers,
-            data: requestConfig.data,
-          });
-        }
-
-        return requestConfig;
-      },
-      (error) => {
-        if (this.debug) {
-          this.logger.error("请求拦截器错误", error);
-        }
-        return Promise.reject(new NetworkError("请求配置失败", error));
-      }
-    );
+    this.rawAxios.interceptors.request.use((requestConfig) => {
+      this.trackRequest(requestConfig);
+      return requestConfig;
+    });
 
-    // 添加响应拦截器
-    this.httpClient.interceptors.response.use(
-      (response) => {
-        if (this.debug) {
-          this.logger.debug("响应数据", {
-            status: response.status,
-            headers: response.headers,
-            data: response.data,
-          });
-        }
-        return response;
-      },
-      async (error) => {
-        // 如果是认证错误，尝试重新登录
-        if (error.response && (error.response.status === 401 || error.response.status === 403)) {
-          if (this.debug) {
-            this.logger.info("检测到认证错误，尝试重新登录...");
-          }
-          
-          const loginResult = await this.login();
-          if (loginResult.success) {
-            // 重新发送请求
-            try {
-              const retryResponse = await this.httpClient.request(error.config);
-              return retryResponse;
-            } catch (retryError) {
-              return Promise.reject(this.handleResponseError(retryError));
-            }
-          }
-        }
-        
-        return Promise.reject(this.handleResponseError(error));
-      }
-    );
-    
     // 为rawAxios添加响应拦截器
     this.rawAxios.interceptors.response.use(
       (response) => {
@@ -208,71 +117,61 @@ class UniviewClient {
             data: response.data,
           });
         }
+        this.trackResponse(response.config, response);
         return response;
       },
       (error) => {
+        this.trackResponse(error.config, error.response, error);
         return Promise.reject(this.handleResponseError(error));
       }
     );
   }
 
   /**
-   * 处理响应错误
-   * @param {Error} error 错误对象
+   * 自动确保认证并注入 Authorization
+   * @param {Object} requestConfig axios请求配置
    */
-  handleResponseError(error) {
-    if (this.debug) {
-      this.logger.error("响应错误", error);
-    }
+  async authorizeRequest(requestConfig) {
+    await this.ensureAuthenticated();
 
-    // axios 1.x 版本的错误对象结构有所不同
-    if (error.response) {
-      // 服务器返回了错误状态码
-      const { status, data } = error.response;
-
-      if (status === 401 || status === 403) {
-        return new AuthError("认证失败", data);
-      }
-
-      return new ApiError(`API错误 (${status})`, data, status);
-    } else if (error.request) {
-      // 请求已发出但没有收到响应
-      return new NetworkError("网络错误，请检查网络连接", error);
-    } else {
-      // 其他错误
-      return new NetworkError("未知错误", error);
+    if (this.accessToken) {
+      requestConfig.headers['Authorization'] = this.accessToken;
     }
   }
 
   /**
-   * 发送GET请求
-   * @param {string} path API路径
-   * @param {Object} params 查询参数
-   * @returns {Promise} 响应数据
+   * 认证失败时重新登录
+   * @param {Error} error axios错误
+   * @returns {Promise<boolean>} 是否登录成功
    */
-  async get(path, params = {}) {
-    try {
-      const response = await this.httpClient.get(path, { params });
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "GET", path);
+  async recoverAuth(error) {
+    // 其他请求已经换了新 token，直接用新 token 重发
+    const usedToken = error.config?.headers?.Authorization;
+    if (this.isAuthenticated() && usedToken !== this.accessToken) {
+      return true;
+    }
+
+    await this.discardToken(usedToken);
+
+    if (this.debug) {
+      this.logger.info("检测到认证错误，尝试重新登录...");
     }
+
+    const loginResult = await this.login();
+    return loginResult.success;
   }
 
   /**
-   * 发送POST请求
-   * @param {string} path API路径
-   * @param {Object} data 请求体数据
-   * @param {Object} config 请求配置
-   * @returns {Promise} 响应数据
+   * 解析宇视响应体，ErrCode 不为 0 时为业务错误
+   * @param {Object} data 响应体
+   * @returns {{ success: boolean, code: number|null, message: string|null }}
    */
-  async post(path, data = {}, config = {}) {
-    try {
-      const response = await this.httpClient.post(path, data, config);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "POST", path);
-    }
+  parseEnvelope(data) {
+    return {
+      success: !(data && data.hasOwnProperty('ErrCode') && data.ErrCode !== 0),
+      code: data?.ErrCode ?? null,
+      message: data?.ErrMsg || null,
+    };
   }
 
   /**
@@ -292,101 +191,11 @@ class UniviewClient {
   }
 
   /**
-   * 发送PUT请求
-   * @param {string} path API路径
-   * @param {Object} data 请求体数据
-   * @returns {Promise} 响应数据
+   * token存储键，区分平台和账号
+   * @returns {string}
    */
-  async put(path, data = {}) {
-    try {
-      const response = await this.httpClient.put(path, data);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "PUT", path);
-    }
-  }
-
-  /**
-   * 发送DELETE请求
-   * @param {string} path API路径
-   * @returns {Promise} 响应数据
-   */
-  async delete(path) {
-    try {
-      const response = await this.httpClient.delete(path);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, "DELETE", path);
-    }
-  }
-
-  /**
-   * 通用请求方法，允许用户直接发送请求
-   * @param {string} method HTTP方法 (GET, POST, PUT, DELETE)
-   * @param {string} path API路径
-   * @param {Object} options 请求选项
-   * @param {Object} options.params 查询参数
-   * @param {Object} options.data 请求体数据
-   * @returns {Promise} 响应数据
-   */
-  async request(method, path, options = {}) {
-    try {
-      const config = {
-        method: method.toUpperCase(),
-        url: path,
-        params: options.params || {},
-        data: options.data || {}
-      };
-
-      const response = await this.httpClient.request(config);
-      return this.processResponse(response);
-    } catch (error) {
-      throw this.enhanceError(error, method, path);
-    }
-  }
-
-  /**
-   * 处理响应数据
-   * @param {Object} response axios响应对象
-   * @returns {Object} 处理后的响应数据
-   */
-  processResponse(response) {
-    const { status, data } = response;
-
-    // 检查宇视API返回的业务状态
-    if (data && data.hasOwnProperty('ErrCode') && data.ErrCode !== 0) {
-      throw new ApiError(
-        `API业务错误: ${data.ErrMsg || "未知错误"}`,
-        data,
-        status
-      );
-    }
-
-    return {
-      success: true,
-      status: status,
-      data: data,
-      message: data.ErrMsg || "success",
-    };
-  }
-
-  /**
-   * 增强错误信息
-   * @param {Error} error 原始错误
-   * @param {string} method HTTP方法
-   * @param {string} path API路径
-   * @returns {Error} 增强后的错误
-   */
-  enhanceError(error, method, path) {
-    if (error.isCameraError) {
-      return error;
-    }
-
-    error.method = method;
-    error.path = path;
-    error.timestamp = new Date().toISOString();
-
-    return error;
+  getTokenKey() {
+    return `${super.getTokenKey()}:${this.username}`;
   }
 
   /**
@@ -398,10 +207,10 @@ class UniviewClient {
   }
 
   /**
-   * 登录
+   * 登录，由 login() 调用
    * @returns {Promise<{ success: boolean, data?: object, msg?: string }>}
    */
-  async login() {
+  async performLogin() {
     if (this.debug) {
       this.logger.info('开始登录流程...');
     }
@@ -410,79 +219,97 @@ class UniviewClient {
     this.accessToken = null;
     this.tokenExpiresAt = null;
 
-    let attempts = 0;
-    const maxRetries = 3;
+    // 优先复用存储中未过期的 token，避免占用平台的会话数
+    const stored = await this.loadToken();
+    if (stored) {
+      this.accessToken = stored.accessToken;
+      this.tokenExpiresAt = stored.expiresAt;
 
-    while (attempts <= maxRetries) {
-      try {
-        // 第一步：获取 AccessCode
-        const res = await this.rawPost(API_PATHS.LOGIN);
+      if (this.debug) {
+        this.logger.info(`复用已存储的 Token，有效期至: ${new Date(this.tokenExpiresAt).toLocaleString()}`);
+      }
+
+      this.startKeepAlive();
+      return { success: true, data: stored, fromStore: true };
+    }
 
-        if (res.data?.AccessCode && !res.data.AccessToken) {
-          const accessCode = res.data.AccessCode;
+    try {
+      // 登录握手是幂等的，网络错误和5xx按客户端重试策略重试，账号密码错误不重试
+      const result = await this.retryPolicy.execute(() => this.loginOnce(), {
+        requestConfig: { method: 'POST', idempotent: true },
+        onRetry: (err, attempt, delay) => {
           if (this.debug) {
-            this.logger.info('获取到 AccessCode，准备提交登录信息');
+            this.logger.warn(`登录尝试 ${attempt} 失败，${delay}ms 后重试: ${err.message}`);
           }
+        },
+      });
+
+      await this.saveToken({ accessToken: this.accessToken, expiresAt: this.tokenExpiresAt });
+      return result;
+    } catch (err) {
+      if (this.debug) {
+        this.logger.error('登录失败:', err.message);
+      }
+      return { success: false, msg: err.message };
+    }
+  }
 
-          // 构建登录数据
-          const loginData = JSON.stringify(this.auth.buildLoginData(accessCode));
+  /**
+   * 执行一次登录握手（获取 AccessCode 后提交签名）
+   * @returns {Promise<{ success: boolean, data: object }>}
+   */
+  async loginOnce() {
+    // 第一步：获取 AccessCode
+    const res = await this.rawPost(API_PATHS.LOGIN);
 
-          // 第二步：提交登录
-          const loginRes = await this.rawPost(API_PATHS.LOGIN, loginData, {
-            headers: { 'Content-Type': 'text/plain' },
-          });
+    if (res.data?.AccessCode && !res.data.AccessToken) {
+      const accessCode = res.data.AccessCode;
+      if (this.debug) {
+        this.logger.info('获取到 AccessCode，准备提交登录信息');
+      }
 
-          const data = loginRes.data;
-
-          // 兼容无 ErrCode 或 ErrCode === 0
-          if ((data.ErrCode == null || data.ErrCode === 0) && data.AccessToken) {
-            this.accessToken = data.AccessToken;
-            this.tokenExpiresAt = Date.now() + (48 * 3600 - 60) * 1000; // 47小时59分
-            
-            if (this.debug) {
-              const expireTime = new Date(this.tokenExpiresAt);
-              this.logger.info(`登录成功！Token 有效期至: ${expireTime.toLocaleString()}`);
-            }
-            
-            this.startKeepAlive();
-            return { success: true, data };
-          } else {
-            throw new Error(`登录失败 [${data.ErrCode}]: ${data.ErrMsg || '未知错误'}`);
-          }
-        }
-        else if (res.data?.AccessToken) {
-          // 直接返回 token（会话复用）
-          this.accessToken = res.data.AccessToken;
-          this.tokenExpiresAt = Date.now() + (48 * 3600 - 60) * 1000;
-          
-          if (this.debug) {
-            const expireTime = new Date(this.tokenExpiresAt);
-            this.logger.info(`会话复用成功，Token 有效期至: ${expireTime.toLocaleString()}`);
-          }
-          
-          this.startKeepAlive();
-          return { success: true, data: res.data };
-        }
-        else {
-          throw new Error(`登录失败：响应格式错误 ${JSON.stringify(res.data)}`);
-        }
-      } catch (err) {
-        attempts++;
-        if (attempts > maxRetries) {
-          if (this.debug) {
-            this.logger.error('登录失败（已达最大重试次数）:', err.message);
-          }
-          return { success: false, msg: err.message };
-        }
+      // 构建登录数据
+      const loginData = JSON.stringify(this.auth.buildLoginData(accessCode));
+
+      // 第二步：提交登录
+      const loginRes = await this.rawPost(API_PATHS.LOGIN, loginData, {
+        headers: { 'Content-Type': 'text/plain' },
+      });
+
+      const data = loginRes.data;
+
+      // 兼容无 ErrCode 或 ErrCode === 0
+      if ((data.ErrCode == null || data.ErrCode === 0) && data.AccessToken) {
+        this.accessToken = data.AccessToken;
+        this.tokenExpiresAt = Date.now() + (48 * 3600 - 60) * 1000; // 47小时59分
 
         if (this.debug) {
-          this.logger.warn(`登录尝试 ${attempts} 失败，${1000 * attempts}ms 后重试...`);
+          const expireTime = new Date(this.tokenExpiresAt);
+          this.logger.info(`登录成功！Token 有效期至: ${expireTime.toLocaleString()}`);
         }
-        await new Promise(r => setTimeout(r, 1000 * attempts)); // 指数退避
+
+        this.startKeepAlive();
+        return { success: true, data };
+      }
+
+      throw new AuthError(`登录失败 [${data.ErrCode}]: ${data.ErrMsg || '未知错误'}`, data);
+    }
+
+    if (res.data?.AccessToken) {
+      // 直接返回 token（会话复用）
+      this.accessToken = res.data.AccessToken;
+      this.tokenExpiresAt = Date.now() + (48 * 3600 - 60) * 1000;
+
+      if (this.debug) {
+        const expireTime = new Date(this.tokenExpiresAt);
+        this.logger.info(`会话复用成功，Token 有效期至: ${expireTime.toLocaleString()}`);
       }
+
+      this.startKeepAlive();
+      return { success: true, data: res.data };
     }
 
-    return { success: false, msg: '登录失败：重试次数耗尽' };
+    throw new AuthError(`登录失败：响应格式错误 ${JSON.stringify(res.data)}`, res.data);
   }
 
   /**
@@ -515,17 +342,23 @@ class UniviewClient {
   }
 
   /**
-   * 保持Token活跃
+   * 保持Token活跃，结果同时通过 keepAlive 事件通知
    * @returns {Promise<boolean>} 是否成功
    */
   async keepTokenAlive() {
+    const startTime = Date.now();
+    const finish = (success, relogin, message = null) => {
+      this.emitEvent('keepAlive', { success, relogin, message, duration: Date.now() - startTime });
+      return success;
+    };
+
     try {
       if (!this.isAuthenticated()) {
         if (this.debug) {
           this.logger.warn('Token 已失效，尝试重新登录');
         }
         const result = await this.login();
-        return result.success;
+        return finish(result.success, true, result.msg);
       }
 
       const res = await this.get(API_PATHS.TOKEN_KEEP_ALIVE);
@@ -533,20 +366,25 @@ class UniviewClient {
         if (this.debug) {
           this.logger.info('Token 保活成功');
         }
-        return true;
+        return finish(true, false);
       } else {
         if (this.debug) {
           this.logger.warn('保活失败:', res.data.ErrMsg);
         }
+        await this.discardToken(this.accessToken);
         const result = await this.login();
-        return result.success;
+        return finish(result.success, true, result.msg);
       }
     } catch (err) {
       if (this.debug) {
         this.logger.error('保活请求失败:', err.message);
       }
+      // 平台拒绝保活说明 token 已失效，网络错误或超时时 token 可能仍有效
+      if (err.name !== 'NetworkError' && err.name !== 'TimeoutError') {
+        await this.discardToken(this.accessToken);
+      }
       const result = await this.login();
-      return result.success;
+      return finish(result.success, true, result.msg || err.message);
     }
   }
 
@@ -594,26 +432,8 @@ class UniviewClient {
     this.stopKeepAlive();
     this.accessToken = null;
     this.tokenExpiresAt = null;
-    
-    if (this.debug) {
-      this.logger.info('宇视 SDK 已关闭');
-    }
-  }
-  
-  /**
-   * 设置API方法代理，自动将API对象上的方法代理到客户端实例上
-   */
-  setupAPIMethodProxy() {
-    // 遍历API对象的所有属性
-    Object.getOwnPropertyNames(Object.getPrototypeOf(this.api)).forEach(key => {
-      // 跳过构造函数和非函数属性
-      if (key === 'constructor' || typeof this.api[key] !== 'function') {
-        return;
-      }
-      
-      // 将API方法绑定到客户端实例上
-      this[key] = this.api[key].bind(this.api);
-    });
+
+    await super.close();
   }
 }
 
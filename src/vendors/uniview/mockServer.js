@@ -0,0 +1,228 @@
+/**
+ * 宇视 VIID 模拟平台
+ * 实现 AccessCode/LoginSignature 两步登录，以及 API_PATHS 中的接口
+ */
+
+const crypto = require('crypto');
+const { MockServer } = require('../../core/mockServer');
+const { UniviewAuth } = require('./auth');
+const { API_PATHS } = require('./api');
+
+/**
+ * 模拟平台使用的业务错误码，由 clientConfig() 作为客户端的 errorCodes 配置传入
+ * 仅用于模拟平台与测试，不代表真实平台的错误码
+ */
+const MOCK_ERROR_CODES = {
+  4: { type: 'InvalidParameterError', retryable: false, zh: '参数错误', en: 'Invalid parameter' },
+  5: { type: 'NotFoundError', retryable: false, zh: '资源不存在', en: 'Resource not found' },
+  6: { type: 'TokenExpiredError', retryable: false, zh: 'token已失效', en: 'Token expired' },
+  7: { type: 'PermissionDeniedError', retryable: false, zh: '没有访问权限', en: 'Permission denied' },
+  8: { type: 'RateLimitedError', retryable: true, zh: '请求过于频繁', en: 'Too many requests' },
+  9: { type: 'ApiError', retryable: true, zh: '设备离线或平台繁忙', en: 'Device offline or platform busy' },
+};
+
+/**
+ * 资源类型（查询条件 QueryType 256 的 QueryData）与预置数据的对应关系
+ */
+const RESOURCE_TYPES = {
+  '1001': 'cameras',
+  '1': 'organizations',
+};
+
+class UniviewMockServer extends MockServer {
+  /**
+   * @param {Object} options 选项，其余同 MockServer
+   * @param {string} options.username 用户名，默认 admin
+   * @param {string} options.password 密码，默认 mock-password
+   * @param {string} options.rootOrg 根组织编码，默认 iccsid
+   */
+  constructor(options = {}) {
+    super({ tokenTtl: 48 * 60 * 60 * 1000, ...options });
+
+    this.username = options.username || 'admin';
+    this.password = options.password || 'mock-password';
+    this.rootOrg = options.rootOrg || 'iccsid';
+    this.auth = new UniviewAuth(this.username, this.password);
+
+    // 已下发未使用的 AccessCode，每个只能登录一次
+    this.accessCodes = new Set();
+
+    this.registerRoutes();
+  }
+
+  /**
+   * 默认预置数据：根组织下一个子组织、三台摄像机
+   * @returns {Object}
+   */
+  defaultData() {
+    const root = this.options.rootOrg || 'iccsid';
+
+    return {
+      organizations: [
+        { OrgInfo: { OrgCode: root, OrgName: '根组织', ParentCode: '' } },
+        { OrgInfo: { OrgCode: 'org_floor_2', OrgName: '二楼', ParentCode: root } },
+      ],
+      cameras: [
+        { ResItemV1: { ResCode: `${root}_camera_001`, ResName: '大厅球机', ResType: 1001, ResSubType: 1, ResStatus: 1, OrgCode: root, OrgName: '根组织' } },
+        { ResItemV1: { ResCode: `${root}_camera_002`, ResName: '走廊枪机', ResType: 1001, ResSubType: 0, ResStatus: 0, OrgCode: 'org_floor_2', OrgName: '二楼' } },
+        { ResItemV1: { ResCode: `${root}_camera_003`, ResName: '楼梯间', ResType: 1001, ResSubType: 0, ResStatus: 1, OrgCode: 'org_floor_2', OrgName: '二楼' } },
+      ],
+      thirdPartyIpcs: [
+        { pszThirdPartyIPCCode: '192168002041', szIPCName: '第三方IPC', szIPAddr: '192.168.2.41', ulStatus: 1 },
+      ],
+    };
+  }
+
+  /**
+   * 连接模拟平台的客户端配置
+   * @returns {Object}
+   */
+  clientConfig() {
+    return {
+      ...super.clientConfig(),
+      username: this.username,
+      password: this.password,
+      defaultOrg: this.rootOrg,
+      errorCodes: MOCK_ERROR_CODES,
+    };
+  }
+
+  /**
+   * 注册接口
+   */
+  registerRoutes() {
+    this.route('POST', API_PATHS.LOGIN, (ctx) => this.login(ctx.body), { auth: false });
+
+    this.route('GET', API_PATHS.TOKEN_KEEP_ALIVE, (ctx) => {
+      this.refreshToken(ctx.headers.authorization);
+      return this.success();
+    });
+
+    this.route('GET', API_PATHS.QUERY_RESOURCES, (ctx) => {
+      let condition;
+      try {
+        condition = JSON.parse(ctx.query.condition);
+      } catch (error) {
+        return this.businessError(4, '查询条件格式错误');
+      }
+
+      const typeCondition = (condition.Condition || []).find((item) => item.QueryType === 256);
+      const resource = RESOURCE_TYPES[typeCondition?.QueryData];
+      if (!resource) {
+        return this.businessError(4, `不支持的资源类型: ${typeCondition?.QueryData}`);
+      }
+
+      const orgs = this.descendantOrgs(ctx.query.org || this.rootOrg);
+      const list = this.data[resource].filter((item) => {
+        const info = item.ResItemV1 || item.OrgInfo || item;
+        return orgs.has(info.OrgCode);
+      });
+
+      const offset = Number(condition.PageFirstRowNumber) || 0;
+      const size = Number(condition.PageRowNum) || list.length;
+      const page = this.slice(list, offset, size);
+
+      return this.success({
+        InfoList: page,
+        RspPageInfo: { TotalRowNum: list.length, PageFirstRowNumber: offset, PageRowNum: page.length },
+      });
+    });
+
+    this.route('GET', API_PATHS.QUERY_THIRD_PARTY_IPC, (ctx) => {
+      const ipc = this.data.thirdPartyIpcs.find(
+        (item) => item.pszThirdPartyIPCCode === ctx.query.pszThirdPartyIPCCode
+      );
+      return ipc ? this.success(ipc) : this.businessError(5, '设备不存在');
+    });
+  }
+
+  /**
+   * 两步登录：请求体为空时下发 AccessCode，带 LoginSignature 时校验签名并签发 token
+   * @param {Object} body 请求体
+   * @returns {Object}
+   */
+  login(body = {}) {
+    if (!body.LoginSignature) {
+      const accessCode = crypto.randomBytes(16).toString('hex');
+      this.accessCodes.add(accessCode);
+      return { AccessCode: accessCode };
+    }
+
+    const { UserName, AccessCode, LoginSignature } = body;
+    if (!this.accessCodes.delete(AccessCode)) {
+      return this.businessError(2, 'AccessCode无效');
+    }
+
+    const expected = this.auth.calculateLoginSignature(
+      Buffer.from(this.username).toString('base64'),
+      AccessCode,
+      crypto.createHash('md5').update(this.password).digest('hex')
+    );
+    if (UserName !== this.username || LoginSignature !== expected) {
+      return this.businessError(3, '用户名或密码错误');
+    }
+
+    return { ErrCode: 0, ErrMsg: '', AccessToken: this.issueToken() };
+  }
+
+  /**
+   * 组织及其全部下级组织的编码
+   * @param {string} orgCode 组织编码
+   * @returns {Set<string>}
+   */
+  descendantOrgs(orgCode) {
+    const result = new Set([orgCode]);
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      this.data.organizations.forEach((item) => {
+        const org = item.OrgInfo || item;
+        if (result.has(org.ParentCode) && !result.has(org.OrgCode)) {
+          result.add(org.OrgCode);
+          changed = true;
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 校验 Authorization 头中的 token
+   * @param {Object} ctx 请求上下文
+   * @returns {boolean}
+   */
+  authenticate(ctx) {
+    return this.isTokenValid(ctx.headers.authorization);
+  }
+
+  /**
+   * token 无效的响应体
+   * @returns {Object}
+   */
+  unauthorized() {
+    return { ErrCode: 401, ErrMsg: '未登录或token已失效' };
+  }
+
+  /**
+   * 业务错误的响应体
+   * @param {number|string} code 错误码
+   * @param {string} message 错误信息
+   * @returns {Object}
+   */
+  businessError(code, message) {
+    return { ErrCode: Number(code), ErrMsg: message };
+  }
+
+  /**
+   * 成功响应
+   * @param {*} result 响应数据
+   * @returns {Object}
+   */
+  success(result) {
+    return result === undefined ? { ErrCode: 0, ErrMsg: '' } : { ErrCode: 0, ErrMsg: '', Result: result };
+  }
+}
+
+module.exports = { UniviewMockServer };
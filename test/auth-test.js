@@ -0,0 +1,184 @@
+/**
+ * 认证测试（并发登录、token存储）- 使用本地模拟的ICC网关，无需连接真实平台
+ */
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { DahuaClient } = require('../src/vendors/dahua/client');
+const { FileTokenStore, MemoryTokenStore } = require('../src/core/tokenStore');
+const { run } = require('./runner');
+
+const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+const PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+/**
+ * 模拟ICC网关，每次登录签发新 token，只接受 validToken 判断为有效的 token
+ */
+async function startServer(validToken = (token, state) => token === state.token) {
+  const state = { logins: 0, token: null };
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url.includes('/oauth/public-key')) {
+        res.end(JSON.stringify({ success: true, data: { publicKey: PUBLIC_KEY } }));
+        return;
+      }
+
+      if (req.url.includes('/oauth/extend/token')) {
+        state.logins++;
+        state.token = `token-${state.logins}`;
+        // 模拟网关签发 token 的耗时
+        setTimeout(() => {
+          res.end(JSON.stringify({
+            success: true,
+            data: { access_token: state.token, token_type: 'bearer', expires_in: 7200 }
+          }));
+        }, 20);
+        return;
+      }
+
+      const token = String(req.headers.authorization || '').replace('bearer ', '');
+      if (!validToken(token, state)) {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ success: false, errMsg: 'token失效' }));
+        return;
+      }
+
+      res.end(JSON.stringify({ success: true, data: { totalRows: 0, pageData: [] } }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, state, port: server.address().port };
+}
+
+function createClient(port, config = {}) {
+  return new DahuaClient({
+    ...config,
+    host: '127.0.0.1',
+    port,
+    protocol: 'http',
+    username: 'user',
+    password: 'pass',
+    client_id: 'id',
+    client_secret: 'secret',
+    retry: false
+  });
+}
+
+async function withClient(validToken, fn, config) {
+  const { server, state, port } = await startServer(validToken);
+  const client = createClient(port, config);
+  try {
+    await fn(client, state);
+  } finally {
+    await client.close();
+    server.close();
+  }
+}
+
+async function testConcurrentFirstLogin() {
+  await withClient(undefined, async (client, state) => {
+    await Promise.all(Array.from({ length: 20 }, () => client.getDevicesPage()));
+    assert.strictEqual(state.logins, 1);
+  });
+}
+
+async function testConcurrentRecovery() {
+  await withClient(undefined, async (client, state) => {
+    await client.getDevicesPage();
+
+    // 服务端使 token 失效，并发请求同时收到401
+    state.token = 'revoked';
+    await Promise.all(Array.from({ length: 10 }, () => client.getDevicesPage()));
+    assert.strictEqual(state.logins, 2);
+  });
+}
+
+async function testNoReloginLoop() {
+  await withClient(() => false, async (client, state) => {
+    await assert.rejects(client.getDevicesPage(), { name: 'AuthError' });
+    // 首次登录 + 401后重新登录一次，重发的请求再次401时直接失败
+    assert.strictEqual(state.logins, 2);
+  });
+}
+
+async function testFileTokenStore() {
+  const filePath = path.join(os.tmpdir(), `sdk-token-${process.pid}`, 'tokens.json');
+  const store = new FileTokenStore(filePath);
+
+  try {
+    assert.strictEqual(await store.get('a'), null);
+    await store.set('a', { accessToken: 't1', expiresAt: 1 });
+    await store.set('b', { accessToken: 't2' });
+    assert.deepStrictEqual(await new FileTokenStore(filePath).get('a'), { accessToken: 't1', expiresAt: 1 });
+
+    await store.delete('a');
+    assert.strictEqual(await store.get('a'), null);
+    assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+  } finally {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  }
+}
+
+async function testFileTokenStoreConcurrentWrites() {
+  const dir = path.join(os.tmpdir(), `sdk-token-concurrent-${process.pid}`);
+  const filePath = path.join(dir, 'tokens.json');
+  const store = new FileTokenStore(filePath);
+
+  try {
+    // 多个客户端共用存储时并发写入，所有键都保留
+    const results = await Promise.allSettled([
+      store.set('a', { accessToken: 't1' }),
+      store.set('b', { accessToken: 't2' }),
+      new FileTokenStore(filePath).set('c', { accessToken: 't3' }),
+      store.delete('missing')
+    ]);
+    assert.deepStrictEqual(results.map((result) => result.status), ['fulfilled', 'fulfilled', 'fulfilled', 'fulfilled']);
+    assert.deepStrictEqual(Object.keys(await store.readAll()).sort(), ['a', 'b', 'c']);
+
+    await Promise.all([store.delete('a'), store.set('d', { accessToken: 't4' })]);
+    assert.deepStrictEqual(Object.keys(await store.readAll()).sort(), ['b', 'c', 'd']);
+
+    // 没有遗留的临时文件
+    assert.deepStrictEqual(fs.readdirSync(dir), ['tokens.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testReuseStoredToken() {
+  const tokenStore = new MemoryTokenStore();
+
+  await withClient(undefined, async (client, state) => {
+    await client.getDevicesPage();
+
+    // 模拟进程重启：新客户端共用同一个存储，不再登录
+    const restarted = createClient(client.port, { tokenStore });
+    await restarted.getDevicesPage();
+    await restarted.close();
+    assert.strictEqual(state.logins, 1);
+
+    // 存储中的 token 被服务端判定失效后删除并重新登录
+    state.token = 'revoked';
+    await client.getDevicesPage();
+    assert.strictEqual(state.logins, 2);
+    assert.strictEqual((await tokenStore.get(client.getTokenKey())).accessToken, 'token-2');
+  }, { tokenStore });
+}
+
+const tests = {
+  testConcurrentFirstLogin,
+  testConcurrentRecovery,
+  testNoReloginLoop,
+  testFileTokenStore,
+  testFileTokenStoreConcurrentWrites,
+  testReuseStoredToken
+};
+
+run(tests, '认证测试通过');
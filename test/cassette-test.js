@@ -0,0 +1,131 @@
+/**
+ * 录制/回放测试 - 先对本地模拟平台录制，关闭模拟平台后回放，无需连接真实平台
+ */
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { UniviewClient } = require('../src/vendors/uniview/client');
+const { Cassette } = require('../src/core/cassette');
+const { run } = require('./runner');
+
+const CENSOR = '[REDACTED]';
+
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), name);
+}
+
+/**
+ * 模拟平台，handler 返回 [状态码, 响应体]
+ */
+async function startServer(handler) {
+  const state = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      state.requests++;
+      const [status, data] = handler(req, body ? JSON.parse(body) : {});
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, state, port: server.address().port };
+}
+
+/**
+ * 模拟VIID两步登录，每次登录的 AccessCode 和 token 都不同
+ */
+function viidHandler(req, body) {
+  if (req.url === '/VIID/login') {
+    return [200, body.LoginSignature
+      ? { ErrCode: 0, AccessToken: crypto.randomUUID() }
+      : { AccessCode: crypto.randomUUID() }];
+  }
+
+  return [200, {
+    ErrCode: 0,
+    Result: { InfoList: [{ Code: 'cam-1', Name: '大门' }], RspPageInfo: { TotalRowNum: 1 } }
+  }];
+}
+
+function createUniview(port, cassette) {
+  return new UniviewClient({ host: '127.0.0.1', port, username: 'admin', password: 'secret', cassette });
+}
+
+async function testRecordAndReplayUniview() {
+  const file = tempFile('viid.json');
+  const { server, state, port } = await startServer(viidHandler);
+
+  const recorder = createUniview(port, { path: file, mode: 'record' });
+  const recorded = await recorder.queryAllCameras({ pageSize: 10 });
+  await recorder.close();
+  server.close();
+
+  assert.strictEqual(state.requests, 3);
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(content.version, 1);
+  assert.strictEqual(content.interactions.length, 3);
+  // 录制文件默认脱敏
+  assert.strictEqual(content.interactions[1].response.body.AccessToken, CENSOR);
+  assert.strictEqual(content.interactions[1].request.body.LoginSignature, CENSOR);
+
+  // 模拟平台已关闭，AccessCode 不同也能匹配
+  const cassette = new Cassette(file);
+  assert.strictEqual(cassette.mode, 'replay');
+  const player = createUniview(port, cassette);
+  const replayed = await player.queryAllCameras({ pageSize: 10 });
+  assert.deepStrictEqual(replayed, recorded);
+  assert.strictEqual(cassette.pending, 0);
+  await player.close();
+}
+
+async function testReplayIgnoresSignatureHeaders() {
+  const file = tempFile('artemis.json');
+  const { server, port } = await startServer((req, body) => {
+    if (body.pageNo === 2) {
+      return [500, { code: '0x02401004', msg: '内部错误' }];
+    }
+    return [200, { code: '0', msg: 'success', data: { total: 1, list: [{ cameraIndexCode: 'c1' }] } }];
+  });
+
+  const config = { host: '127.0.0.1', port, protocol: 'http', appKey: 'key', appSecret: 'secret', retry: false };
+  const recorder = new HikvisionClient({ ...config, cassette: { path: file, mode: 'record' } });
+  const recorded = await recorder.post('/artemis/api/resource/v1/cameras', { pageSize: 10, pageNo: 1 });
+  await assert.rejects(recorder.post('/artemis/api/resource/v1/cameras', { pageNo: 2, pageSize: 10 }));
+  await recorder.close();
+  server.close();
+
+  // X-Ca-Nonce、X-Ca-Timestamp、签名每次都不同，字段顺序不同也能匹配
+  const player = new HikvisionClient({ ...config, cassette: { path: file, mode: 'replay' } });
+  assert.deepStrictEqual(
+    await player.post('/artemis/api/resource/v1/cameras', { pageNo: 1, pageSize: 10 }),
+    recorded
+  );
+
+  // 录制的错误响应按原状态码回放
+  await assert.rejects(
+    player.post('/artemis/api/resource/v1/cameras', { pageNo: 2, pageSize: 10 }),
+    (error) => error.statusCode === 500
+  );
+
+  // 没有录制的请求直接失败，不访问网络、不重试
+  await assert.rejects(
+    player.post('/artemis/api/resource/v1/cameras', { pageNo: 3, pageSize: 10 }),
+    (error) => error.name === 'NetworkError' && error.message.includes('录制文件中没有匹配的请求')
+  );
+  await player.close();
+}
+
+const tests = {
+  testRecordAndReplayUniview,
+  testReplayIgnoresSignatureHeaders
+};
+
+run(tests, '录制/回放测试通过');
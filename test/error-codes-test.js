@@ -0,0 +1,164 @@
+/**
+ * 业务错误码目录测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const http = require('http');
+const { BaseClient } = require('../src/core/baseClient');
+const { DahuaClient } = require('../src/vendors/dahua/client');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { UniviewClient } = require('../src/vendors/uniview/client');
+const { DahuaMockServer } = require('../src/vendors/dahua/mockServer');
+const { HikvisionMockServer } = require('../src/vendors/hikvision/mockServer');
+const { UniviewMockServer } = require('../src/vendors/uniview/mockServer');
+const { API_PATHS: DAHUA_PATHS } = require('../src/vendors/dahua/api');
+const { API_PATHS: HIKVISION_PATHS } = require('../src/vendors/hikvision/api');
+const { ERROR_CODES, ERROR_TYPES, lookupErrorCode, createApiError } = require('../src/utils/errors/errorCodes');
+const {
+  ApiError,
+  NotFoundError,
+  RateLimitedError,
+  TokenExpiredError
+} = require('../src/utils/errors/cameraErrors');
+const { run } = require('./runner');
+
+async function testCatalog() {
+  const errorCodes = {
+    'E1001': { type: 'TokenExpiredError', retryable: false, zh: 'token无效或已过期', en: 'Token invalid or expired' }
+  };
+  assert.strictEqual(lookupErrorCode('dahua', 'E1001', errorCodes).type, 'TokenExpiredError');
+  assert.strictEqual(lookupErrorCode('dahua', 'E1001'), null);
+  assert.strictEqual(lookupErrorCode('dahua', 'unknown'), null);
+
+  const error = createApiError({ vendor: 'dahua', code: 'E1001', message: 'API业务错误: token失效', statusCode: 200, errorCodes });
+  assert.ok(error instanceof TokenExpiredError);
+  assert.ok(error instanceof ApiError);
+  assert.strictEqual(error.errorCode, 'E1001');
+  assert.strictEqual(error.retryable, false);
+  assert.deepStrictEqual(error.messages, { zh: 'token无效或已过期', en: 'Token invalid or expired' });
+  assert.strictEqual(error.toJSON().vendor, 'dahua');
+
+  // 未收录的错误码仍为 ApiError
+  const unknown = createApiError({ vendor: 'hikvision', code: '0x1', message: 'x' });
+  assert.strictEqual(unknown.name, 'ApiError');
+  assert.strictEqual(unknown.messages, null);
+}
+
+async function testBuiltInCatalog() {
+  assert.deepStrictEqual(Object.keys(ERROR_CODES).sort(), ['dahua', 'hikvision', 'uniview']);
+
+  // 内置错误码须注明文档出处，不经 errorCodes 配置即可查到
+  for (const [vendor, codes] of Object.entries(ERROR_CODES)) {
+    for (const [code, entry] of Object.entries(codes)) {
+      assert.ok(ERROR_TYPES[entry.type], `${vendor} ${code} 的错误类型无效`);
+      assert.strictEqual(typeof entry.retryable, 'boolean', `${vendor} ${code} 缺少 retryable`);
+      assert.ok(entry.zh && entry.en, `${vendor} ${code} 缺少中英文说明`);
+      assert.ok(entry.source, `${vendor} ${code} 缺少文档出处`);
+
+      assert.strictEqual(lookupErrorCode(vendor, code), entry);
+      const error = createApiError({ vendor, code, message: entry.zh });
+      assert.ok(error instanceof ERROR_TYPES[entry.type]);
+      assert.strictEqual(error.retryable, entry.retryable);
+    }
+  }
+}
+
+async function testTypedBusinessErrors() {
+  const mock = await new UniviewMockServer().start();
+  const client = new UniviewClient({ ...mock.clientConfig(), retry: false });
+
+  try {
+    await assert.rejects(client.queryThirdPartyIPC('unknown'), (error) => {
+      assert.ok(error instanceof NotFoundError);
+      assert.strictEqual(error.vendor, 'uniview');
+      assert.strictEqual(error.errorCode, 5);
+      assert.strictEqual(error.messages.en, 'Resource not found');
+      assert.ok(error.message.includes('设备不存在'));
+      return true;
+    });
+  } finally {
+    await client.close();
+    await mock.stop();
+  }
+}
+
+async function testRetryableCodes() {
+  const mock = await new DahuaMockServer().start();
+  const client = new DahuaClient({ ...mock.clientConfig(), retry: { baseDelay: 1, jitter: 'none' } });
+
+  try {
+    // 可重试的业务错误码按重试策略重试
+    mock.inject({ path: DAHUA_PATHS.DEVICES_PAGE, code: '1007', message: '请求过于频繁' });
+    const page = await client.getDevicesPage();
+    assert.strictEqual(page.success, true);
+    assert.strictEqual(mock.requests.filter(r => r.path === DAHUA_PATHS.DEVICES_PAGE).length, 2);
+
+    // 不可重试的错误码直接失败
+    mock.inject({ path: DAHUA_PATHS.DEVICES_PAGE, code: '1006', message: '无权限', times: 3 });
+    await assert.rejects(client.getDevicesPage(), { name: 'PermissionDeniedError', retryable: false });
+    assert.strictEqual(mock.requests.filter(r => r.path === DAHUA_PATHS.DEVICES_PAGE).length, 3);
+  } finally {
+    await client.close();
+    await mock.stop();
+  }
+}
+
+async function testCustomCodes() {
+  const mock = await new HikvisionMockServer().start();
+  const client = new HikvisionClient({
+    ...mock.clientConfig(),
+    retry: false,
+    errorCodes: {
+      '0x0240100A': { type: 'PermissionDeniedError', retryable: false, zh: '组织不在授权范围内', en: 'Organization not authorized' }
+    }
+  });
+
+  try {
+    mock.inject({ path: HIKVISION_PATHS.CAMERAS, code: '0x0240100A', message: '组织无权限' });
+    await assert.rejects(client.getCameras(), (error) => {
+      assert.strictEqual(error.name, 'PermissionDeniedError');
+      assert.strictEqual(error.messages.zh, '组织不在授权范围内');
+      return true;
+    });
+  } finally {
+    await client.close();
+    await mock.stop();
+  }
+}
+
+async function testHttpStatusErrors() {
+  const server = http.createServer((req, res) => {
+    res.statusCode = req.url === '/missing' ? 404 : 429;
+    res.setHeader('Content-Type', 'application/json');
+    res.end('{}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const client = new BaseClient(
+    { host: '127.0.0.1', port: server.address().port, protocol: 'http', retry: false },
+    { vendor: 'test', name: '测试', port: 80, protocol: 'http', timeout: 1000, userAgent: 'test' }
+  );
+
+  try {
+    await assert.rejects(client.get('/missing'), (error) => error instanceof NotFoundError && error.statusCode === 404);
+    await assert.rejects(client.get('/busy'), (error) => {
+      assert.ok(error instanceof RateLimitedError);
+      assert.strictEqual(error.retryable, true);
+      assert.strictEqual(error.statusCode, 429);
+      return true;
+    });
+  } finally {
+    await client.close();
+    server.close();
+  }
+}
+
+const tests = {
+  testCatalog,
+  testBuiltInCatalog,
+  testTypedBusinessErrors,
+  testRetryableCodes,
+  testCustomCodes,
+  testHttpStatusErrors
+};
+
+run(tests, '错误码测试通过');
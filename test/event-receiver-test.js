@@ -0,0 +1,167 @@
+/**
+ * 海康事件订阅与推送接收测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const http = require('http');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { HikvisionMockServer } = require('../src/vendors/hikvision/mockServer');
+const { HikvisionEventReceiver } = require('../src/vendors/hikvision/eventReceiver');
+const { run } = require('./runner');
+
+const MOTION = 131329;
+const LINE_CROSSING = 131331;
+
+async function withPlatform(fn) {
+  const mock = await new HikvisionMockServer().start();
+  const client = new HikvisionClient({ ...mock.clientConfig(), retry: false });
+  const receiver = await new HikvisionEventReceiver({ path: '/events', logLevel: 'silent' }).start(0, '127.0.0.1');
+
+  try {
+    await fn(mock, client, receiver);
+  } finally {
+    await receiver.stop();
+    await client.close();
+    await mock.stop();
+  }
+}
+
+/**
+ * 发送请求并解析 JSON 应答（不使用全局 fetch，兼容 Node 18 以下版本）
+ */
+function send(url, method, body = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function post(url, body, headers = { 'Content-Type': 'application/json' }) {
+  return send(url, 'POST', body, headers);
+}
+
+async function testSubscriptionLifecycle() {
+  await withPlatform(async (mock, client, receiver) => {
+    const eventDest = receiver.url();
+    assert.strictEqual(eventDest, `http://127.0.0.1:${receiver.port}/events`);
+
+    await client.subscribeEvents({ eventTypes: [MOTION, LINE_CROSSING], eventDest });
+    const view = await client.getEventSubscriptions();
+    assert.deepStrictEqual(view.data.detail, [{ eventDest, eventTypes: [MOTION, LINE_CROSSING] }]);
+
+    await client.unsubscribeEvents({ eventTypes: [LINE_CROSSING] });
+    assert.deepStrictEqual((await client.getEventSubscriptions()).data.detail[0].eventTypes, [MOTION]);
+
+    await assert.rejects(client.unsubscribeEvents({}), { name: 'ParameterError' });
+  });
+}
+
+async function testReceiveTypedEvents() {
+  await withPlatform(async (mock, client, receiver) => {
+    await client.subscribeEvents({ eventTypes: [MOTION, LINE_CROSSING], eventDest: receiver.url() });
+
+    const received = [];
+    const motions = [];
+    const notifications = [];
+    receiver.on('event', (event) => received.push(event));
+    receiver.on(`event:${MOTION}`, (event) => motions.push(event));
+    receiver.on('notify', (notification) => notifications.push(notification));
+
+    const results = await mock.pushEvents([
+      { eventId: 'e1', eventType: MOTION, srcIndex: 'camera0001', srcType: 'camera', happenTime: '2026-10-19T10:00:00.000+08:00' },
+      { eventId: 'e2', eventType: LINE_CROSSING, srcIndex: 'camera0002', srcType: 'camera' },
+      { eventId: 'e3', eventType: 999999, srcIndex: 'camera0003' }
+    ]);
+
+    // 按平台约定应答
+    assert.deepStrictEqual(results[0].body, { code: '0', msg: 'success' });
+    assert.strictEqual(results[0].status, 200);
+
+    // 未订阅的事件类型不推送
+    assert.deepStrictEqual(received.map((event) => event.eventId), ['e1', 'e2']);
+    assert.deepStrictEqual(motions.map((event) => event.eventId), ['e1']);
+    assert.strictEqual(received[0].ability, 'event_vss');
+    assert.strictEqual(notifications.length, 1);
+  });
+}
+
+async function testInvalidPushes() {
+  await withPlatform(async (mock, client, receiver) => {
+    const errors = [];
+    receiver.on('error', (error) => errors.push(error));
+
+    assert.strictEqual((await post(receiver.url(), 'not json')).status, 400);
+    assert.strictEqual((await post(receiver.url(), JSON.stringify({ method: 'OnOther', params: {} }))).status, 400);
+    assert.strictEqual((await send(receiver.url(), 'GET')).status, 405);
+    assert.strictEqual((await post(`http://127.0.0.1:${receiver.port}/other`, '{}')).status, 404);
+    assert.strictEqual(errors.length, 2);
+    assert.strictEqual(errors[0].name, 'ParameterError');
+
+    // 监听器抛出异常时仍应答成功
+    receiver.on('event', () => {
+      throw new Error('listener failed');
+    });
+    const body = JSON.stringify({ method: 'OnEventNotify', params: { events: [{ eventType: MOTION }] } });
+    assert.strictEqual((await post(receiver.url(), body)).body.code, '0');
+  });
+}
+
+async function testEmbeddedHandler() {
+  const receiver = new HikvisionEventReceiver({ logLevel: 'silent' });
+  const events = [];
+  receiver.on('event', (event) => events.push(event));
+
+  // 挂到已有服务上，模拟 express.json() 已解析的请求体
+  const handler = receiver.handler();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      req.body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      handler(req, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const body = JSON.stringify({
+      method: 'OnEventNotify',
+      params: { ability: 'event_acs', events: [{ eventId: 'a1', eventType: 196893 }] }
+    });
+    const result = await post(`http://127.0.0.1:${server.address().port}/hik/callback`, body);
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(events, [{ eventId: 'a1', eventType: 196893, ability: 'event_acs' }]);
+  } finally {
+    server.close();
+  }
+}
+
+async function testWildcardUrl() {
+  const receiver = await new HikvisionEventReceiver({ logLevel: 'silent' }).start();
+
+  try {
+    // 监听 0.0.0.0 时必须指定平台可访问的地址
+    assert.throws(() => receiver.url(), { name: 'ParameterError', parameterName: 'host' });
+    assert.strictEqual(receiver.url('10.0.0.5'), `http://10.0.0.5:${receiver.port}/`);
+    assert.strictEqual(receiver.url('fe80::1'), `http://[fe80::1]:${receiver.port}/`);
+  } finally {
+    await receiver.stop();
+  }
+}
+
+const tests = {
+  testSubscriptionLifecycle,
+  testReceiveTypedEvents,
+  testInvalidPushes,
+  testEmbeddedHandler,
+  testWildcardUrl
+};
+
+run(tests, '事件订阅与推送测试通过');
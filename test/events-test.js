@@ -0,0 +1,112 @@
+/**
+ * 生命周期事件测试 - 使用本地HTTP服务，无需连接真实平台
+ */
+const assert = require('assert');
+const http = require('http');
+const { BaseClient } = require('../src/core/baseClient');
+const { run } = require('./runner');
+
+/**
+ * 模拟需要登录的客户端，logins 控制每次登录是否成功
+ */
+class TestClient extends BaseClient {
+  constructor(port, logins = []) {
+    super(
+      { host: '127.0.0.1', port, retry: { baseDelay: 1, maxDelay: 5 } },
+      { vendor: 'test', name: '测试', protocol: 'http', timeout: 2000, userAgent: 'test' }
+    );
+    this.logins = logins;
+  }
+
+  async performLogin() {
+    const success = this.logins.length ? this.logins.shift() : true;
+    return success ? { success: true } : { success: false, msg: '密码错误' };
+  }
+}
+
+/**
+ * 模拟服务，路径为 /fail 时返回 503
+ */
+async function withServer(fn) {
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = req.url === '/fail' ? 503 : 200;
+    res.end('{}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await fn(server.address().port);
+  } finally {
+    server.close();
+  }
+}
+
+function record(client, names) {
+  const events = [];
+  names.forEach((name) => client.on(name, (payload) => events.push({ name, ...payload })));
+  return events;
+}
+
+async function testRequestEvents() {
+  await withServer(async (port) => {
+    const client = new TestClient(port);
+    const events = record(client, ['request', 'response', 'close']);
+
+    await client.get('/ok');
+    await client.close();
+
+    assert.deepStrictEqual(events.map(e => e.name), ['request', 'response', 'close']);
+    const response = events[1];
+    assert.strictEqual(response.vendor, 'test');
+    assert.strictEqual(response.method, 'GET');
+    assert.strictEqual(response.path, '/ok');
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.duration >= 0);
+  });
+}
+
+async function testRetryAndErrorEvents() {
+  await withServer(async (port) => {
+    const client = new TestClient(port);
+    const events = record(client, ['retry', 'error']);
+
+    await assert.rejects(client.get('/fail'), { name: 'ApiError' });
+    assert.deepStrictEqual(events.map(e => e.name), ['retry', 'retry', 'error']);
+    assert.deepStrictEqual(events.slice(0, 2).map(e => e.attempt), [1, 2]);
+    assert.strictEqual(events[2].status, 503);
+    assert.strictEqual(events[2].error.name, 'ApiError');
+    await client.close();
+  });
+}
+
+async function testErrorWithoutListener() {
+  await withServer(async (port) => {
+    const client = new TestClient(port);
+    // 没有 error 监听器时不能因为触发事件而抛出 ERR_UNHANDLED_ERROR
+    await assert.rejects(client.get('/fail', {}, { retry: false }), { name: 'ApiError' });
+    await client.close();
+  });
+}
+
+async function testLoginEvents() {
+  const client = new TestClient(1, [true, false, true]);
+  const events = record(client, ['login', 'loginFailed', 'tokenRefreshed']);
+
+  await client.login();
+  await client.login();
+  await client.login();
+  await client.close();
+
+  assert.deepStrictEqual(events.map(e => e.name), ['login', 'loginFailed', 'login', 'tokenRefreshed']);
+  assert.strictEqual(events[1].message, '密码错误');
+}
+
+const tests = {
+  testRequestEvents,
+  testRetryAndErrorEvents,
+  testErrorWithoutListener,
+  testLoginEvents
+};
+
+run(tests, '生命周期事件测试通过');
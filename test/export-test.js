@@ -0,0 +1,119 @@
+/**
+ * 请求导出测试（curl、HAR）- 使用本地模拟的VIID平台，无需连接真实平台
+ */
+const assert = require('assert');
+const http = require('http');
+const { UniviewClient } = require('../src/vendors/uniview/client');
+const { run } = require('./runner');
+
+const CENSOR = '[REDACTED]';
+
+/**
+ * 模拟VIID两步登录和资源查询
+ */
+async function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/VIID/login') {
+        const loginData = body ? JSON.parse(body) : {};
+        res.end(JSON.stringify(loginData.LoginSignature ? { ErrCode: 0, AccessToken: 'viid-token' } : { AccessCode: 'code-1' }));
+        return;
+      }
+
+      res.end(JSON.stringify({ ErrCode: 0, Result: { InfoList: [], RspPageInfo: { TotalRowNum: 0 } } }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+async function withCapturedSession(fn) {
+  const server = await startServer();
+  const client = new UniviewClient({
+    host: '127.0.0.1',
+    port: server.address().port,
+    username: 'admin',
+    password: 'secret'
+  });
+
+  try {
+    const capture = client.startCapture();
+    await client.queryAllCameras({ pageSize: 10 });
+    await fn(capture, client);
+  } finally {
+    await client.close();
+    server.close();
+  }
+}
+
+async function testHarExport() {
+  await withCapturedSession(async (capture) => {
+    const har = capture.toHar();
+    assert.strictEqual(har.log.version, '1.2');
+    assert.strictEqual(har.log.creator.name, 'security-camera-sdk');
+
+    // 两步登录握手 + 查询
+    const entries = har.log.entries;
+    assert.deepStrictEqual(entries.map(e => `${e.request.method} ${new URL(e.request.url).pathname}`), [
+      'POST /VIID/login',
+      'POST /VIID/login',
+      'GET /VIID/query'
+    ]);
+
+    const login = entries[1];
+    assert.strictEqual(JSON.parse(login.request.postData.text).LoginSignature, CENSOR);
+    assert.strictEqual(JSON.parse(login.response.content.text).AccessToken, CENSOR);
+    assert.strictEqual(login.response.status, 200);
+
+    const query = entries[2];
+    assert.strictEqual(query.request.headers.find(h => h.name === 'Authorization').value, CENSOR);
+    assert.ok(query.request.queryString.some(q => q.name === 'condition'));
+    assert.ok(entries.every(e => typeof e.time === 'number' && e.startedDateTime));
+
+    const raw = capture.toHar({ redact: false });
+    assert.strictEqual(JSON.parse(raw.log.entries[1].response.content.text).AccessToken, 'viid-token');
+  });
+}
+
+async function testCurlExport() {
+  await withCapturedSession(async (capture, client) => {
+    const commands = capture.toCurl().split('\n\n');
+    assert.strictEqual(commands.length, 3);
+    assert.ok(commands[1].startsWith(`curl -X POST '${client.baseURL}/VIID/login'`));
+    assert.ok(commands[1].includes(`"LoginSignature":"${CENSOR}"`));
+    assert.ok(commands[2].includes(`-H 'Authorization: ${CENSOR}'`));
+    assert.ok(!capture.toCurl().includes('viid-token'));
+
+    // 停止记录后不再记录新请求
+    client.stopCapture();
+    await client.queryAllCameras({ pageSize: 10 });
+    assert.strictEqual(capture.entries.length, 3);
+  });
+}
+
+async function testGenerateCurlCommand() {
+  const client = new UniviewClient({ host: '10.0.0.4', username: 'admin', password: 'secret' });
+  const curl = client.generateCurlCommand({
+    method: 'get',
+    url: '/VIID/query',
+    params: { org: 'iccsid' },
+    headers: { Authorization: 'viid-token' }
+  });
+
+  assert.ok(curl.startsWith("curl -X GET 'http://10.0.0.4:80/VIID/query?org=iccsid'"));
+  assert.ok(curl.includes(`Authorization: ${CENSOR}`));
+  await client.close();
+}
+
+const tests = {
+  testHarExport,
+  testCurlExport,
+  testGenerateCurlCommand
+};
+
+run(tests, '请求导出测试通过');
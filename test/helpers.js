@@ -0,0 +1,59 @@
+/**
+ * 测试辅助工具 - 启动进程内模拟平台和对应客户端，查询模拟平台收到的请求
+ */
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { HikvisionMockServer } = require('../src/vendors/hikvision/mockServer');
+
+/**
+ * 启动模拟平台并创建连接它的客户端，执行完毕后关闭两者
+ * @param {Function} MockClass 模拟平台类
+ * @param {Function} ClientClass 客户端类
+ * @param {Function} fn 测试函数 (mock, client) => Promise
+ * @param {Object} options 配置
+ * @param {Object} options.mock 模拟平台配置
+ * @param {Object} options.client 客户端配置，默认关闭重试
+ * @returns {Promise<void>}
+ */
+async function withVendorMock(MockClass, ClientClass, fn, { mock: mockOptions, client: clientOptions } = {}) {
+  const mock = await new MockClass(mockOptions).start();
+  const client = new ClientClass({ ...mock.clientConfig(), retry: false, ...clientOptions });
+
+  try {
+    await fn(mock, client);
+  } finally {
+    await client.close();
+    await mock.stop();
+  }
+}
+
+/**
+ * 使用海康模拟平台和客户端执行测试，参数同 withVendorMock
+ * @param {Function} fn 测试函数 (mock, client) => Promise
+ * @param {Object} options 配置
+ * @returns {Promise<void>}
+ */
+function withMock(fn, options = {}) {
+  return withVendorMock(HikvisionMockServer, HikvisionClient, fn, options);
+}
+
+/**
+ * 模拟平台收到的指定路径的请求
+ * @param {MockServer} mock 模拟平台
+ * @param {string} path 接口路径
+ * @returns {Array<Object>}
+ */
+function requestsTo(mock, path) {
+  return mock.requests.filter((request) => request.path === path);
+}
+
+/**
+ * 模拟平台收到的指定路径的请求数
+ * @param {MockServer} mock 模拟平台
+ * @param {string} path 接口路径
+ * @returns {number}
+ */
+function countRequests(mock, path) {
+  return requestsTo(mock, path).length;
+}
+
+module.exports = { withVendorMock, withMock, requestsTo, countRequests };
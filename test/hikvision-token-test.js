@@ -0,0 +1,130 @@
+/**
+ * 海康 token 认证测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { API_PATHS } = require('../src/vendors/hikvision/api');
+const { MemoryTokenStore } = require('../src/core/tokenStore');
+const { run } = require('./runner');
+const { withMock, requestsTo } = require('./helpers');
+
+/** 各用例默认使用 token 认证 */
+const TOKEN_MODE = { authMode: 'token' };
+
+async function testTokenAcquired() {
+  await withMock(async (mock, client) => {
+    const first = await client.getCameras({ pageSize: 1 });
+    const second = await client.getCameras({ pageSize: 1 });
+    assert.strictEqual(first.code, '0');
+    assert.strictEqual(second.code, '0');
+
+    // token 请求使用签名，业务请求只携带 access-token
+    const [oauth] = requestsTo(mock, API_PATHS.OAUTH_TOKEN);
+    assert.ok(oauth.headers['x-ca-signature']);
+    assert.strictEqual(requestsTo(mock, API_PATHS.OAUTH_TOKEN).length, 1);
+
+    const cameras = requestsTo(mock, API_PATHS.CAMERAS);
+    assert.strictEqual(cameras.length, 2);
+    for (const request of cameras) {
+      assert.strictEqual(request.headers['access-token'], client.accessToken);
+      assert.strictEqual(request.headers['x-ca-signature'], undefined);
+    }
+  }, { client: TOKEN_MODE });
+}
+
+async function testRecoverExpiredToken() {
+  await withMock(async (mock, client) => {
+    await client.login();
+    const oldToken = client.accessToken;
+
+    // 平台侧 token 失效
+    mock.expireTokens();
+    const result = await client.getCameras({ pageSize: 1 });
+    assert.strictEqual(result.code, '0');
+    assert.notStrictEqual(client.accessToken, oldToken);
+    assert.strictEqual(requestsTo(mock, API_PATHS.OAUTH_TOKEN).length, 2);
+
+    // 注入的401同样重新获取一次 token 并重发
+    mock.inject({ path: API_PATHS.CAMERAS, status: 401 });
+    assert.strictEqual((await client.getCameras({ pageSize: 1 })).code, '0');
+    assert.strictEqual(requestsTo(mock, API_PATHS.OAUTH_TOKEN).length, 3);
+  }, { client: TOKEN_MODE });
+}
+
+async function testRefreshBeforeExpiry() {
+  await withMock(async (mock, client) => {
+    await client.login();
+    assert.ok(client.tokenExpiresAt > Date.now());
+
+    // 过期时间已到，请求前主动获取新 token
+    client.tokenExpiresAt = Date.now() - 1;
+    await client.saveToken({ accessToken: client.accessToken, expiresAt: client.tokenExpiresAt });
+    assert.strictEqual(client.isAuthenticated(), false);
+    await client.getCameras({ pageSize: 1 });
+    assert.strictEqual(requestsTo(mock, API_PATHS.OAUTH_TOKEN).length, 2);
+    assert.strictEqual(requestsTo(mock, API_PATHS.CAMERAS).length, 1);
+  }, { client: TOKEN_MODE });
+}
+
+async function testTokenStoreReuse() {
+  const tokenStore = new MemoryTokenStore();
+
+  await withMock(async (mock, client) => {
+    await client.getCameras({ pageSize: 1 });
+
+    // 同一应用的新客户端复用存储中的 token
+    const other = new HikvisionClient({ ...mock.clientConfig(), authMode: 'token', retry: false, tokenStore });
+    try {
+      await other.getCameras({ pageSize: 1 });
+      assert.strictEqual(other.accessToken, client.accessToken);
+      assert.strictEqual(requestsTo(mock, API_PATHS.OAUTH_TOKEN).length, 1);
+    } finally {
+      await other.close();
+    }
+  }, { client: { ...TOKEN_MODE, tokenStore } });
+}
+
+async function testSignatureModeUnchanged() {
+  await withMock(async (mock, client) => {
+    assert.strictEqual(client.authMode, 'signature');
+    assert.strictEqual(client.isAuthenticated(), true);
+
+    await client.getCameras({ pageSize: 1 });
+    assert.strictEqual(requestsTo(mock, API_PATHS.OAUTH_TOKEN).length, 0);
+    assert.ok(mock.requests[0].headers['x-ca-signature']);
+    assert.strictEqual(mock.requests[0].headers['access-token'], undefined);
+  });
+
+  assert.throws(
+    () => new HikvisionClient({ host: '127.0.0.1', appKey: 'key', appSecret: 'secret', authMode: 'basic' }),
+    /不支持的authMode/
+  );
+}
+
+async function testConcurrencyLimit() {
+  await withMock(async (mock, client) => {
+    // 获取 token 由已占用并发名额的请求触发，不能再排队等待名额
+    const timeout = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error('请求未在限定时间内完成')), 2000).unref();
+    });
+    const results = await Promise.race([
+      Promise.all([client.getCameras({ pageSize: 1 }), client.getCameras({ pageSize: 1 })]),
+      timeout
+    ]);
+
+    assert.deepStrictEqual(results.map((result) => result.code), ['0', '0']);
+    assert.strictEqual(requestsTo(mock, API_PATHS.OAUTH_TOKEN).length, 1);
+    assert.ok(requestsTo(mock, API_PATHS.OAUTH_TOKEN)[0].headers['x-ca-signature']);
+  }, { client: { ...TOKEN_MODE, rateLimit: { maxConcurrent: 1 } } });
+}
+
+const tests = {
+  testTokenAcquired,
+  testRecoverExpiredToken,
+  testRefreshBeforeExpiry,
+  testTokenStoreReuse,
+  testSignatureModeUnchanged,
+  testConcurrencyLimit
+};
+
+run(tests, '海康token认证测试通过');
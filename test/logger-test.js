@@ -0,0 +1,101 @@
+/**
+ * 日志测试 - 无需连接真实平台
+ */
+const assert = require('assert');
+const { Logger, LoggerAdapter, createLogger } = require('../src/utils/logger');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { run } = require('./runner');
+
+function memoryDestination() {
+  const lines = [];
+  return { lines, write: (line) => lines.push(line) };
+}
+
+async function testJsonFormat() {
+  const destination = memoryDestination();
+  const logger = new Logger({ level: 'info', format: 'json', destination }).child({ vendor: 'dahua', host: '10.0.0.1' });
+
+  logger.info('登录成功', { user: 'admin', nested: { a: 1 } });
+  logger.error('请求失败', new Error('超时'));
+
+  assert.strictEqual(destination.lines.length, 2);
+  assert.ok(destination.lines.every(line => line.endsWith('\n') && line.indexOf('\n') === line.length - 1));
+
+  const entry = JSON.parse(destination.lines[0]);
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, '登录成功');
+  assert.strictEqual(entry.vendor, 'dahua');
+  assert.strictEqual(entry.host, '10.0.0.1');
+  assert.deepStrictEqual(entry.data, { user: 'admin', nested: { a: 1 } });
+  assert.strictEqual(JSON.parse(destination.lines[1]).err.message, '超时');
+}
+
+async function testLevels() {
+  const destination = memoryDestination();
+  const logger = new Logger({ level: 'warn', destination });
+
+  logger.debug('d');
+  logger.info('i');
+  logger.warn('w');
+  logger.error('e');
+
+  assert.strictEqual(destination.lines.length, 2);
+  assert.ok(destination.lines[0].startsWith('[WARN '));
+  assert.strictEqual(new Logger(true).level, 'debug');
+  assert.strictEqual(new Logger().level, 'info');
+  assert.ok(!new Logger({ level: 'silent' }).isLevelEnabled('error'));
+}
+
+async function testPinoStyleAdapter() {
+  const calls = [];
+  const pino = {
+    bindings: () => ({}),
+    info: (...args) => calls.push(args),
+    child: (bindings) => ({ ...pino, info: (...args) => calls.push([bindings, ...args]) })
+  };
+
+  const logger = createLogger({ logger: pino }).child({ vendor: 'uniview' });
+  logger.info('保活成功', { ok: true });
+  logger.debug('调试');
+
+  assert.deepStrictEqual(calls[0], [{ vendor: 'uniview' }, { data: { ok: true } }, '保活成功']);
+  // 没有 debug 方法时退化为 info
+  assert.deepStrictEqual(calls[1], [{ vendor: 'uniview' }, '调试']);
+}
+
+async function testWinstonStyleAdapter() {
+  const calls = [];
+  const winston = { warn: (...args) => calls.push(args) };
+  const logger = new LoggerAdapter(winston);
+
+  logger.warn('写入失败', { path: '/tmp' });
+  assert.deepStrictEqual(calls[0], ['写入失败', { data: { path: '/tmp' } }]);
+  assert.strictEqual(logger.child({ a: 1 }), logger);
+}
+
+async function testClientInjection() {
+  const destination = memoryDestination();
+  const client = new HikvisionClient({
+    host: '10.0.0.2',
+    appKey: 'key',
+    appSecret: 'secret',
+    logger: new Logger({ format: 'json', destination })
+  });
+
+  client.logger.info('自定义日志');
+  const entry = JSON.parse(destination.lines[0]);
+  assert.strictEqual(entry.vendor, 'hikvision');
+  assert.strictEqual(entry.host, '10.0.0.2');
+  assert.strictEqual(client.auth.logger, client.logger);
+  await client.close();
+}
+
+const tests = {
+  testJsonFormat,
+  testLevels,
+  testPinoStyleAdapter,
+  testWinstonStyleAdapter,
+  testClientInjection
+};
+
+run(tests, '日志测试通过');
@@ -0,0 +1,153 @@
+/**
+ * 模拟平台集成测试 - 客户端对接进程内的 Artemis、ICC、VIID 模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const { createClient } = require('../src/platform/createClient');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { DahuaClient } = require('../src/vendors/dahua/client');
+const { UniviewClient } = require('../src/vendors/uniview/client');
+const { HikvisionMockServer } = require('../src/vendors/hikvision/mockServer');
+const { DahuaMockServer } = require('../src/vendors/dahua/mockServer');
+const { UniviewMockServer } = require('../src/vendors/uniview/mockServer');
+const { API_PATHS: HIKVISION_PATHS } = require('../src/vendors/hikvision/api');
+const { API_PATHS: DAHUA_PATHS } = require('../src/vendors/dahua/api');
+const { API_PATHS: UNIVIEW_PATHS } = require('../src/vendors/uniview/api');
+const { run } = require('./runner');
+const { withVendorMock, countRequests } = require('./helpers');
+
+async function testHikvisionSignedRequests() {
+  await withVendorMock(HikvisionMockServer, HikvisionClient, async (mock, client) => {
+    const cameras = await client.iterate('cameras', {}, { pageSize: 2 }).toArray();
+    assert.deepStrictEqual(cameras.map(c => c.cameraIndexCode), ['camera0001', 'camera0002', 'camera0003']);
+    assert.strictEqual(countRequests(mock, HIKVISION_PATHS.CAMERAS), 2);
+
+    const preview = await client.getCameraPreviewUrl({ cameraIndexCode: 'camera0002' });
+    assert.strictEqual(preview.data.url, `rtsp://127.0.0.1:554/openUrl/camera0002`);
+
+    await client.addPerson({ personName: '张三', orgIndexCode: 'org0000001' });
+    const persons = await client.getPersons();
+    assert.strictEqual(persons.data.list[0].personName, '张三');
+
+    // 业务错误码
+    mock.inject({ path: HIKVISION_PATHS.CAMERA_PREVIEW_URLS, code: '0x02401003', message: '码流类型错误' });
+    await assert.rejects(
+      client.getCameraPreviewUrl({ cameraIndexCode: 'camera0001' }),
+      (error) => error.name === 'InvalidParameterError' && error.message.includes('码流类型错误')
+    );
+  });
+
+  // 签名密钥错误时网关拒绝请求
+  await withVendorMock(HikvisionMockServer, HikvisionClient, async (mock, client) => {
+    await assert.rejects(client.getCameras(), (error) => error.name === 'AuthError');
+  }, { client: { appSecret: 'wrong-secret' } });
+}
+
+async function testDahuaTokenFlow() {
+  await withVendorMock(DahuaMockServer, DahuaClient, async (mock, client) => {
+    const page = await client.getDevicesPage({ pageNum: 2, pageSize: 1 });
+    assert.strictEqual(page.data.totalRows, 2);
+    assert.strictEqual(page.data.pageData[0].deviceCode, '1000002');
+
+    const orgs = await client.getAllOrganizations();
+    assert.strictEqual(orgs.length, 2);
+
+    // token 过期后自动重新登录
+    mock.expireTokens();
+    await client.getDevicesPage();
+    assert.strictEqual(countRequests(mock, DAHUA_PATHS.ACCESS_TOKEN), 2);
+
+    // 注入 401 同样触发重新登录
+    mock.inject({ path: DAHUA_PATHS.DEVICES_PAGE, status: 401 });
+    await client.getDevicesPage();
+    assert.strictEqual(countRequests(mock, DAHUA_PATHS.ACCESS_TOKEN), 3);
+  });
+
+  // 密码错误
+  await withVendorMock(DahuaMockServer, DahuaClient, async (mock, client) => {
+    const result = await client.login();
+    assert.strictEqual(result.success, false);
+    assert.ok(result.msg.includes('用户名或密码错误'));
+  }, { client: { password: 'wrong' } });
+}
+
+async function testUniviewLoginAndFaults() {
+  await withVendorMock(UniviewMockServer, UniviewClient, async (mock, client) => {
+    const cameras = await client.queryAllCameras({ pageSize: 2 });
+    assert.strictEqual(cameras.Result.InfoList.length, 3);
+    assert.strictEqual(countRequests(mock, UNIVIEW_PATHS.QUERY_RESOURCES), 2);
+
+    const orgs = await client.queryAllOrgs({ org: 'org_floor_2' });
+    assert.deepStrictEqual(orgs.Result.InfoList.map(o => o.OrgInfo.OrgCode), ['org_floor_2']);
+
+    assert.strictEqual(await client.keepTokenAlive(), true);
+
+    // 超时
+    mock.inject({ path: UNIVIEW_PATHS.QUERY_RESOURCES, timeout: true });
+    await assert.rejects(client.queryAllCameras(), (error) => error.name === 'TimeoutError' && error.timeout === 200);
+
+    // 连接被重置
+    mock.inject({ path: UNIVIEW_PATHS.QUERY_RESOURCES, reset: true });
+    await assert.rejects(client.queryAllCameras(), (error) => error.name === 'NetworkError');
+
+    // token 失效后重新两步登录
+    mock.expireTokens();
+    await client.queryAllCameras();
+    assert.strictEqual(countRequests(mock, UNIVIEW_PATHS.LOGIN), 4);
+  }, { client: { timeout: 200 } });
+}
+
+async function testRetryAgainstMock() {
+  await withVendorMock(DahuaMockServer, DahuaClient, async (mock, client) => {
+    mock.inject({ path: DAHUA_PATHS.DEVICES_PAGE, status: 503, times: 2 });
+    const page = await client.getDevicesPage();
+    assert.strictEqual(page.success, true);
+    assert.strictEqual(countRequests(mock, DAHUA_PATHS.DEVICES_PAGE), 3);
+  }, { client: { retry: { baseDelay: 1, jitter: 'none' } } });
+}
+
+async function testUnifiedAdapters() {
+  const vendors = {
+    hikvision: HikvisionMockServer,
+    dahua: DahuaMockServer,
+    uniview: UniviewMockServer
+  };
+
+  for (const [vendor, MockClass] of Object.entries(vendors)) {
+    const mock = await new MockClass().start();
+    const platform = createClient({ vendor, ...mock.clientConfig() });
+
+    try {
+      const cameras = await platform.listCameras();
+      assert.strictEqual(cameras.length, 3, vendor);
+      assert.ok(cameras.every(camera => camera.vendor === vendor && camera.id));
+    } finally {
+      await platform.close();
+      await mock.stop();
+    }
+  }
+}
+
+async function testInternalErrors() {
+  await withVendorMock(HikvisionMockServer, HikvisionClient, async (mock, client) => {
+    // 路由之外的环节（如认证）出错时返回500，不会一直挂起
+    mock.authenticate = () => {
+      throw new Error('认证模块异常');
+    };
+    await assert.rejects(client.getCameras(), (error) => {
+      assert.strictEqual(error.statusCode, 500);
+      assert.ok(JSON.stringify(error.responseData).includes('认证模块异常'));
+      return true;
+    });
+  }, { client: { timeout: 2000 } });
+}
+
+const tests = {
+  testHikvisionSignedRequests,
+  testDahuaTokenFlow,
+  testUniviewLoginAndFaults,
+  testRetryAgainstMock,
+  testUnifiedAdapters,
+  testInternalErrors
+};
+
+run(tests, '模拟平台集成测试通过');
@@ -0,0 +1,95 @@
+/**
+ * 统一摄像头模型测试 - 使用各厂商的示例返回数据，无需连接真实平台
+ */
+const assert = require('assert');
+const { normalizeCameras } = require('../src/platform/normalize');
+const { run } = require('./runner');
+
+const hikvisionFixture = require('./fixtures/hikvision-cameras.json');
+const dahuaFixture = require('./fixtures/dahua-devices.json');
+const univiewFixture = require('./fixtures/uniview-cameras.json');
+
+const CAMERA_KEYS = ['id', 'name', 'vendor', 'online', 'orgId', 'ip', 'channel', 'raw'];
+
+function assertCameraShape(camera) {
+  assert.deepStrictEqual(Object.keys(camera).sort(), [...CAMERA_KEYS].sort());
+}
+
+function testHikvision() {
+  const items = hikvisionFixture.data.list;
+  const cameras = normalizeCameras('hikvision', items);
+
+  assert.strictEqual(cameras.length, 2);
+  cameras.forEach(assertCameraShape);
+  assert.deepStrictEqual(cameras[0], {
+    id: 'a10cafaa777c49a5af92c165c95970e0',
+    name: '1号门入口',
+    vendor: 'hikvision',
+    online: true,
+    orgId: 'd9b6b1c2a3e44f5a8b7c6d5e4f3a2b1c',
+    ip: null,
+    channel: 1,
+    raw: items[0]
+  });
+  assert.strictEqual(cameras[1].online, false);
+  assert.strictEqual(cameras[1].channel, 2);
+}
+
+function testDahua() {
+  const devices = dahuaFixture.data.pageData;
+  const cameras = normalizeCameras('dahua', devices);
+
+  // 第一台设备有两个通道，第二台设备没有通道信息
+  assert.strictEqual(cameras.length, 3);
+  cameras.forEach(assertCameraShape);
+  assert.deepStrictEqual(cameras[0], {
+    id: '1000001$1$0$0',
+    name: '东门入口',
+    vendor: 'dahua',
+    online: true,
+    orgId: '001001',
+    ip: '192.168.1.64',
+    channel: 0,
+    raw: devices[0].units[0].channels[0]
+  });
+  assert.strictEqual(cameras[1].online, false);
+  assert.strictEqual(cameras[1].channel, 1);
+  assert.deepStrictEqual(cameras[2], {
+    id: '1000002',
+    name: '仓库IPC',
+    vendor: 'dahua',
+    online: false,
+    orgId: '001002',
+    ip: '192.168.1.65',
+    channel: null,
+    raw: devices[1]
+  });
+}
+
+function testUniview() {
+  const items = univiewFixture.Result.InfoList;
+  const cameras = normalizeCameras('uniview', items);
+
+  assert.strictEqual(cameras.length, 2);
+  cameras.forEach(assertCameraShape);
+  assert.deepStrictEqual(cameras[0], {
+    id: 'iccsid_camera_001',
+    name: '大厅球机',
+    vendor: 'uniview',
+    online: true,
+    orgId: 'iccsid',
+    ip: null,
+    channel: null,
+    raw: items[0]
+  });
+  assert.strictEqual(cameras[1].online, false);
+  assert.strictEqual(cameras[1].orgId, 'org_floor_2');
+}
+
+function testUnknownVendor() {
+  assert.throws(() => normalizeCameras('axis', []), { name: 'ParameterError' });
+}
+
+const tests = { testHikvision, testDahua, testUniview, testUnknownVendor };
+
+run(tests, '统一摄像头模型测试通过');
@@ -0,0 +1,28 @@
+/**
+ * 离线测试入口 - 逐个运行 test 目录下的 *-test.js，无需连接真实平台
+ * 每个测试文件在单独的进程中运行，互不影响
+ */
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// 需要连接真实平台的测试
+const LIVE_TESTS = ['simple-test.js'];
+
+const files = fs
+  .readdirSync(__dirname)
+  .filter((file) => file.endsWith('-test.js') && !LIVE_TESTS.includes(file))
+  .sort();
+
+const failed = files.filter((file) => {
+  console.log(`\n# ${file}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+  return result.status !== 0;
+});
+
+if (failed.length > 0) {
+  console.error(`\n${failed.length}/${files.length} 个测试文件失败: ${failed.join(', ')}`);
+  process.exit(1);
+}
+
+console.log(`\n${files.length} 个测试文件全部通过`);
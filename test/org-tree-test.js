@@ -0,0 +1,83 @@
+/**
+ * 组织树测试 - 使用各厂商的示例返回数据，无需连接真实平台
+ */
+const assert = require('assert');
+const { normalizeCameras, normalizeOrganizations } = require('../src/platform/normalize');
+const { buildOrganizationTree } = require('../src/platform/orgTree');
+const { run } = require('./runner');
+
+const univiewCameras = require('./fixtures/uniview-cameras.json');
+
+// 宇视组织查询返回的 OrgInfo 结构
+const univiewOrgs = [
+  { OrgInfo: { OrgCode: 'iccsid', OrgName: '根组织', ParentCode: '' } },
+  { OrgInfo: { OrgCode: 'org_building_a', OrgName: 'A栋', ParentCode: 'iccsid' } },
+  { OrgInfo: { OrgCode: 'org_floor_2', OrgName: '二楼', ParentCode: 'org_building_a' } },
+  { OrgInfo: { OrgCode: 'org_floor_3', OrgName: '三楼', ParentCode: 'org_building_a' } }
+];
+
+function buildTree() {
+  return buildOrganizationTree(
+    normalizeOrganizations('uniview', univiewOrgs),
+    normalizeCameras('uniview', univiewCameras.Result.InfoList)
+  );
+}
+
+function testStructure() {
+  const tree = buildTree();
+
+  assert.strictEqual(tree.roots.length, 1);
+  assert.strictEqual(tree.roots[0].id, 'iccsid');
+  assert.deepStrictEqual(tree.findNode('org_building_a').children.map(n => n.id), ['org_floor_2', 'org_floor_3']);
+  assert.strictEqual(tree.findNode('org_floor_2').parent.id, 'org_building_a');
+  assert.strictEqual(tree.findNode('missing'), null);
+
+  // parent 不可枚举，序列化不会出现循环引用
+  assert.doesNotThrow(() => JSON.stringify(tree.roots));
+}
+
+function testCameras() {
+  const tree = buildTree();
+
+  assert.deepStrictEqual(tree.findNode('iccsid').cameras.map(c => c.id), ['iccsid_camera_001']);
+  assert.deepStrictEqual(tree.findNode('org_floor_2').cameras.map(c => c.id), ['iccsid_camera_002']);
+  assert.deepStrictEqual(tree.camerasUnder('org_building_a').map(c => c.id), ['iccsid_camera_002']);
+  assert.strictEqual(tree.camerasUnder('iccsid').length, 2);
+  assert.strictEqual(tree.unassignedCameras.length, 0);
+}
+
+function testLookups() {
+  const tree = buildTree();
+
+  assert.deepStrictEqual(tree.pathTo('org_floor_2').map(n => n.id), ['iccsid', 'org_building_a', 'org_floor_2']);
+  assert.deepStrictEqual(tree.pathTo('missing'), []);
+  assert.deepStrictEqual(tree.descendantsOf('iccsid').map(n => n.id), ['org_building_a', 'org_floor_2', 'org_floor_3']);
+  assert.deepStrictEqual(tree.descendantsOf('org_floor_3'), []);
+}
+
+function testBrokenData() {
+  // 上级缺失的组织作为根节点，互为上级的组织不会形成环
+  const tree = buildOrganizationTree([
+    { id: 'a', name: 'A', parentId: 'b' },
+    { id: 'b', name: 'B', parentId: 'a' },
+    { id: 'c', name: 'C', parentId: 'unknown' }
+  ], [{ id: 'cam', orgId: 'nowhere' }]);
+
+  assert.deepStrictEqual(tree.roots.map(n => n.id).sort(), ['b', 'c']);
+  assert.deepStrictEqual(tree.pathTo('a').map(n => n.id), ['b', 'a']);
+  assert.deepStrictEqual(tree.unassignedCameras.map(c => c.id), ['cam']);
+}
+
+function testHikvisionRegions() {
+  const orgs = normalizeOrganizations('hikvision', [
+    { indexCode: 'root000000', name: '根节点', parentIndexCode: '-1' },
+    { indexCode: 'd9b6b1c2a3e44f5a8b7c6d5e4f3a2b1c', name: '园区', parentIndexCode: 'root000000' }
+  ]);
+
+  assert.strictEqual(orgs[0].parentId, null);
+  assert.strictEqual(orgs[1].parentId, 'root000000');
+}
+
+const tests = { testStructure, testCameras, testLookups, testBrokenData, testHikvisionRegions };
+
+run(tests, '组织树测试通过');
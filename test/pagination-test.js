@@ -0,0 +1,147 @@
+/**
+ * 分页迭代测试 - 使用模拟的分页接口，无需连接真实平台
+ */
+const assert = require('assert');
+const { PageIterator } = require('../src/utils/pagination');
+const { HikvisionAPI } = require('../src/vendors/hikvision/api');
+const { DahuaAPI } = require('../src/vendors/dahua/api');
+const { UniviewAPI } = require('../src/vendors/uniview/api');
+const { run } = require('./runner');
+
+const TOTAL = 25;
+const ALL_ITEMS = Array.from({ length: TOTAL }, (_, i) => i);
+
+function createFetchPage(calls = []) {
+  return async (pageIndex, pageSize) => {
+    calls.push(pageIndex);
+    const start = pageIndex * pageSize;
+    return { items: ALL_ITEMS.slice(start, start + pageSize), total: TOTAL };
+  };
+}
+
+async function testIterateAll() {
+  const calls = [];
+  const items = [];
+  for await (const item of new PageIterator(createFetchPage(calls), { pageSize: 10 })) {
+    items.push(item);
+  }
+
+  assert.deepStrictEqual(items, ALL_ITEMS);
+  assert.deepStrictEqual(calls, [0, 1, 2]);
+}
+
+async function testEarlyBreakAndResume() {
+  const calls = [];
+  const iterator = new PageIterator(createFetchPage(calls), { pageSize: 10 });
+  const first = [];
+  for await (const item of iterator) {
+    first.push(item);
+    if (item === 12) break;
+  }
+
+  // 中途退出不会继续拉取后续页
+  assert.deepStrictEqual(calls, [0, 1]);
+  assert.ok(iterator.cursor);
+
+  const resumed = new PageIterator(createFetchPage(), { cursor: iterator.cursor });
+  const rest = await resumed.toArray();
+
+  assert.deepStrictEqual([...first, ...rest], ALL_ITEMS);
+  assert.strictEqual(resumed.cursor, null);
+}
+
+async function testBreakAtPageBoundary() {
+  const iterator = new PageIterator(createFetchPage(), { pageSize: 5 });
+  for await (const item of iterator) {
+    if (item === 4) break;
+  }
+
+  const rest = await new PageIterator(createFetchPage(), { cursor: iterator.cursor }).toArray();
+  assert.deepStrictEqual(rest, ALL_ITEMS.slice(5));
+}
+
+async function testWithoutTotal() {
+  const iterator = new PageIterator(async (pageIndex, pageSize) => ({
+    items: ALL_ITEMS.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize)
+  }), { pageSize: 10 });
+
+  assert.deepStrictEqual(await iterator.toArray(), ALL_ITEMS);
+}
+
+async function testInvalidCursor() {
+  assert.throws(() => new PageIterator(createFetchPage(), { cursor: 'not-a-cursor' }), { name: 'ParameterError' });
+}
+
+async function testHikvisionIterate() {
+  const requests = [];
+  const client = {
+    post: async (path, params) => {
+      requests.push(params);
+      const start = (params.pageNo - 1) * params.pageSize;
+      return { data: { code: '0', data: { total: TOTAL, list: ALL_ITEMS.slice(start, start + params.pageSize) } } };
+    }
+  };
+  const api = new HikvisionAPI(client);
+
+  const items = await api.iterate('cameras', { regionIndexCode: 'r1' }, { pageSize: 10 }).toArray();
+  assert.deepStrictEqual(items, ALL_ITEMS);
+  assert.deepStrictEqual(requests.map(r => r.pageNo), [1, 2, 3]);
+  assert.strictEqual(requests[0].regionIndexCode, 'r1');
+  assert.throws(() => api.iterate('unknown'), { name: 'ParameterError' });
+}
+
+async function testDahuaIterate() {
+  const client = {
+    get: async (path, params) => {
+      const start = (params.pageNum - 1) * params.pageSize;
+      return { data: { success: true, data: { totalRows: TOTAL, pageData: ALL_ITEMS.slice(start, start + params.pageSize) } } };
+    }
+  };
+  const api = new DahuaAPI(client);
+
+  const orgs = [];
+  for await (const org of api.iterate('organizations', {}, { pageSize: 10 })) {
+    orgs.push(org);
+  }
+  assert.deepStrictEqual(orgs, ALL_ITEMS);
+}
+
+async function testUniviewIterate() {
+  const conditions = [];
+  const client = {
+    defaultOrg: 'iccsid',
+    get: async (path, params) => {
+      const condition = JSON.parse(params.condition);
+      conditions.push(condition);
+      const start = condition.PageFirstRowNumber;
+      return {
+        data: {
+          ErrCode: 0,
+          Result: {
+            InfoList: ALL_ITEMS.slice(start, start + condition.PageRowNum),
+            RspPageInfo: { TotalRowNum: TOTAL }
+          }
+        }
+      };
+    }
+  };
+  const api = new UniviewAPI(client);
+
+  const result = await api.queryAllCameras({ pageSize: 10 });
+  assert.deepStrictEqual(result.Result.InfoList, ALL_ITEMS);
+  assert.deepStrictEqual(conditions.map(c => c.PageFirstRowNumber), [0, 10, 20]);
+  assert.strictEqual(conditions[0].Condition[0].QueryData, '1001');
+}
+
+const tests = {
+  testIterateAll,
+  testEarlyBreakAndResume,
+  testBreakAtPageBoundary,
+  testWithoutTotal,
+  testInvalidCursor,
+  testHikvisionIterate,
+  testDahuaIterate,
+  testUniviewIterate
+};
+
+run(tests, '分页迭代测试通过');
@@ -0,0 +1,168 @@
+/**
+ * 海康人员与人脸管理测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { API_PATHS } = require('../src/vendors/hikvision/api');
+const { detectImageFormat, loadImage } = require('../src/utils/image');
+const { run } = require('./runner');
+const { withMock, requestsTo } = require('./helpers');
+
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(1024, 1), Buffer.from([0xff, 0xd9])]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+async function testUpdateAndDelete() {
+  await withMock(async (mock, client) => {
+    const added = await client.addPerson({ personName: '张三', orgIndexCode: 'root000000' });
+    const personId = added.data;
+
+    await client.updatePerson({ personId, phoneNo: '13800000000' });
+    assert.strictEqual(mock.data.persons[0].phoneNo, '13800000000');
+    assert.strictEqual(mock.data.persons[0].personName, '张三');
+
+    await assert.rejects(client.updatePerson({ personName: '李四' }), { name: 'ParameterError', parameterName: 'personId' });
+    await assert.rejects(client.updatePerson({ personId: 'missing' }), { name: 'NotFoundError' });
+
+    // 返回删除失败的人员
+    const result = await client.deletePersons([personId, 'missing']);
+    assert.deepStrictEqual(result.data.map((item) => item.personId), ['missing']);
+    assert.strictEqual(mock.data.persons.length, 0);
+
+    await assert.rejects(client.deletePersons([]), { name: 'ParameterError' });
+  });
+}
+
+async function testBatchAddReport() {
+  await withMock(async (mock, client) => {
+    await client.addPerson({ personName: '已存在' });
+
+    const report = await client.batchAddPersons(
+      [
+        { personName: '员工1', orgIndexCode: 'root000000' },
+        { orgIndexCode: 'root000000' },
+        { personName: '已存在' },
+        { personName: '员工2' },
+        { personName: '员工3' }
+      ],
+      { batchSize: 2 }
+    );
+
+    assert.strictEqual(report.total, 5);
+    assert.strictEqual(report.succeeded, 3);
+    assert.strictEqual(report.failed, 2);
+    assert.deepStrictEqual(report.results.map((row) => [row.index, row.success]), [
+      [0, true],
+      [1, false],
+      [2, false],
+      [3, true],
+      [4, true]
+    ]);
+    assert.strictEqual(report.results[1].message, '人员姓名不能为空');
+    assert.strictEqual(report.results[2].message, '人员已存在');
+    assert.ok(report.results[0].personId);
+
+    // 缺少姓名的行不发送，4行分2批
+    const batches = requestsTo(mock, API_PATHS.PERSON_BATCH_ADD);
+    assert.deepStrictEqual(batches.map((request) => request.body.map((row) => row.clientId)), [[0, 2], [3, 4]]);
+  });
+}
+
+async function testBatchAddRequestFailure() {
+  await withMock(async (mock, client) => {
+    // 第一批请求失败，第二批继续
+    mock.inject({ path: API_PATHS.PERSON_BATCH_ADD, status: 500 });
+    const report = await client.batchAddPersons([{ personName: 'a' }, { personName: 'b' }, { personName: 'c' }], { batchSize: 2 });
+
+    assert.deepStrictEqual(report.results.map((row) => row.success), [false, false, true]);
+    assert.strictEqual(report.failed, 2);
+    assert.ok(report.results[0].message);
+
+    await assert.rejects(client.batchAddPersons([]), { name: 'ParameterError' });
+
+    // 平台结果中缺少的行同样有结果
+    mock.inject({
+      path: API_PATHS.PERSON_BATCH_ADD,
+      body: { code: '0', msg: 'success', data: { successes: [{ clientId: 0, personId: 'p0' }], failures: [] } }
+    });
+    const partial = await client.batchAddPersons([{ personName: 'd' }, { personName: 'e' }]);
+    assert.deepStrictEqual(partial.results, [
+      { index: 0, success: true, personId: 'p0' },
+      { index: 1, success: false, code: null, message: '平台未返回结果' }
+    ]);
+    assert.strictEqual(partial.failed, 1);
+  });
+}
+
+async function testFaceLifecycle() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'person-test-'));
+  const filePath = path.join(dir, 'face.jpg');
+  fs.writeFileSync(filePath, JPEG);
+
+  try {
+    await withMock(async (mock, client) => {
+      const { data: personId } = await client.addPerson({ personName: '王五' });
+
+      // Buffer、文件路径、base64 和 data URI 都可以
+      const added = await client.addFace({ personId, image: JPEG });
+      const { faceId, faceUrl } = added.data;
+      assert.ok(faceId);
+      assert.ok(faceUrl);
+      assert.strictEqual(requestsTo(mock, API_PATHS.FACE_ADD)[0].body.faceData, JPEG.toString('base64'));
+
+      const pictures = await client.getFacePictures({ personId });
+      assert.deepStrictEqual(pictures.data.list, [{ faceId, personId, faceUrl }]);
+
+      await client.updateFace({ faceId, image: filePath });
+      await client.updateFace({ faceId, image: JPEG.toString('base64') });
+      await client.updateFace({ faceId, image: `data:image/jpeg;base64,${JPEG.toString('base64')}` });
+      assert.strictEqual(requestsTo(mock, API_PATHS.FACE_UPDATE).length, 3);
+
+      await client.deleteFace({ faceId });
+      assert.strictEqual(mock.data.facePictures.length, 0);
+      await assert.rejects(client.deleteFace({ faceId }), { name: 'NotFoundError' });
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testFaceValidation() {
+  await withMock(async (mock, client) => {
+    const { data: personId } = await client.addPerson({ personName: '赵六' });
+    const tooLarge = Buffer.concat([JPEG.subarray(0, 4), Buffer.alloc(200 * 1024)]);
+
+    await assert.rejects(client.addFace({ personId, image: PNG }), /不支持的图片格式: png/);
+    await assert.rejects(client.addFace({ personId, image: tooLarge }), /超出范围/);
+    await assert.rejects(client.addFace({ personId, image: '/no/such/face.jpg' }), /图片文件不存在/);
+    await assert.rejects(client.addFace({ personId }), { name: 'ParameterError', parameterName: 'image' });
+    await assert.rejects(client.addFace({ image: JPEG }), { parameterName: 'personId' });
+    await assert.rejects(client.updateFace({ image: JPEG }), { parameterName: 'faceId' });
+
+    // 校验失败时不发送请求
+    assert.strictEqual(requestsTo(mock, API_PATHS.FACE_ADD).length, 0);
+  });
+}
+
+async function testImageUtils() {
+  assert.strictEqual(detectImageFormat(JPEG), 'jpeg');
+  assert.strictEqual(detectImageFormat(PNG), 'png');
+  assert.strictEqual(detectImageFormat(Buffer.from('GIF89a')), null);
+
+  const image = await loadImage(PNG.toString('base64'), { maxSize: 100 });
+  assert.strictEqual(image.format, 'png');
+  assert.strictEqual(image.size, PNG.length);
+  await assert.rejects(loadImage(JPEG, { minSize: 2048 }), { name: 'ParameterError' });
+}
+
+const tests = {
+  testUpdateAndDelete,
+  testBatchAddReport,
+  testBatchAddRequestFailure,
+  testFaceLifecycle,
+  testFaceValidation,
+  testImageUtils
+};
+
+run(tests, '人员与人脸管理测试通过');
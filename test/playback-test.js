@@ -0,0 +1,158 @@
+/**
+ * 海康录像回放与录像片段查询测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const { HikvisionAdapter } = require('../src/vendors/hikvision/adapter');
+const { API_PATHS, parseRecordingSegments } = require('../src/vendors/hikvision/api');
+const { Utils } = require('../src/utils/logger');
+const { run } = require('./runner');
+const { withMock, requestsTo } = require('./helpers');
+
+const DAY = Date.parse('2026-10-19T00:00:00+08:00');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * camera0001 当天 0-5 点每小时一段中心录像，另有一段设备录像
+ */
+function recordings() {
+  const list = [0, 1, 2, 3, 4].map((hour) => ({
+    cameraIndexCode: 'camera0001',
+    recordLocation: '0',
+    beginTime: Utils.formatIsoDateTime(DAY + hour * HOUR),
+    endTime: Utils.formatIsoDateTime(DAY + (hour + 1) * HOUR),
+    size: 1024 * (hour + 1)
+  }));
+
+  list.push({
+    cameraIndexCode: 'camera0001',
+    recordLocation: '1',
+    beginTime: Utils.formatIsoDateTime(DAY + 8 * HOUR),
+    endTime: Utils.formatIsoDateTime(DAY + 9 * HOUR),
+    size: 2048,
+    lockType: 1
+  });
+
+  return list;
+}
+
+/**
+ * 带录像数据的模拟平台配置
+ */
+function withRecordings(mockOptions = {}) {
+  return { mock: { data: { recordings: recordings() }, ...mockOptions } };
+}
+
+function playbackRequests(mock) {
+  return requestsTo(mock, API_PATHS.CAMERA_PLAYBACK_URLS);
+}
+
+async function testPlaybackUrl() {
+  await withMock(async (mock, client) => {
+    const result = await client.getPlaybackUrl({
+      cameraIndexCode: 'camera0001',
+      beginTime: new Date(DAY),
+      endTime: DAY + 2 * HOUR,
+      protocol: 'hls',
+      streamType: 1,
+      transmode: 1
+    });
+
+    assert.strictEqual(result.data.url, `hls://127.0.0.1:554/playback/camera0001`);
+    assert.strictEqual(result.data.list.length, 2);
+
+    const [request] = playbackRequests(mock);
+    assert.strictEqual(request.body.recordLocation, '0');
+    assert.strictEqual(request.body.streamType, 1);
+    assert.strictEqual(request.body.transmode, 1);
+    assert.strictEqual(Date.parse(request.body.beginTime), DAY);
+    assert.ok(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}[+-]\d{2}:\d{2}$/.test(request.body.endTime));
+
+    // 设备存储
+    const device = await client.getPlaybackUrl({
+      cameraIndexCode: 'camera0001',
+      beginTime: DAY,
+      endTime: DAY + 24 * HOUR,
+      recordLocation: 'device'
+    });
+    assert.strictEqual(playbackRequests(mock)[1].body.recordLocation, '1');
+    assert.strictEqual(device.data.list.length, 1);
+  }, withRecordings());
+}
+
+async function testParameterValidation() {
+  await withMock(async (mock, client) => {
+    const base = { cameraIndexCode: 'camera0001', beginTime: DAY, endTime: DAY + HOUR };
+
+    await assert.rejects(client.getPlaybackUrl({ ...base, cameraIndexCode: '' }), { name: 'ParameterError' });
+    await assert.rejects(client.getPlaybackUrl({ ...base, endTime: undefined }), { name: 'ParameterError', parameterName: 'endTime' });
+    await assert.rejects(client.getPlaybackUrl({ ...base, endTime: DAY }), /开始时间必须早于结束时间/);
+    await assert.rejects(client.getPlaybackUrl({ ...base, recordLocation: 'cloud' }), /不支持的录像存储位置/);
+    assert.strictEqual(playbackRequests(mock).length, 0);
+  }, withRecordings());
+}
+
+async function testSearchRecordingsPaged() {
+  await withMock(async (mock, client) => {
+    const { url, segments } = await client.searchRecordings({
+      cameraIndexCode: 'camera0001',
+      beginTime: DAY,
+      endTime: DAY + 24 * HOUR
+    });
+
+    // 每页2段，按 uuid 拉取3页
+    const requests = playbackRequests(mock);
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(requests[0].body.uuid, undefined);
+    assert.ok(requests[1].body.uuid);
+
+    assert.strictEqual(url, 'rtsp://127.0.0.1:554/playback/camera0001');
+    assert.strictEqual(segments.length, 5);
+    assert.ok(segments[0].start instanceof Date);
+    assert.strictEqual(segments[0].start.getTime(), DAY);
+    assert.strictEqual(segments[4].end.getTime(), DAY + 5 * HOUR);
+    assert.deepStrictEqual(segments.map((segment) => segment.size), [1024, 2048, 3072, 4096, 5120]);
+
+    // maxPages 限制拉取页数
+    const limited = await client.searchRecordings({
+      cameraIndexCode: 'camera0001',
+      beginTime: DAY,
+      endTime: DAY + 24 * HOUR,
+      maxPages: 1
+    });
+    assert.strictEqual(limited.segments.length, 2);
+  }, withRecordings({ recordingPageSize: 2 }));
+}
+
+async function testParseSegments() {
+  const [segment] = parseRecordingSegments([
+    { beginTime: '2026-10-19T08:00:00.000+08:00', endTime: '2026-10-19T08:30:00.000+08:00', size: '4096', lockType: 1 }
+  ]);
+  assert.strictEqual(segment.end - segment.start, 30 * 60 * 1000);
+  assert.strictEqual(segment.size, 4096);
+  assert.strictEqual(segment.lockType, 1);
+  assert.strictEqual(parseRecordingSegments([{ beginTime: 0, endTime: 1 }])[0].size, null);
+  assert.deepStrictEqual(parseRecordingSegments(undefined), []);
+}
+
+async function testAdapterPlaybackUrl() {
+  await withMock(async (mock, client) => {
+    const platform = new HikvisionAdapter(client);
+    const url = await platform.getPlaybackUrl('camera0001', {
+      startTime: '2026-10-19 01:00:00',
+      endTime: '2026-10-19 02:00:00',
+      recordLocation: 'center'
+    });
+    assert.strictEqual(url, 'rtsp://127.0.0.1:554/playback/camera0001');
+    assert.strictEqual(playbackRequests(mock)[0].body.cameraIndexCode, 'camera0001');
+  }, withRecordings());
+}
+
+const tests = {
+  testPlaybackUrl,
+  testParameterValidation,
+  testSearchRecordingsPaged,
+  testParseSegments,
+  testAdapterPlaybackUrl
+};
+
+run(tests, '录像回放测试通过');
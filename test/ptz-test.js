@@ -0,0 +1,115 @@
+/**
+ * 海康云台控制与预置点测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const { API_PATHS } = require('../src/vendors/hikvision/api');
+const { run } = require('./runner');
+const { withMock, requestsTo } = require('./helpers');
+
+const CAMERA = 'camera0001';
+
+function ptzRequests(mock) {
+  return requestsTo(mock, API_PATHS.PTZ_CONTROL).map((request) => request.body);
+}
+
+async function testStartStop() {
+  await withMock(async (mock, client) => {
+    await client.startPtz({ cameraIndexCode: CAMERA, command: 'zoom_in', speed: 80 });
+    await client.stopPtz({ cameraIndexCode: CAMERA, command: 'ZOOM_IN' });
+    await client.controlPtz({ cameraIndexCode: CAMERA, command: 'IRIS_ENLARGE', action: 1 });
+
+    assert.deepStrictEqual(ptzRequests(mock), [
+      { cameraIndexCode: CAMERA, action: 0, command: 'ZOOM_IN', speed: 80 },
+      { cameraIndexCode: CAMERA, action: 1, command: 'ZOOM_IN', speed: 50 },
+      { cameraIndexCode: CAMERA, action: 1, command: 'IRIS_ENLARGE', speed: 50 }
+    ]);
+
+    // 不存在的摄像头返回业务错误
+    await assert.rejects(client.startPtz({ cameraIndexCode: 'missing', command: 'LEFT' }), { name: 'NotFoundError' });
+  });
+}
+
+async function testValidation() {
+  await withMock(async (mock, client) => {
+    const invalid = [
+      [{ cameraIndexCode: CAMERA, command: 'SPIN' }, 'command'],
+      [{ cameraIndexCode: CAMERA, command: 'LEFT', action: 'pause' }, 'action'],
+      [{ cameraIndexCode: CAMERA, command: 'LEFT', speed: 0 }, 'speed'],
+      [{ cameraIndexCode: CAMERA, command: 'LEFT', speed: 101 }, 'speed'],
+      [{ command: 'LEFT' }, 'cameraIndexCode'],
+      [{ cameraIndexCode: CAMERA, command: 'GOTO_PRESET' }, 'presetIndex']
+    ];
+
+    for (const [options, parameterName] of invalid) {
+      await assert.rejects(client.controlPtz(options), { name: 'ParameterError', parameterName });
+    }
+
+    await assert.rejects(client.nudge(CAMERA, 'GOTO_PRESET', 100), { name: 'ParameterError', parameterName: 'direction' });
+    await assert.rejects(client.nudge(CAMERA, 'LEFT', -1), { name: 'ParameterError', parameterName: 'durationMs' });
+    assert.strictEqual(ptzRequests(mock).length, 0);
+  });
+}
+
+async function testNudge() {
+  await withMock(async (mock, client) => {
+    const startTime = Date.now();
+    await client.nudge(CAMERA, 'left_up', 100, { speed: 30 });
+
+    assert.ok(Date.now() - startTime >= 100);
+    assert.deepStrictEqual(ptzRequests(mock), [
+      { cameraIndexCode: CAMERA, action: 0, command: 'LEFT_UP', speed: 30 },
+      { cameraIndexCode: CAMERA, action: 1, command: 'LEFT_UP', speed: 30 }
+    ]);
+
+    // 等待中取消仍会停止
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    await client.nudge(CAMERA, 'RIGHT', 10000, {}, { signal: controller.signal });
+    assert.deepStrictEqual(ptzRequests(mock).slice(2).map((request) => request.action), [0, 1]);
+
+    // 开始命令失败时尝试停止并抛出原始错误
+    mock.inject({ path: API_PATHS.PTZ_CONTROL, code: '0x02401003', message: '设备不支持云台' });
+    await assert.rejects(client.nudge(CAMERA, 'DOWN', 100), { message: /设备不支持云台/ });
+    assert.deepStrictEqual(ptzRequests(mock).slice(4).map((request) => request.action), [0, 1]);
+  });
+}
+
+async function testPresets() {
+  await withMock(async (mock, client) => {
+    await client.setPreset({ cameraIndexCode: CAMERA, presetIndex: 1, presetName: '大门' });
+    await client.setPreset({ cameraIndexCode: CAMERA, presetIndex: 2 });
+    await client.setPreset({ cameraIndexCode: CAMERA, presetIndex: 1, presetName: '正门' });
+
+    let presets = await client.getPresets({ cameraIndexCode: CAMERA });
+    assert.deepStrictEqual(
+      presets.data.list.map((preset) => [preset.presetPointIndex, preset.presetPointName]),
+      [[1, '正门'], [2, '预置点2']]
+    );
+
+    await client.gotoPreset({ cameraIndexCode: CAMERA, presetIndex: 2, speed: 100 });
+    assert.deepStrictEqual(ptzRequests(mock)[0], {
+      cameraIndexCode: CAMERA,
+      action: 0,
+      command: 'GOTO_PRESET',
+      speed: 100,
+      presetIndex: 2
+    });
+
+    await client.deletePreset({ cameraIndexCode: CAMERA, presetIndex: 2 });
+    presets = await client.getPresets({ cameraIndexCode: CAMERA });
+    assert.strictEqual(presets.data.total, 1);
+
+    await assert.rejects(client.gotoPreset({ cameraIndexCode: CAMERA, presetIndex: 2 }), { name: 'NotFoundError' });
+    await assert.rejects(client.setPreset({ cameraIndexCode: CAMERA, presetIndex: 1.5 }), { parameterName: 'presetIndex' });
+    await assert.rejects(client.deletePreset({ presetIndex: 1 }), { parameterName: 'cameraIndexCode' });
+  });
+}
+
+const tests = {
+  testStartStop,
+  testValidation,
+  testNudge,
+  testPresets
+};
+
+run(tests, '云台控制测试通过');
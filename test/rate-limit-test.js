@@ -0,0 +1,115 @@
+/**
+ * 限流测试 - 使用本地HTTP服务，无需连接真实平台
+ */
+const assert = require('assert');
+const http = require('http');
+const { RateLimiter } = require('../src/core/rateLimiter');
+const { BaseClient } = require('../src/core/baseClient');
+const { Utils } = require('../src/utils/logger');
+const { run } = require('./runner');
+
+async function testConcurrencyLimit() {
+  const limiter = new RateLimiter({ maxConcurrent: 2 });
+  let active = 0;
+  let peak = 0;
+
+  const task = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await Utils.sleep(10);
+    active--;
+  };
+
+  const running = Promise.all(Array.from({ length: 6 }, () => limiter.schedule('/a', task)));
+  await Utils.sleep(1);
+  const stats = limiter.stats();
+  assert.strictEqual(stats.inFlight, 2);
+  assert.strictEqual(stats.queued, 4);
+
+  await running;
+  assert.strictEqual(peak, 2);
+  assert.strictEqual(limiter.stats().inFlight, 0);
+}
+
+async function testTokenBucket() {
+  const limiter = new RateLimiter({ rate: 50, burst: 2 });
+  const started = Date.now();
+  const times = [];
+
+  await Promise.all(Array.from({ length: 5 }, () => limiter.schedule('/a', async () => {
+    times.push(Date.now() - started);
+  })));
+
+  // 前2个请求使用突发额度，后3个每20ms放行一个
+  assert.ok(times[1] < 15);
+  assert.ok(times[4] >= 50, `限速未生效: ${times}`);
+}
+
+async function testEndpointOverride() {
+  const limiter = new RateLimiter({
+    maxConcurrent: 10,
+    endpoints: {
+      '/artemis/api/video/v1/cameras/previewURLs': { maxConcurrent: 1 },
+      '/artemis/api/video/*': { maxConcurrent: 3 }
+    }
+  });
+
+  assert.strictEqual(limiter.matchEndpoint('/artemis/api/video/v1/cameras/previewURLs').pattern, '/artemis/api/video/v1/cameras/previewURLs');
+  assert.strictEqual(limiter.matchEndpoint('/artemis/api/video/v2/cameras/playbackURLs').pattern, '/artemis/api/video/*');
+  assert.strictEqual(limiter.matchEndpoint('/artemis/api/resource/v1/cameras'), null);
+
+  let active = 0;
+  let peak = 0;
+  await Promise.all(Array.from({ length: 4 }, () => limiter.schedule('/artemis/api/video/v1/cameras/previewURLs', async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await Utils.sleep(5);
+    active--;
+  })));
+  assert.strictEqual(peak, 1);
+}
+
+async function testInvalidConfig() {
+  assert.throws(() => new RateLimiter({ rate: -1 }), { name: 'ParameterError' });
+  assert.throws(() => new RateLimiter({ maxConcurrent: 0.5 }), { name: 'ParameterError' });
+  assert.strictEqual(RateLimiter.from(undefined), null);
+}
+
+async function testClientHonorsLimit() {
+  let active = 0;
+  let peak = 0;
+  const server = http.createServer((req, res) => {
+    active++;
+    peak = Math.max(peak, active);
+    setTimeout(() => {
+      active--;
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    }, 10);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const client = new BaseClient(
+    { host: '127.0.0.1', port: server.address().port, rateLimit: { maxConcurrent: 2 } },
+    { vendor: 'test', name: '测试', protocol: 'http', timeout: 2000, userAgent: 'test' }
+  );
+
+  try {
+    await Promise.all(Array.from({ length: 6 }, () => client.get('/query')));
+    assert.strictEqual(peak, 2);
+    assert.strictEqual(client.getRateLimitStats().queued, 0);
+  } finally {
+    await client.close();
+    server.close();
+  }
+}
+
+const tests = {
+  testConcurrencyLimit,
+  testTokenBucket,
+  testEndpointOverride,
+  testInvalidConfig,
+  testClientHonorsLimit
+};
+
+run(tests, '限流测试通过');
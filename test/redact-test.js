@@ -0,0 +1,103 @@
+/**
+ * 敏感信息脱敏测试 - 无需连接真实平台
+ */
+const assert = require('assert');
+const { AxiosHeaders } = require('axios');
+const { Redactor } = require('../src/utils/redact');
+const { Logger } = require('../src/utils/logger');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { run } = require('./runner');
+
+const CENSOR = '[REDACTED]';
+
+async function testDefaultKeys() {
+  const redactor = new Redactor();
+  const input = {
+    headers: { Authorization: 'bearer abc', 'X-Ca-Signature': 'sig', 'X-Ca-Key': 'key' },
+    body: { grant_type: 'password', password: 'enc', client_secret: 'cs', list: [{ AccessToken: 't' }] },
+    LoginSignature: 'md5'
+  };
+
+  const output = redactor.redact(input);
+  assert.strictEqual(output.headers.Authorization, CENSOR);
+  assert.strictEqual(output.headers['X-Ca-Signature'], CENSOR);
+  assert.strictEqual(output.headers['X-Ca-Key'], 'key');
+  assert.strictEqual(output.body.password, CENSOR);
+  assert.strictEqual(output.body.client_secret, CENSOR);
+  assert.strictEqual(output.body.grant_type, 'password');
+  assert.strictEqual(output.body.list[0].AccessToken, CENSOR);
+  assert.strictEqual(output.LoginSignature, CENSOR);
+
+  // 不修改原对象
+  assert.strictEqual(input.headers.Authorization, 'bearer abc');
+}
+
+async function testStringsAndHeaders() {
+  const redactor = new Redactor();
+
+  const body = JSON.parse(redactor.redact('{"UserName":"YWRtaW4=","LoginSignature":"md5","AccessCode":"c"}'));
+  assert.strictEqual(body.LoginSignature, CENSOR);
+  assert.strictEqual(body.AccessCode, 'c');
+  assert.strictEqual(redactor.redact('plain text'), 'plain text');
+
+  const headers = new AxiosHeaders({ Authorization: 'abc', Accept: 'application/json' });
+  assert.deepStrictEqual(redactor.redact(headers), { Authorization: CENSOR, Accept: 'application/json' });
+
+  assert.strictEqual(redactor.redactUrl('/api?token=abc&page=1'), `/api?token=${encodeURIComponent(CENSOR)}&page=1`);
+
+  const circular = { password: 'p' };
+  circular.self = circular;
+  assert.strictEqual(redactor.redact(circular).self, '[Circular]');
+}
+
+async function testCustomRules() {
+  const redactor = Redactor.from({ keys: ['phoneNo'], patterns: [/^x-custom-/i], censor: '***' });
+  const output = redactor.redact({ phoneNo: '138', 'X-Custom-Auth': 'a', password: 'p', name: 'n' });
+  assert.deepStrictEqual(output, { phoneNo: '***', 'X-Custom-Auth': '***', password: '***', name: 'n' });
+  assert.strictEqual(Redactor.from(false), null);
+}
+
+async function testClientLogsAndCurl() {
+  const lines = [];
+  const client = new HikvisionClient({
+    host: '10.0.0.3',
+    appKey: 'key',
+    appSecret: 'secret',
+    debug: true,
+    logger: new Logger({ level: 'debug', format: 'json', destination: { write: (line) => lines.push(line) } })
+  });
+
+  const requestConfig = {
+    method: 'post',
+    url: '/artemis/api/resource/v1/cameras',
+    headers: {},
+    data: { pageNo: 1 }
+  };
+  await client.authorizeRequest(requestConfig);
+  const signature = requestConfig.headers['X-Ca-Signature'];
+  client.logRequest(requestConfig);
+
+  const output = lines.join('');
+  assert.ok(signature && !output.includes(signature), 'debug 日志中不应包含签名');
+  assert.ok(output.includes('X-Ca-Key'));
+
+  const curl = client.generateCurlCommand(requestConfig, requestConfig.url);
+  assert.ok(!curl.includes(signature));
+  assert.ok(curl.includes(`X-Ca-Signature: ${CENSOR}`));
+
+  // 关闭脱敏后输出原始签名
+  const raw = new HikvisionClient({ host: '10.0.0.3', appKey: 'key', appSecret: 'secret', redact: false });
+  assert.ok(raw.generateCurlCommand(requestConfig, requestConfig.url).includes(signature));
+
+  await client.close();
+  await raw.close();
+}
+
+const tests = {
+  testDefaultKeys,
+  testStringsAndHeaders,
+  testCustomRules,
+  testClientLogsAndCurl
+};
+
+run(tests, '脱敏测试通过');
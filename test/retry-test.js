@@ -0,0 +1,145 @@
+/**
+ * 请求重试测试 - 使用本地HTTP服务模拟网关抖动，无需连接真实平台
+ */
+const assert = require('assert');
+const http = require('http');
+const { RetryPolicy } = require('../src/core/retryPolicy');
+const { BaseClient } = require('../src/core/baseClient');
+const { ApiError, AuthError, NetworkError } = require('../src/utils/errors/cameraErrors');
+const { run } = require('./runner');
+
+const FAST_RETRY = { baseDelay: 1, maxDelay: 5 };
+
+/**
+ * 启动模拟服务，前 failures 次请求返回 status，之后返回成功
+ */
+function startServer(failures, status = 503) {
+  const state = { hits: 0 };
+  const server = http.createServer((req, res) => {
+    state.hits++;
+    res.setHeader('Content-Type', 'application/json');
+    if (state.hits <= failures) {
+      res.statusCode = status;
+      res.end(JSON.stringify({ msg: 'gateway busy' }));
+      return;
+    }
+    res.end(JSON.stringify({ code: '0', data: { hits: state.hits } }));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, port: server.address().port }));
+  });
+}
+
+function createClient(port, retry = FAST_RETRY) {
+  return new BaseClient(
+    { host: '127.0.0.1', port, retry },
+    { vendor: 'test', name: '测试', protocol: 'http', timeout: 2000, userAgent: 'test' }
+  );
+}
+
+async function withServer(failures, fn, status) {
+  const { server, state, port } = await startServer(failures, status);
+  try {
+    await fn(state, port);
+  } finally {
+    server.close();
+  }
+}
+
+async function testDelayBackoff() {
+  const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: 'none' });
+  assert.deepStrictEqual([1, 2, 3, 4].map(n => policy.getDelay(n)), [100, 200, 300, 300]);
+
+  const jittered = new RetryPolicy({ baseDelay: 100, jitter: 'equal' });
+  for (let i = 0; i < 20; i++) {
+    const delay = jittered.getDelay(2);
+    assert.ok(delay >= 100 && delay <= 200);
+  }
+}
+
+async function testRetryableErrors() {
+  const policy = new RetryPolicy();
+  const get = { method: 'GET' };
+
+  assert.ok(policy.shouldRetry(new ApiError('API错误 (502)', null, 502), 1, get));
+  assert.ok(policy.shouldRetry(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 1, get));
+  assert.ok(policy.shouldRetry(new NetworkError('网络错误', { request: {}, code: 'ERR_BAD_RESPONSE' }), 1, get));
+  assert.ok(!policy.shouldRetry(new ApiError('API业务错误', null, 200), 1, get));
+  assert.ok(!policy.shouldRetry(new AuthError('认证失败'), 1, get));
+  assert.ok(!policy.shouldRetry(new ApiError('API错误 (502)', null, 502), 3, get));
+}
+
+async function testIdempotency() {
+  const policy = new RetryPolicy();
+  const error = new ApiError('API错误 (503)', null, 503);
+
+  assert.ok(!policy.shouldRetry(error, 1, { method: 'POST' }));
+  assert.ok(policy.shouldRetry(error, 1, { method: 'POST', idempotent: true }));
+  assert.ok(!policy.shouldRetry(error, 1, { method: 'GET', idempotent: false }));
+  assert.ok(new RetryPolicy({ retryNonIdempotent: true }).shouldRetry(error, 1, { method: 'POST' }));
+}
+
+async function testFromConfig() {
+  const base = RetryPolicy.from({ maxAttempts: 5 });
+  assert.strictEqual(RetryPolicy.from(undefined, base), base);
+  assert.strictEqual(RetryPolicy.from(false, base).options.maxAttempts, 1);
+  assert.strictEqual(RetryPolicy.from({ baseDelay: 1 }, base).options.maxAttempts, 5);
+}
+
+async function testClientRetriesGet() {
+  await withServer(2, async (state, port) => {
+    const client = createClient(port);
+    const result = await client.get('/query');
+    assert.strictEqual(result.data.data.hits, 3);
+    assert.strictEqual(state.hits, 3);
+    await client.close();
+  });
+}
+
+async function testClientSkipsNonIdempotentPost() {
+  await withServer(1, async (state, port) => {
+    const client = createClient(port);
+    await assert.rejects(client.post('/create', { name: 'a' }), { name: 'ApiError', statusCode: 503 });
+    assert.strictEqual(state.hits, 1);
+
+    // 声明幂等后可以重试
+    const result = await client.post('/query', {}, { idempotent: true });
+    assert.strictEqual(result.data.data.hits, 2);
+    await client.close();
+  });
+}
+
+async function testPerCallOverride() {
+  await withServer(5, async (state, port) => {
+    const client = createClient(port);
+    await assert.rejects(client.request('GET', '/query', { retry: false }), { name: 'ApiError' });
+    assert.strictEqual(state.hits, 1);
+
+    await assert.rejects(client.request('GET', '/query', { retry: { maxAttempts: 2 } }), { name: 'ApiError' });
+    assert.strictEqual(state.hits, 3);
+    await client.close();
+  });
+}
+
+async function testNoRetryOnClientError() {
+  await withServer(1, async (state, port) => {
+    const client = createClient(port);
+    await assert.rejects(client.get('/query'), { name: 'ApiError', statusCode: 400 });
+    assert.strictEqual(state.hits, 1);
+    await client.close();
+  }, 400);
+}
+
+const tests = {
+  testDelayBackoff,
+  testRetryableErrors,
+  testIdempotency,
+  testFromConfig,
+  testClientRetriesGet,
+  testClientSkipsNonIdempotentPost,
+  testPerCallOverride,
+  testNoRetryOnClientError
+};
+
+run(tests, '请求重试测试通过');
@@ -0,0 +1,25 @@
+/**
+ * 测试用例运行工具 - 依次执行测试用例并输出结果，任一用例失败时以非0状态码退出
+ */
+
+/**
+ * 依次运行测试用例
+ * @param {Object<string, Function>} tests 测试用例，名称 => 函数（可以是异步函数）
+ * @param {string} summary 全部通过后输出的信息
+ * @returns {Promise<void>}
+ */
+async function run(tests, summary) {
+  try {
+    for (const [name, fn] of Object.entries(tests)) {
+      await fn();
+      console.log(`✓ ${name}`);
+    }
+
+    console.log(summary);
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+module.exports = { run };
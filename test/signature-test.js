@@ -0,0 +1,175 @@
+/**
+ * 海康 Artemis 签名测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const crypto = require('crypto');
+const { HikvisionAuth } = require('../src/vendors/hikvision/auth');
+const { run } = require('./runner');
+const { withMock } = require('./helpers');
+
+const ECHO_PATH = '/artemis/api/test/v1/echo';
+
+/**
+ * 注册回显接口，返回收到的 Content-Type、请求体和签名请求头
+ */
+function addEchoRoute(mock) {
+  mock.route('POST', ECHO_PATH, (ctx) => mock.success({
+    contentType: ctx.headers['content-type'],
+    body: ctx.body,
+    signatureHeaders: ctx.headers['x-ca-signature-headers']
+  }));
+}
+
+async function testSignatureString() {
+  const auth = new HikvisionAuth('key', 'secret');
+  const headers = {
+    accept: '*/*',
+    'content-md5': 'md5==',
+    'content-type': 'application/json',
+    date: 'Mon, 19 Oct 2026 00:00:00 GMT',
+    'x-ca-key': 'key',
+    'x-ca-nonce': 'nonce',
+    'x-ca-timestamp': '1',
+    userid: 'admin'
+  };
+
+  assert.strictEqual(
+    auth.buildSignatureString('post', '/artemis/api/x?b=2&a=1&empty=', headers, ['userid', 'x-ca-key', 'x-ca-nonce', 'x-ca-timestamp']),
+    [
+      'POST',
+      '*/*',
+      'md5==',
+      'application/json',
+      'Mon, 19 Oct 2026 00:00:00 GMT',
+      'userid:admin',
+      'x-ca-key:key',
+      'x-ca-nonce:nonce',
+      'x-ca-timestamp:1',
+      '/artemis/api/x?a=1&b=2&empty'
+    ].join('\n')
+  );
+
+  // 不存在的标准头不占行，表单参数与查询参数一起排序，值不编码
+  assert.strictEqual(
+    auth.buildSignatureString('GET', 'artemis/api/x?name=%E5%BC%A0', { 'x-ca-key': 'key' }, ['x-ca-key'], [['age', '1']]),
+    'GET\nx-ca-key:key\n/artemis/api/x?age=1&name=张'
+  );
+}
+
+async function testContentMd5() {
+  const auth = new HikvisionAuth('key', 'secret');
+  const body = { pageNo: 1, pageSize: 10 };
+  const expected = crypto.createHash('md5').update(JSON.stringify(body)).digest('base64');
+
+  const headers = auth.generateAuthHeaders('POST', '/x', body, { headers: { 'Content-Type': 'application/json' } });
+  assert.strictEqual(headers['Content-MD5'], expected);
+  assert.strictEqual(headers['X-Ca-Signature-Headers'], 'x-ca-key,x-ca-nonce,x-ca-timestamp');
+
+  // 没有请求体、表单和 multipart 请求不计算 Content-MD5
+  assert.strictEqual(auth.generateAuthHeaders('GET', '/x', '')['Content-MD5'], undefined);
+  assert.strictEqual(
+    auth.generateAuthHeaders('POST', '/x', 'a=1', { headers: { 'content-type': 'application/x-www-form-urlencoded' } })['Content-MD5'],
+    undefined
+  );
+
+  // 请求体被篡改时校验失败
+  const signed = auth.generateAuthHeaders('POST', '/x', body, { headers: { 'Content-Type': 'application/json' } });
+  const received = { ...signed, 'content-type': 'application/json' };
+  assert.strictEqual(auth.verifyRequest('POST', '/x', JSON.stringify(body), received), true);
+  assert.strictEqual(auth.verifyRequest('POST', '/x', JSON.stringify({ ...body, pageSize: 1000 }), received), false);
+}
+
+async function testVerifySignatureLegacyArguments() {
+  const auth = new HikvisionAuth('key', 'secret');
+  const signatureData = 'POST\napplication/json\napplication/json\nx-ca-key:key\nx-ca-nonce:n1\nx-ca-timestamp:1700000000000\n/x';
+  const signature = crypto.createHmac('sha256', 'secret').update(signatureData).digest('base64');
+
+  // 原有的 (method, url, body, timestamp, nonce, expectedSignature) 调用方式
+  assert.strictEqual(auth.verifySignature('POST', '/x', '', '1700000000000', 'n1', signature), true);
+  assert.strictEqual(auth.verifySignature('POST', '/x', '', '1700000000000', 'n2', signature), false);
+}
+
+async function testQueryAndFormAgainstMock() {
+  await withMock(async (mock, client) => {
+    addEchoRoute(mock);
+    const json = await client.request('POST', ECHO_PATH, { params: { z: '1', a: '中文 参数' }, data: { x: 1 } });
+    assert.deepStrictEqual(json.data.data.body, { x: 1 });
+    assert.ok(mock.requests[0].headers['content-md5']);
+
+    const form = await client.request('POST', ECHO_PATH, { data: new URLSearchParams({ b: '2', a: '1' }) });
+    assert.ok(form.data.data.contentType.startsWith('application/x-www-form-urlencoded'));
+    assert.deepStrictEqual(form.data.data.body, { b: '2', a: '1' });
+
+    // Content-Type 为表单的对象请求体
+    const object = await client.request('POST', ECHO_PATH, {
+      data: { personName: '张三', orgIndexCode: 'root' },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    assert.deepStrictEqual(object.data.data.body, { personName: '张三', orgIndexCode: 'root' });
+  });
+}
+
+async function testMultipartUpload() {
+  await withMock(async (mock, client) => {
+    addEchoRoute(mock);
+    const result = await client.request('POST', ECHO_PATH, {
+      multipart: {
+        fields: { faceGroupIndexCode: 'group1' },
+        files: [{ name: 'file', data: Buffer.from([0xff, 0xd8, 0xff, 0xe0]), filename: 'face.jpg', contentType: 'image/jpeg' }]
+      }
+    });
+    assert.strictEqual(result.data.code, '0');
+    assert.ok(result.data.data.contentType.startsWith('multipart/form-data; boundary='));
+    assert.strictEqual(mock.requests[0].headers['content-md5'], undefined);
+    assert.ok(mock.requests[0].rawBody.includes('filename="face.jpg"\r\nContent-Type: image/jpeg'));
+    assert.ok(mock.requests[0].rawBody.includes('name="faceGroupIndexCode"\r\n\r\ngroup1\r\n'));
+
+    await assert.rejects(
+      client.request('POST', ECHO_PATH, { multipart: { files: [{ name: 'file' }] } }),
+      (error) => error.name === 'ParameterError' && error.parameterName === 'multipart.files'
+    );
+
+    // FormData 为 Node 18 起的全局对象
+    if (typeof FormData === 'undefined') {
+      return;
+    }
+    const formData = new FormData();
+    formData.append('faceGroupIndexCode', 'group1');
+    formData.append('file', new Blob([Buffer.from([0xff, 0xd8, 0xff, 0xe0])], { type: 'image/jpeg' }), 'face.jpg');
+
+    const form = await client.request('POST', ECHO_PATH, { data: formData });
+    assert.strictEqual(form.data.code, '0');
+    assert.ok(mock.requests[1].rawBody.includes('filename="face.jpg"\r\nContent-Type: image/jpeg'));
+  });
+}
+
+async function testCustomHeadersAndAccept() {
+  await withMock(async (mock, client) => {
+    addEchoRoute(mock);
+    const result = await client.request('POST', ECHO_PATH, {
+      data: {},
+      headers: { userId: 'admin', 'X-Ca-Stage': 'RELEASE', 'X-Trace': 'not-signed' }
+    });
+    assert.strictEqual(result.data.data.signatureHeaders, 'userid,x-ca-key,x-ca-nonce,x-ca-stage,x-ca-timestamp');
+    assert.strictEqual(mock.requests[0].headers.accept, '*/*');
+
+    // 请求级额外签名头
+    const traced = await client.request('POST', ECHO_PATH, {
+      data: {},
+      headers: { 'X-Trace': 'abc' },
+      signedHeaders: ['X-Trace']
+    });
+    assert.strictEqual(traced.data.data.signatureHeaders, 'x-ca-key,x-ca-nonce,x-ca-timestamp,x-trace');
+  }, { client: { accept: '*/*', signedHeaders: ['userId'] } });
+}
+
+const tests = {
+  testSignatureString,
+  testContentMd5,
+  testVerifySignatureLegacyArguments,
+  testQueryAndFormAgainstMock,
+  testMultipartUpload,
+  testCustomHeadersAndAccept
+};
+
+run(tests, '签名测试通过');
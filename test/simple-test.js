@@ -3,9 +3,7 @@
  */
 require('dotenv').config();
 const { 
-  HikvisionClient, 
-  DahuaClient, 
-  UniviewClient,
+  createClient,
   ApiError,
   AuthError,
   NetworkError
@@ -54,49 +52,16 @@ async function testCamera() {
   let client;
   
   try {
-    // 根据配置创建相应的客户端
-    switch (config.vendor) {
-      case 'hikvision':
-        console.log('创建海康威视客户端...');
-        client = new HikvisionClient(config.hikvision);
-        break;
-        
-      case 'dahua':
-        console.log('创建大华客户端...');
-        client = new DahuaClient(config.dahua);
-        break;
-        
-      case 'uniview':
-        console.log('创建宇视客户端...');
-        client = new UniviewClient(config.uniview);
-        break;
-        
-      default:
-        throw new Error(`不支持的厂商: ${config.vendor}`);
-    }
+    // 根据配置创建相应厂商的统一平台客户端
+    console.log(`创建 ${config.vendor} 客户端...`);
+    client = createClient({ vendor: config.vendor, ...config[config.vendor] });
     
     console.log(`开始测试 ${config.vendor} SDK...`);
     
-    // 现在可以直接调用API方法，无需使用 .api 前缀
-    if (config.vendor === 'hikvision') {
-      console.log('1. 获取设备信息...');
-      const deviceInfo = await client.getDeviceInfo();
-      console.log('设备信息:', JSON.stringify(deviceInfo, null, 2));
-    } else if (config.vendor === 'dahua') {
-      console.log('1. 获取设备分页信息...');
-      const devices = await client.getDevicesPage({
-        pageNum: 1,
-        pageSize: 10
-      });
-      console.log('设备信息:', JSON.stringify(devices, null, 2));
-    } else if (config.vendor === 'uniview') {
-      console.log('1. 查询摄像机信息...');
-      const cameras = await client.queryAllCameras({
-        org: 'iccsid',
-        pageSize: 10
-      });
-      console.log('摄像机信息:', JSON.stringify(cameras, null, 2));
-    }
+    // 统一接口，切换厂商只需修改 config.vendor
+    console.log('1. 查询摄像头列表...');
+    const cameras = await client.listCameras({ pageSize: 10 });
+    console.log('摄像头列表:', JSON.stringify(cameras, null, 2));
     
     console.log('测试完成');
     
@@ -112,8 +77,8 @@ async function testCamera() {
       console.error('未知错误:', error.message);
     }
   } finally {
-    // 如果是宇视客户端，需要关闭连接以清理资源
-    if (client && config.vendor === 'uniview') {
+    // 关闭客户端以清理资源（宇视客户端会停止保活定时器）
+    if (client) {
       await client.close();
       console.log('客户端连接已关闭');
     }
@@ -0,0 +1,131 @@
+/**
+ * 海康抓图与图片下载测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { API_PATHS } = require('../src/vendors/hikvision/api');
+const { run } = require('./runner');
+const { withMock, requestsTo } = require('./helpers');
+
+const CAMERA = 'camera0001';
+
+function pictureRequests(mock) {
+  return requestsTo(mock, '/pic');
+}
+
+async function testCaptureBuffer() {
+  await withMock(async (mock, client) => {
+    const snapshot = await client.captureSnapshot(CAMERA);
+
+    assert.ok(snapshot.picUrl.startsWith(`${mock.url}/pic?`));
+    assert.ok(Buffer.isBuffer(snapshot.data));
+    assert.deepStrictEqual(snapshot.data, mock.snapshot(CAMERA));
+    assert.strictEqual(snapshot.contentType, 'image/jpeg');
+    assert.strictEqual(snapshot.size, snapshot.data.length);
+
+    // 图片与平台同主机，下载请求同样签名
+    assert.ok(pictureRequests(mock)[0].headers['x-ca-signature']);
+  });
+}
+
+async function testCaptureStream() {
+  await withMock(async (mock, client) => {
+    const snapshot = await client.captureSnapshot(CAMERA, { responseType: 'stream' });
+    assert.ok(snapshot.data instanceof Readable);
+    assert.deepStrictEqual(Buffer.concat(await snapshot.data.toArray()), mock.snapshot(CAMERA));
+
+    await assert.rejects(client.captureSnapshot(CAMERA, { responseType: 'base64' }), { name: 'ParameterError' });
+  });
+}
+
+async function testCaptureToFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+  const filePath = path.join(dir, 'snapshot.jpg');
+
+  try {
+    await withMock(async (mock, client) => {
+      const snapshot = await client.captureSnapshot(CAMERA, { filePath });
+      assert.strictEqual(snapshot.filePath, filePath);
+      assert.strictEqual(snapshot.data, undefined);
+      assert.deepStrictEqual(fs.readFileSync(filePath), mock.snapshot(CAMERA));
+      assert.strictEqual(snapshot.size, fs.statSync(filePath).size);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testTokenModeDownload() {
+  await withMock(async (mock, client) => {
+    const snapshot = await client.captureSnapshot(CAMERA);
+    assert.deepStrictEqual(snapshot.data, mock.snapshot(CAMERA));
+    assert.strictEqual(pictureRequests(mock)[0].headers['access-token'], client.accessToken);
+  }, { client: { authMode: 'token' } });
+}
+
+async function testErrors() {
+  await withMock(async (mock, client) => {
+    await assert.rejects(client.captureSnapshot('missing'), { name: 'NotFoundError' });
+    await assert.rejects(client.captureSnapshot(''), { name: 'ParameterError' });
+
+    // 图片服务以JSON返回业务错误
+    mock.inject({ path: '/pic', code: '0x02401007', message: '图片不存在' });
+    await assert.rejects(client.captureSnapshot(CAMERA), { name: 'NotFoundError' });
+
+    mock.inject({ path: '/pic', body: { code: '0', msg: 'success' } });
+    await assert.rejects(client.captureSnapshot(CAMERA), { message: '图片下载失败: 响应不是图片' });
+
+    // 平台没有返回图片地址
+    mock.inject({ path: API_PATHS.MANUAL_CAPTURE, body: { code: '0', msg: 'success', data: {} } });
+    await assert.rejects(client.captureSnapshot(CAMERA), { name: 'ApiError', message: '抓图失败: 响应中没有图片地址' });
+
+    // 下载平台相对路径的图片
+    const picture = await client.downloadPicture(`/pic?cameraIndexCode=${CAMERA}`);
+    assert.deepStrictEqual(picture.data, mock.snapshot(CAMERA));
+  });
+}
+
+async function testOtherOriginDownload() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+  const filePath = path.join(dir, 'partial.jpg');
+  const received = [];
+
+  // 同一主机的其他端口：先返回部分内容再断开连接
+  const server = http.createServer((req, res) => {
+    received.push(req.headers);
+    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': 1024 });
+    res.write(Buffer.alloc(100, 1));
+    setTimeout(() => res.destroy(), 20);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await withMock(async (mock, client) => {
+      const picUrl = `http://127.0.0.1:${server.address().port}/pic.jpg`;
+      await assert.rejects(client.downloadPicture(picUrl, { filePath }));
+
+      // 端口不同不视为平台地址，不携带签名
+      assert.strictEqual(received[0]['x-ca-signature'], undefined);
+      assert.strictEqual(fs.existsSync(filePath), false);
+    });
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const tests = {
+  testCaptureBuffer,
+  testCaptureStream,
+  testCaptureToFile,
+  testTokenModeDownload,
+  testErrors,
+  testOtherOriginDownload
+};
+
+run(tests, '抓图测试通过');
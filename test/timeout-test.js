@@ -0,0 +1,102 @@
+/**
+ * 超时与取消测试 - 使用进程内模拟平台，无需连接真实平台
+ */
+const assert = require('assert');
+const { HikvisionClient } = require('../src/vendors/hikvision/client');
+const { DahuaClient } = require('../src/vendors/dahua/client');
+const { UniviewClient } = require('../src/vendors/uniview/client');
+const { HikvisionMockServer } = require('../src/vendors/hikvision/mockServer');
+const { DahuaMockServer } = require('../src/vendors/dahua/mockServer');
+const { UniviewMockServer } = require('../src/vendors/uniview/mockServer');
+const { API_PATHS: HIKVISION_PATHS } = require('../src/vendors/hikvision/api');
+const { API_PATHS: DAHUA_PATHS } = require('../src/vendors/dahua/api');
+const { API_PATHS: UNIVIEW_PATHS } = require('../src/vendors/uniview/api');
+const { TimeoutError } = require('../src/utils/errors/cameraErrors');
+const { run } = require('./runner');
+const { withVendorMock, countRequests } = require('./helpers');
+
+async function testPerRequestTimeout() {
+  await withVendorMock(HikvisionMockServer, HikvisionClient, async (mock, client) => {
+    // 单次请求的超时覆盖客户端配置
+    mock.inject({ path: HIKVISION_PATHS.CAMERAS, delay: 300 });
+    await assert.rejects(client.getCameras({ pageSize: 1 }, { timeout: 50 }), (error) => {
+      assert.ok(error instanceof TimeoutError);
+      assert.strictEqual(error.timeout, 50);
+      assert.strictEqual(error.message, '请求超时 (50ms)');
+      assert.strictEqual(error.originalError.code, 'ECONNABORTED');
+      return true;
+    });
+
+    // 未指定时使用客户端的超时时间
+    mock.inject({ path: HIKVISION_PATHS.CAMERAS, delay: 50 });
+    const result = await client.getCameras({ pageSize: 1 });
+    assert.strictEqual(result.code, '0');
+
+    // 通用 request() 同样支持
+    mock.inject({ path: HIKVISION_PATHS.DEVICE_STATUS, delay: 300 });
+    await assert.rejects(
+      client.request('POST', HIKVISION_PATHS.DEVICE_STATUS, { data: { indexCodes: ['device0001'] }, timeout: 50 }),
+      { name: 'TimeoutError', timeout: 50 }
+    );
+  }, { client: { timeout: 5000 } });
+}
+
+async function testTimeoutRetried() {
+  await withVendorMock(DahuaMockServer, DahuaClient, async (mock, client) => {
+    mock.inject({ path: DAHUA_PATHS.DEVICES_PAGE, timeout: true });
+    const page = await client.getDevicesPage({}, { timeout: 100 });
+    assert.strictEqual(page.success, true);
+    assert.strictEqual(countRequests(mock, DAHUA_PATHS.DEVICES_PAGE), 2);
+  }, { client: { retry: { baseDelay: 1, jitter: 'none' } } });
+}
+
+async function testAbortSignal() {
+  await withVendorMock(UniviewMockServer, UniviewClient, async (mock, client) => {
+    await client.login();
+
+    // 请求进行中取消，不再重试
+    mock.inject({ path: UNIVIEW_PATHS.QUERY_RESOURCES, timeout: true });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(client.queryAllCameras({}, { signal: controller.signal }), (error) => {
+      assert.strictEqual(error.name, 'NetworkError');
+      assert.strictEqual(error.message, '请求已取消');
+      return true;
+    });
+    assert.strictEqual(countRequests(mock, UNIVIEW_PATHS.QUERY_RESOURCES), 1);
+
+    // 已取消的 signal 不会发出请求
+    await assert.rejects(client.queryThirdPartyIPC(undefined, { signal: controller.signal }), { message: '请求已取消' });
+    assert.strictEqual(countRequests(mock, UNIVIEW_PATHS.QUERY_THIRD_PARTY_IPC), 0);
+
+    // 分页迭代的 signal 作用于每页请求
+    const iterator = client.iterate('cameras', {}, { pageSize: 1, signal: controller.signal });
+    await assert.rejects(iterator.toArray(), { message: '请求已取消' });
+  }, { client: { retry: { baseDelay: 1, jitter: 'none' } } });
+}
+
+async function testAbortDuringRetryWait() {
+  await withVendorMock(DahuaMockServer, DahuaClient, async (mock, client) => {
+    await client.login();
+    mock.inject({ path: DAHUA_PATHS.DEVICES_PAGE, status: 503 });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const startTime = Date.now();
+    await assert.rejects(client.getDevicesPage({}, { signal: controller.signal }), { message: '请求已取消' });
+
+    // 取消后立即结束重试等待
+    assert.ok(Date.now() - startTime < 2000);
+    assert.strictEqual(countRequests(mock, DAHUA_PATHS.DEVICES_PAGE), 1);
+  }, { client: { retry: { baseDelay: 10000, jitter: 'none' } } });
+}
+
+const tests = {
+  testPerRequestTimeout,
+  testTimeoutRetried,
+  testAbortSignal,
+  testAbortDuringRetryWait
+};
+
+run(tests, '超时与取消测试通过');